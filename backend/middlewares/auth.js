@@ -0,0 +1,80 @@
+import { auditContext } from "../utils/audit.js";
+import {
+  AuthError,
+  isSessionActive,
+  presentAccount,
+  verifyToken,
+} from "../utils/auth.js";
+
+/**
+ * Creates the check that an access token belongs to an open session
+ * @param {object} accounts - Storage adapter of the account store
+ * @returns {Function} - async (token) -> { account, expiresAt }; throws
+ *   AuthError
+ */
+export const createVerifyAccess = (accounts) => async (token) => {
+  const { sub, sid, exp } = verifyToken(token, "access");
+  const account = await accounts.get(sub, []);
+  const session = account?.sessions?.find((s) => s.id === sid);
+  if (!isSessionActive(session)) {
+    throw new AuthError("Session ended", "SESSION_ENDED");
+  }
+  return { account, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Creates the middleware that requires a valid access token
+ * (Authorization: Bearer <token>) for an open session. GET requests may
+ * pass it as ?access_token= instead, for EventSource, which can't set
+ * headers. Sets req.user and req.tokenExpiresAt, and makes the account
+ * the actor of audit entries written for the request.
+ * @param {object} accounts - Storage adapter of the account store
+ * @returns {Function} - Express middleware
+ */
+export const createAuthenticate = (accounts) => {
+  const verifyAccess = createVerifyAccess(accounts);
+
+  return async (req, res, next) => {
+    try {
+      const [scheme, bearer] = (req.get("Authorization") || "").split(" ");
+      const token =
+        scheme === "Bearer"
+          ? bearer
+          : req.method === "GET" && req.query.access_token;
+      if (!token) throw new AuthError("Authentication required");
+
+      const { account, expiresAt } = await verifyAccess(token);
+      req.user = presentAccount(account);
+      req.tokenExpiresAt = expiresAt;
+      const context = auditContext.getStore();
+      if (context) context.actor = account.email;
+      next();
+    } catch (error) {
+      if (!(error instanceof AuthError)) return next(error);
+      res.set("WWW-Authenticate", 'Bearer realm="api"');
+      res.status(401).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+      });
+    }
+  };
+};
+
+/**
+ * Creates the middleware that lets only the given roles through; goes
+ * after authenticate
+ * @param {...string} roles
+ * @returns {Function} - Express middleware
+ */
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (roles.includes(req.user?.role)) return next();
+    res.status(403).json({
+      success: false,
+      error: "Not allowed for your role",
+    });
+  };
+
+export default { createVerifyAccess, createAuthenticate, requireRole };
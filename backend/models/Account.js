@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+/**
+ * Login accounts for the API, apart from any "users" entity in the schema.
+ * sessions holds one entry per signed-in device; removing it revokes the
+ * refresh token and every access token issued for it.
+ */
+const accountSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true },
+    name: { type: String },
+    passwordHash: { type: String, required: true },
+    role: { type: String, required: true },
+    sessions: { type: Array, default: [] },
+  },
+  {
+    collection: "_accounts",
+    timestamps: true,
+    versionKey: false,
+    minimize: false,
+  }
+);
+
+export const Account =
+  mongoose.models.Account || mongoose.model("Account", accountSchema);
+
+export default Account;
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+/**
+ * Audit log entries, one document per change to an entity record.
+ * snapshot holds the record after the change (before it, for deletes).
+ */
+const auditEntrySchema = new mongoose.Schema(
+  {
+    entity: { type: String, required: true },
+    recordId: { type: String, required: true },
+    action: { type: String, required: true },
+    changes: { type: Array, default: [] },
+    snapshot: { type: mongoose.Schema.Types.Mixed },
+    actor: { type: String, default: null },
+    requestId: { type: String, default: null },
+    revertOf: { type: String, default: null },
+    timestamp: { type: Date, required: true },
+  },
+  {
+    collection: "_audit",
+    versionKey: false,
+    minimize: false,
+  }
+);
+
+auditEntrySchema.index({ entity: 1, recordId: 1, timestamp: -1 });
+auditEntrySchema.index({ timestamp: -1 });
+
+export const AuditEntry =
+  mongoose.models.AuditEntry || mongoose.model("AuditEntry", auditEntrySchema);
+
+export default AuditEntry;
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+/**
+ * Sequence counters, one document per "<entity>.<field>".
+ * seq holds the last value handed out.
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, required: true },
+  },
+  {
+    collection: "_counters",
+    versionKey: false,
+  }
+);
+
+export const Counter =
+  mongoose.models.Counter || mongoose.model("Counter", counterSchema);
+
+export default Counter;
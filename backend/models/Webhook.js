@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+/**
+ * Webhook subscriptions. events holds "<entity>.<event>" patterns and
+ * fields, when set, limits updated events to changes of those fields.
+ */
+const webhookSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    events: { type: [String], default: [] },
+    fields: { type: [String], default: [] },
+    secret: { type: String, required: true },
+    active: { type: Boolean, default: true },
+    description: { type: String },
+  },
+  {
+    collection: "_webhooks",
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+export const Webhook =
+  mongoose.models.Webhook || mongoose.model("Webhook", webhookSchema);
+
+export default Webhook;
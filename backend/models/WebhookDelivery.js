@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+/**
+ * Webhook deliveries, one document per event sent to a subscription, with
+ * every attempt made to deliver it
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: { type: String, required: true },
+    event: { type: String, required: true },
+    entity: { type: String },
+    recordId: { type: String },
+    payload: { type: mongoose.Schema.Types.Mixed },
+    status: { type: String, required: true },
+    attempts: { type: Array, default: [] },
+    nextAttemptAt: { type: Date, default: null },
+    deliveredAt: { type: Date, default: null },
+  },
+  {
+    collection: "_webhook_deliveries",
+    timestamps: true,
+    versionKey: false,
+    minimize: false,
+  }
+);
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1 });
+
+export const WebhookDelivery =
+  mongoose.models.WebhookDelivery ||
+  mongoose.model("WebhookDelivery", webhookDeliverySchema);
+
+export default WebhookDelivery;
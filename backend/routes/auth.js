@@ -0,0 +1,302 @@
+import express from "express";
+import { rateLimit } from "express-rate-limit";
+import {
+  AuthError,
+  registrationOpen,
+  normalizeEmail,
+  isSetupToken,
+  validateRegistration,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  issueTokens,
+  verifyToken,
+  presentAccount,
+} from "../utils/auth.js";
+import { ADMIN_ROLE, ROLE_PATTERN } from "../utils/permissions.js";
+
+// Oldest sessions are dropped past this many per account
+const MAX_SESSIONS = 10;
+
+// The token rotated away just before still works this long, for tabs that
+// refresh at the same time
+const REFRESH_GRACE_MS = 10 * 1000;
+
+/**
+ * Generates the authentication routes, mounted at /api/auth:
+ *   POST /register  { email, password, name, setupToken }
+ *                                              -> account and tokens
+ *   POST /login     { email, password }        -> account and tokens
+ *   POST /refresh   { refreshToken }           -> new tokens
+ *   POST /logout    { refreshToken, all }      -> ends the session (or all)
+ *   GET  /me                                   -> signed-in account
+ *   GET  /accounts                             -> every account (admin)
+ *   PATCH /accounts/:id { role }               -> changes a role (admin)
+ * @param {object} accounts - Storage adapter of the account store
+ * @param {Function} authenticate - From createAuthenticate
+ * @param {Function} requireAdmin - From requireRole
+ * @returns {express.Router} - Express router
+ */
+export const createAuthRoutes = (accounts, authenticate, requireAdmin) => {
+  const router = express.Router();
+
+  // Failed attempts per client, against password guessing
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 20,
+    skipSuccessfulRequests: true,
+    standardHeaders: "draft-8",
+    legacyHeaders: false,
+    message: {
+      success: false,
+      error: "Too many attempts, try again later",
+    },
+  });
+
+  const sendAuthError = (res, error) =>
+    res.status(401).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+
+  const sendServerError = (res, action, error) => {
+    console.error(`❌ Error during ${action}:`, error);
+    res.status(500).json({ success: false, error: error.message });
+  };
+
+  // Live sessions of an account, newest last
+  const activeSessions = (account) =>
+    (account.sessions || []).filter((session) => isSessionActive(session));
+
+  const saveSessions = (account, sessions) =>
+    accounts.update(
+      String(account._id),
+      { sessions: sessions.slice(-MAX_SESSIONS) },
+      []
+    );
+
+  // Opens a session and responds with the account and its tokens
+  const signIn = async (res, account, status = 200) => {
+    const session = createSession();
+    const tokens = issueTokens(account, session);
+    await saveSessions(account, [...activeSessions(account), session]);
+
+    res.status(status).json({
+      success: true,
+      data: presentAccount(account),
+      ...tokens,
+    });
+  };
+
+  router.post("/register", limiter, async (req, res) => {
+    try {
+      const errors = validateRegistration(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation error",
+          details: errors,
+        });
+      }
+
+      // The setup token makes the first admin, even while registration
+      // is closed, and nothing once there is one
+      const setup = Boolean(req.body.setupToken);
+      if (
+        setup &&
+        (!isSetupToken(req.body.setupToken) ||
+          (await accounts.count({ role: ADMIN_ROLE })) > 0)
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: "Invalid or already used setup token",
+        });
+      }
+      if (!setup && !registrationOpen()) {
+        return res.status(403).json({
+          success: false,
+          error: "Registration is closed",
+        });
+      }
+      const role = setup ? ADMIN_ROLE : "user";
+
+      const account = await accounts.create({
+        email: normalizeEmail(req.body.email),
+        name: req.body.name?.trim() || undefined,
+        passwordHash: await hashPassword(req.body.password),
+        role,
+        sessions: [],
+      });
+      console.log(`✅ Registered account: ${account.email}`);
+
+      await signIn(res, account, 201);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: "An account with this email already exists",
+        });
+      }
+      sendServerError(res, "registration", error);
+    }
+  });
+
+  router.post("/login", limiter, async (req, res) => {
+    try {
+      const { email, password } = req.body || {};
+      const [account] = await accounts.find(
+        { email: normalizeEmail(email) },
+        { limit: 1 }
+      );
+
+      const valid = await verifyPassword(password, account?.passwordHash);
+      if (!account || !valid) {
+        return sendAuthError(
+          res,
+          new AuthError("Invalid email or password", "INVALID_CREDENTIALS")
+        );
+      }
+
+      await signIn(res, account);
+    } catch (error) {
+      sendServerError(res, "login", error);
+    }
+  });
+
+  // Rotates the refresh token. A token that was already rotated away means
+  // it leaked or was replayed, so the whole session ends.
+  router.post("/refresh", async (req, res) => {
+    try {
+      const { sub, sid, jti } = verifyToken(req.body?.refreshToken, "refresh");
+      const account = await accounts.get(sub, []);
+      const sessions = account ? activeSessions(account) : [];
+      const session = sessions.find((s) => s.id === sid);
+
+      if (!session) {
+        throw new AuthError("Session ended", "SESSION_ENDED");
+      }
+
+      const justRotated =
+        session.previousTokenId === jti &&
+        Date.now() - new Date(session.rotatedAt).getTime() < REFRESH_GRACE_MS;
+
+      if (session.tokenId !== jti && !justRotated) {
+        await saveSessions(account, sessions.filter((s) => s.id !== sid));
+        console.warn(
+          `⚠️ Refresh token reused, session ended: ${account.email}`
+        );
+        throw new AuthError("Refresh token already used", "TOKEN_REUSED");
+      }
+
+      // A racing tab gets the token the first one was just given
+      const rotated = justRotated ? { ...session } : rotateSession(session);
+      const tokens = issueTokens(account, rotated);
+      await saveSessions(
+        account,
+        sessions.map((s) => (s.id === sid ? rotated : s))
+      );
+
+      res.json({ success: true, data: presentAccount(account), ...tokens });
+    } catch (error) {
+      if (error instanceof AuthError) return sendAuthError(res, error);
+      sendServerError(res, "token refresh", error);
+    }
+  });
+
+  // Tokens that no longer verify have no session left to end
+  router.post("/logout", async (req, res) => {
+    try {
+      const { refreshToken, all = false } = req.body || {};
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation error",
+          details: ["refreshToken: required"],
+        });
+      }
+
+      let payload = null;
+      try {
+        payload = verifyToken(refreshToken, "refresh");
+      } catch (error) {
+        if (!(error instanceof AuthError)) throw error;
+      }
+
+      const account = payload && (await accounts.get(payload.sub, []));
+      if (account) {
+        await saveSessions(
+          account,
+          all
+            ? []
+            : activeSessions(account).filter((s) => s.id !== payload.sid)
+        );
+      }
+
+      res.json({
+        success: true,
+        message: all ? "Logged out everywhere" : "Logged out",
+      });
+    } catch (error) {
+      sendServerError(res, "logout", error);
+    }
+  });
+
+  router.get("/me", authenticate, (req, res) => {
+    res.json({ success: true, data: req.user });
+  });
+
+  router.get("/accounts", authenticate, requireAdmin, async (req, res) => {
+    try {
+      const data = await accounts.find({}, { sort: { createdAt: 1 } });
+      res.json({ success: true, data: data.map(presentAccount) });
+    } catch (error) {
+      sendServerError(res, "account listing", error);
+    }
+  });
+
+  // Roles are free-form so entity permissions can name their own. Admins
+  // can't change their own role, so there is always one left.
+  router.patch(
+    "/accounts/:id",
+    authenticate,
+    requireAdmin,
+    async (req, res) => {
+      try {
+        const { role } = req.body || {};
+        if (typeof role !== "string" || !ROLE_PATTERN.test(role)) {
+          return res.status(400).json({
+            success: false,
+            error: "Validation error",
+            details: ["role: expected letters, digits, _ or -"],
+          });
+        }
+        if (req.params.id === String(req.user._id)) {
+          return res.status(403).json({
+            success: false,
+            error: "You can't change your own role",
+          });
+        }
+
+        const account = await accounts.update(req.params.id, { role }, []);
+        if (!account) {
+          return res.status(404).json({
+            success: false,
+            error: "Account not found",
+          });
+        }
+        console.log(`✅ Role of ${account.email} set to ${role}`);
+
+        res.json({ success: true, data: presentAccount(account) });
+      } catch (error) {
+        sendServerError(res, "role change", error);
+      }
+    }
+  );
+
+  return router;
+};
+
+export default { createAuthRoutes };
@@ -0,0 +1,147 @@
+import { WebSocketServer } from "ws";
+import { createChangeFilter } from "../utils/changeFeed.js";
+import { AuthError, presentAccount } from "../utils/auth.js";
+
+const HEARTBEAT_MS = 30 * 1000;
+
+// Close codes past the 4000 mark are the application's own
+const CLOSE_TOKEN_EXPIRED = 4001;
+
+/**
+ * Serves the change feed over WebSocket, for clients that subscribe to
+ * several entities on one connection:
+ *
+ *   ws://host/api/changes?access_token=<token>
+ *   -> { type: "subscribe", id, entity, query }
+ *   <- { type: "subscribed", id } | { type: "error", id, error, details }
+ *   <- { type: "change", subscription: id, event }
+ *   -> { type: "unsubscribe", id }
+ *   <- { type: "unsubscribed", id }
+ *
+ * query takes the list route's search, filter[...] and fields. The socket
+ * closes with code 4001 when the access token expires; reconnect with a
+ * fresh one.
+ * @param {http.Server} server - Server the app listens on
+ * @param {object} options - {
+ *     path          upgrade path
+ *     feed          from createChangeFeed
+ *     verifyAccess  from createVerifyAccess
+ *     getConfig     (entity) -> backend configuration, or undefined
+ *   }
+ * @returns {WebSocketServer}
+ */
+export const attachChangeSocket = (
+  server,
+  { path, feed, verifyAccess, getConfig }
+) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", async (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== path) return;
+
+    try {
+      const { account, expiresAt } = await verifyAccess(
+        url.searchParams.get("access_token")
+      );
+      wss.handleUpgrade(req, socket, head, (ws) =>
+        wss.emit("connection", ws, presentAccount(account), expiresAt)
+      );
+    } catch (error) {
+      const denied = error instanceof AuthError;
+      if (!denied) console.error("❌ Change socket upgrade failed:", error);
+      const status = denied ? "401 Unauthorized" : "500 Internal Server Error";
+      socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+    }
+  });
+
+  wss.on("connection", (ws, user, expiresAt) => {
+    const subscriptions = new Map();
+    let alive = true;
+
+    const send = (message) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+    };
+
+    const unsubscribe = (id) => {
+      subscriptions.get(id)?.();
+      subscriptions.delete(id);
+    };
+
+    const subscribe = ({ id, entity, query = {} }) => {
+      if (id === undefined || id === null) {
+        return send({ type: "error", error: "Subscription id required" });
+      }
+      const config = getConfig(entity);
+      if (!config) {
+        return send({ type: "error", id, error: `Unknown entity: ${entity}` });
+      }
+
+      const changeFilter = createChangeFilter(config, user, query || {});
+      if (changeFilter.forbidden) {
+        return send({
+          type: "error",
+          id,
+          error: `Not allowed to list ${entity}`,
+        });
+      }
+      if (changeFilter.errors) {
+        return send({
+          type: "error",
+          id,
+          error: "Invalid query",
+          details: changeFilter.errors,
+        });
+      }
+
+      unsubscribe(id);
+      subscriptions.set(
+        id,
+        feed.subscribe(entity, (entry) => {
+          const event = changeFilter.toEvent(entry);
+          if (event) send({ type: "change", subscription: id, event });
+        })
+      );
+      send({ type: "subscribed", id });
+    };
+
+    ws.on("message", (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch {
+        return send({ type: "error", error: "Messages must be JSON" });
+      }
+
+      if (message?.type === "subscribe") return subscribe(message);
+      if (message?.type === "unsubscribe") {
+        unsubscribe(message.id);
+        return send({ type: "unsubscribed", id: message.id });
+      }
+      send({ type: "error", error: `Unknown message type: ${message?.type}` });
+    });
+
+    ws.on("pong", () => {
+      alive = true;
+    });
+    const heartbeat = setInterval(() => {
+      if (!alive) return ws.terminate();
+      alive = false;
+      ws.ping();
+    }, HEARTBEAT_MS);
+    const expiry = setTimeout(
+      () => ws.close(CLOSE_TOKEN_EXPIRED, "Token expired"),
+      Math.max(expiresAt - Date.now(), 0)
+    );
+
+    ws.on("close", () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      for (const id of [...subscriptions.keys()]) unsubscribe(id);
+    });
+  });
+
+  return wss;
+};
+
+export default { attachChangeSocket };
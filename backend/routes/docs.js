@@ -0,0 +1,84 @@
+import express from "express";
+import swaggerUi from "swagger-ui-dist";
+
+/**
+ * Generates the API docs routes: Swagger UI, served from the bundled
+ * swagger-ui-dist, for the OpenAPI document at specUrl
+ *   GET /          docs page
+ *   GET /init.js   starts the UI on the document
+ *   GET /<asset>   scripts and styles of the UI
+ * The page holds no API data itself. The document needs an access token,
+ * which the page asks for and sends with every request it makes.
+ * @param {string} specUrl - Path of the OpenAPI document
+ * @returns {express.Router} - Express router
+ */
+export const createDocsRoutes = (specUrl) => {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    const asset = (file) => `${req.baseUrl}/${file}`;
+    res.type("html").send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Dynamic Form API</title>
+    <link rel="stylesheet" href="${asset("swagger-ui.css")}" />
+    <link rel="icon" type="image/png" href="${asset("favicon-32x32.png")}" />
+  </head>
+  <body>
+    <form id="token-form" style="padding: 16px 20px; font-family: sans-serif">
+      <label>
+        Access token
+        <input name="token" type="password" autocomplete="off" size="40" />
+      </label>
+      <button type="submit">Load</button>
+    </form>
+    <div id="swagger-ui"></div>
+    <script src="${asset("swagger-ui-bundle.js")}"></script>
+    <script src="${asset("swagger-ui-standalone-preset.js")}"></script>
+    <script src="${asset("init.js")}"></script>
+  </body>
+</html>
+`);
+  });
+
+  router.get("/init.js", (req, res) => {
+    res.type("js").send(`const TOKEN_KEY = "apiDocsToken";
+
+const load = () => {
+  const token = sessionStorage.getItem(TOKEN_KEY);
+  window.ui = SwaggerUIBundle({
+    url: ${JSON.stringify(specUrl)},
+    dom_id: "#swagger-ui",
+    deepLinking: true,
+    persistAuthorization: true,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: "StandaloneLayout",
+    requestInterceptor: (request) => {
+      if (token && !request.headers.Authorization) {
+        request.headers.Authorization = "Bearer " + token;
+      }
+      return request;
+    },
+  });
+};
+
+window.onload = () => {
+  const form = document.getElementById("token-form");
+  form.token.value = sessionStorage.getItem(TOKEN_KEY) || "";
+  form.onsubmit = (event) => {
+    event.preventDefault();
+    sessionStorage.setItem(TOKEN_KEY, form.token.value.trim());
+    load();
+  };
+  load();
+};
+`);
+  });
+
+  router.use(express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+  return router;
+};
+
+export default { createDocsRoutes };
@@ -0,0 +1,105 @@
+import express from "express";
+import {
+  parse,
+  validate,
+  execute,
+  getOperationAST,
+  specifiedRules,
+} from "graphql";
+import { MAX_QUERY_DEPTH, depthLimitRule } from "../utils/graphql.js";
+
+const rules = [...specifiedRules, depthLimitRule(MAX_QUERY_DEPTH)];
+
+const sendErrors = (res, status, errors) =>
+  res.status(status).json({
+    errors: errors.map((error) =>
+      typeof error === "string" ? { message: error } : error
+    ),
+  });
+
+// GET sends variables as a JSON string
+const parseVariables = (variables) => {
+  if (typeof variables !== "string") return variables;
+  return variables.trim() ? JSON.parse(variables) : undefined;
+};
+
+/**
+ * Generates the GraphQL endpoint, mounted at /graphql:
+ *   POST /   { query, variables, operationName }
+ *   GET  /   ?query=&variables=&operationName=   queries only
+ * Answers { data, errors }: 400 when the document doesn't parse or
+ * validate (nesting past MAX_QUERY_DEPTH included), 200 once it ran,
+ * even if resolvers failed.
+ * @param {Function} getSchema - () -> current GraphQLSchema, or null
+ * @returns {express.Router} - Express router
+ */
+export const createGraphQLRoutes = (getSchema) => {
+  const router = express.Router();
+
+  const run = async (req, res, params) => {
+    const schema = getSchema();
+    if (!schema) return sendErrors(res, 503, ["No GraphQL schema available"]);
+
+    const { query, operationName } = params;
+    if (typeof query !== "string" || !query.trim()) {
+      return sendErrors(res, 400, ["query: required"]);
+    }
+
+    let document;
+    let variables;
+    try {
+      document = parse(query);
+      variables = parseVariables(params.variables);
+    } catch (error) {
+      return sendErrors(res, 400, [error.message]);
+    }
+
+    const errors = validate(schema, document, rules);
+    if (errors.length > 0) return sendErrors(res, 400, errors);
+
+    const operation = getOperationAST(document, operationName);
+    if (!operation) {
+      return sendErrors(res, 400, ["operationName: no such operation"]);
+    }
+    if (req.method === "GET" && operation.operation !== "query") {
+      res.set("Allow", "POST");
+      return sendErrors(res, 405, [
+        `${operation.operation} operations need POST`,
+      ]);
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables,
+      operationName,
+      contextValue: { user: req.user, cache: new Map() },
+    });
+
+    for (const error of result.errors || []) {
+      if (!error.extensions?.code) {
+        console.error(
+          "❌ GraphQL resolver error:",
+          error.originalError || error
+        );
+      }
+    }
+    res.json(result);
+  };
+
+  const runRoute = (read) => async (req, res) => {
+    try {
+      await run(req, res, read(req));
+    } catch (error) {
+      console.error("❌ Error in GraphQL request:", error);
+      sendErrors(res, 500, [error.message]);
+    }
+  };
+
+  router.get("/", runRoute((req) => req.query));
+  router.post("/", runRoute((req) => req.body || {}));
+
+  return router;
+};
+
+export default { createGraphQLRoutes };
@@ -0,0 +1,214 @@
+import express from "express";
+import {
+  validateWebhook,
+  generateSecret,
+  presentWebhook,
+  buildDeliveryFilter,
+} from "../utils/webhooks.js";
+
+const WEBHOOK_FIELDS = [
+  "url",
+  "events",
+  "fields",
+  "secret",
+  "active",
+  "description",
+];
+
+const pick = (body = {}) =>
+  Object.fromEntries(
+    WEBHOOK_FIELDS.filter((key) => body[key] !== undefined).map((key) => [
+      key,
+      body[key],
+    ])
+  );
+
+/**
+ * Generates the webhook admin routes, mounted at /api/webhooks:
+ *   GET    /                           subscriptions
+ *   POST   /                           subscribe; the response shows the
+ *                                      secret, generated unless given
+ *   GET    /:id                        one subscription
+ *   PATCH  /:id                        change url, events, fields, secret,
+ *                                      active or description
+ *   DELETE /:id                        unsubscribe
+ *   POST   /:id/ping                   send a test event now
+ *   GET    /deliveries                 delivery log, newest first
+ *     ?webhookId=&event=&entity=&recordId=&status=failed,pending
+ *     &since=&until=&page=&limit=
+ *   GET    /deliveries/:id             one delivery with its payload
+ *   POST   /deliveries/:id/redeliver   try a delivery again now
+ * @param {object} options - {
+ *     webhooks     storage adapter of the subscriptions
+ *     deliveries   storage adapter of the delivery log
+ *     dispatcher   from createWebhookDispatcher
+ *     getEntities  () -> entity names of the current schema
+ *   }
+ * @returns {express.Router} - Express router
+ */
+export const createWebhookRoutes = ({
+  webhooks,
+  deliveries,
+  dispatcher,
+  getEntities,
+}) => {
+  const router = express.Router();
+
+  const sendValidationError = (res, details) =>
+    res.status(400).json({
+      success: false,
+      error: "Validation error",
+      details: details,
+    });
+
+  const sendNotFound = (res, what) =>
+    res.status(404).json({ success: false, error: `${what} not found` });
+
+  const runRoute = (name, handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`❌ Error in webhook ${name}:`, error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+
+  /* ---------- DELIVERY LOG ---------- */
+  router.get(
+    "/deliveries",
+    runRoute("delivery log", async (req, res) => {
+      const { page = 1, limit = 50 } = req.query;
+      const errors = [];
+      const filter = buildDeliveryFilter(req.query, errors);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid query",
+          details: errors,
+        });
+      }
+
+      const data = await deliveries.find(filter, {
+        sort: { createdAt: -1, _id: -1 },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        limit: parseInt(limit),
+      });
+      const total = await deliveries.count(filter);
+
+      res.json({
+        success: true,
+        // Payloads can be large; GET /deliveries/:id has them
+        data: data.map(({ payload, ...delivery }) => delivery),
+        total,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    })
+  );
+
+  router.get(
+    "/deliveries/:id",
+    runRoute("delivery", async (req, res) => {
+      const delivery = await deliveries.get(req.params.id, []);
+      if (!delivery) return sendNotFound(res, "Delivery");
+      res.json({ success: true, data: delivery });
+    })
+  );
+
+  router.post(
+    "/deliveries/:id/redeliver",
+    runRoute("redelivery", async (req, res) => {
+      const delivery = await dispatcher.redeliver(req.params.id);
+      if (!delivery) return sendNotFound(res, "Delivery");
+      res.json({ success: true, data: delivery });
+    })
+  );
+
+  /* ---------- SUBSCRIPTIONS ---------- */
+  router.get(
+    "/",
+    runRoute("listing", async (req, res) => {
+      const data = await webhooks.find({}, { sort: { createdAt: 1 } });
+      res.json({
+        success: true,
+        data: data.map((webhook) => presentWebhook(webhook)),
+      });
+    })
+  );
+
+  router.post(
+    "/",
+    runRoute("creation", async (req, res) => {
+      const errors = validateWebhook(req.body, getEntities());
+      if (errors.length > 0) return sendValidationError(res, errors);
+
+      const webhook = await webhooks.create({
+        fields: [],
+        active: true,
+        ...pick(req.body),
+        secret: req.body.secret || generateSecret(),
+      });
+      console.log(`✅ Webhook subscribed: ${webhook.url}`);
+
+      res.status(201).json({
+        success: true,
+        data: presentWebhook(webhook, { withSecret: true }),
+        message: "Keep the secret to verify X-Webhook-Signature",
+      });
+    })
+  );
+
+  router.get(
+    "/:id",
+    runRoute("lookup", async (req, res) => {
+      const webhook = await webhooks.get(req.params.id, []);
+      if (!webhook) return sendNotFound(res, "Webhook");
+      res.json({ success: true, data: presentWebhook(webhook) });
+    })
+  );
+
+  router.patch(
+    "/:id",
+    runRoute("update", async (req, res) => {
+      const errors = validateWebhook(req.body, getEntities(), {
+        partial: true,
+      });
+      if (errors.length > 0) return sendValidationError(res, errors);
+
+      const changes = pick(req.body);
+      const webhook = await webhooks.update(req.params.id, changes, []);
+      if (!webhook) return sendNotFound(res, "Webhook");
+
+      res.json({
+        success: true,
+        data: presentWebhook(webhook, { withSecret: "secret" in changes }),
+      });
+    })
+  );
+
+  router.delete(
+    "/:id",
+    runRoute("deletion", async (req, res) => {
+      const webhook = await webhooks.delete(req.params.id, []);
+      if (!webhook) return sendNotFound(res, "Webhook");
+      console.log(`🗑️ Webhook removed: ${webhook.url}`);
+      res.json({ success: true, data: presentWebhook(webhook) });
+    })
+  );
+
+  router.post(
+    "/:id/ping",
+    runRoute("ping", async (req, res) => {
+      const webhook = await webhooks.get(req.params.id, []);
+      if (!webhook) return sendNotFound(res, "Webhook");
+      res.json({ success: true, data: await dispatcher.ping(webhook) });
+    })
+  );
+
+  return router;
+};
+
+export default { createWebhookRoutes };
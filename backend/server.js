@@ -5,7 +5,116 @@ import bodyParser from "body-parser";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { randomUUID } from "crypto";
 import "dotenv/config";
+import { validateSchema } from "./utils/schemaValidator.js";
+import {
+  applyGenerators,
+  getGenerator,
+  getLookupKeys,
+} from "./utils/idGenerators.js";
+import { validateRecord } from "./utils/recordValidator.js";
+import { applyTransforms } from "./utils/transforms.js";
+import { buildListQuery } from "./utils/queryBuilder.js";
+import {
+  COUNT_MODES,
+  CursorError,
+  findPage,
+  countRecords,
+  parseLimit,
+} from "./utils/pagination.js";
+import {
+  buildProjection,
+  applyProjection,
+  hideFields,
+} from "./utils/projection.js";
+import {
+  checkReferences,
+  parseExpand,
+  expandRecords,
+} from "./utils/references.js";
+import {
+  planDelete,
+  getBlocking,
+  describePlan,
+  executeDelete,
+  deleteWithPolicies,
+  restoreDelete,
+} from "./utils/integrity.js";
+import {
+  getSoftDelete,
+  isTrashed,
+  liveFilter,
+  trashFilter,
+  expiredFilter,
+} from "./utils/softDelete.js";
+import { BULK_MODES, MAX_BULK_ITEMS, runBulk } from "./utils/bulk.js";
+import {
+  detectFormat,
+  readSpreadsheet,
+  mapColumns,
+  rowToRecord,
+} from "./utils/importer.js";
+import {
+  EXPORT_FORMATS,
+  getExportColumns,
+  iterateRecords,
+  streamExport,
+} from "./utils/exporter.js";
+import {
+  AUDIT_CONFIG,
+  auditContext,
+  createAuditLog,
+  withAudit,
+  revertChanges,
+  presentEntry,
+  buildAuditFilter,
+} from "./utils/audit.js";
+import {
+  VERSION_FIELD,
+  getRecordVersion,
+  formatETag,
+  matchesIfMatch,
+  writeCondition,
+  withVersion,
+} from "./utils/concurrency.js";
+import { AuditEntry } from "./models/AuditEntry.js";
+import { Account } from "./models/Account.js";
+import { ACCOUNT_CONFIG, announceSetup } from "./utils/auth.js";
+import {
+  createAuthenticate,
+  createVerifyAccess,
+  requireRole,
+} from "./middlewares/auth.js";
+import { createAuthRoutes } from "./routes/auth.js";
+import { Webhook } from "./models/Webhook.js";
+import { WebhookDelivery } from "./models/WebhookDelivery.js";
+import {
+  WEBHOOK_CONFIG,
+  DELIVERY_CONFIG,
+  createWebhookDispatcher,
+} from "./utils/webhooks.js";
+import { createWebhookRoutes } from "./routes/webhooks.js";
+import { createChangeFeed, createChangeFilter } from "./utils/changeFeed.js";
+import { attachChangeSocket } from "./routes/changes.js";
+import { buildOpenApiSpec } from "./utils/openapi.js";
+import { createDocsRoutes } from "./routes/docs.js";
+import { buildGraphQLSchema } from "./utils/graphql.js";
+import { createGraphQLRoutes } from "./routes/graphql.js";
+import {
+  ADMIN_ROLE,
+  getOwnerField,
+  resolveAccess,
+} from "./utils/permissions.js";
+import { resolveStorageType, createStorage } from "./storage/index.js";
+import {
+  initHistory,
+  diffSchemas,
+  recordVersion,
+  listVersions,
+  getVersion,
+  getLatestVersion,
+} from "./utils/schemaHistory.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,7 +128,14 @@ app.use(
   cors({
     origin: "*",
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Request-Id",
+      "If-Match",
+      "If-None-Match",
+    ],
+    exposedHeaders: ["X-Request-Id", "ETag"],
   })
 );
 app.use(bodyParser.json({ limit: "50mb" }));
@@ -30,11 +146,25 @@ app.use((req, res, next) => {
   next();
 });
 
+// Request id and actor for the audit log. Callers may pass their own
+// X-Request-Id; authentication fills in the actor.
+app.use((req, res, next) => {
+  const requestId = req.get("X-Request-Id") || randomUUID();
+  res.setHeader("X-Request-Id", requestId);
+  auditContext.run({ requestId, actor: null }, next);
+});
+
 /* ============================================
    MONGODB CONNECTION (SERVERLESS SAFE)
 ============================================ */
 const MONGODB_URI = process.env.MONGODB_URI;
 let isMongoConnected = false;
+// Replica sets and sharded clusters run multi-document transactions;
+// a standalone server doesn't
+let supportsTransactions = false;
+
+// Queries inside connection.transaction() join its session on their own
+mongoose.set("transactionAsyncLocalStorage", true);
 
 let cached = global.mongoose;
 if (!cached) {
@@ -49,6 +179,7 @@ const connectDB = async () => {
 
   if (cached.conn) {
     isMongoConnected = true;
+    supportsTransactions = cached.transactions;
     return true;
   }
 
@@ -61,8 +192,16 @@ const connectDB = async () => {
 
   try {
     cached.conn = await cached.promise;
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    cached.transactions = Boolean(hello.setName || hello.msg === "isdbgrid");
     isMongoConnected = true;
+    supportsTransactions = cached.transactions;
     console.log("✅ MongoDB Connected");
+    if (!supportsTransactions) {
+      console.warn(
+        "⚠️ MongoDB has no transactions (standalone server), atomic bulk writes fall back to undoing"
+      );
+    }
     return true;
   } catch (err) {
     cached.promise = null;
@@ -73,11 +212,6 @@ const connectDB = async () => {
 
 await connectDB();
 
-/* ============================================
-   IN-MEMORY STORAGE
-============================================ */
-const memoryStore = {};
-
 /* ============================================
    SCHEMA LOADING
 ============================================ */
@@ -96,9 +230,10 @@ let currentSchema = {
   },
 };
 
+const schemaPath = path.join(__dirname, "schemaConfig.json");
+
 const loadSchema = () => {
   try {
-    const schemaPath = path.join(__dirname, "schemaConfig.json");
     if (fs.existsSync(schemaPath)) {
       currentSchema = JSON.parse(fs.readFileSync(schemaPath, "utf8"));
       console.log("✅ Schema loaded");
@@ -108,13 +243,41 @@ const loadSchema = () => {
   }
 };
 
+// Returns false when the file can't be written (e.g. read-only serverless FS)
+const saveSchema = (schema) => {
+  try {
+    fs.writeFileSync(schemaPath, JSON.stringify(schema, null, 2));
+    console.log("✅ Schema saved");
+    return true;
+  } catch (err) {
+    console.warn("⚠️ Schema save failed:", err.message);
+    return false;
+  }
+};
+
 loadSchema();
 
+// Seed the history with whatever schema the server booted with
+initHistory(path.join(__dirname, "schemaHistory.json"));
+if (!getLatestVersion()) {
+  recordVersion(currentSchema, { author: "system", summary: "Initial schema" });
+}
+
 /* ============================================
    DYNAMIC MODEL CREATOR - SIMPLIFIED (NO PRE-SAVE HOOKS)
 ============================================ */
 const modelCache = {};
 
+// Drop cached models so the next createModel call picks up schema changes
+const resetModels = () => {
+  for (const modelName of Object.keys(modelCache)) {
+    delete modelCache[modelName];
+    if (mongoose.models[modelName]) {
+      delete mongoose.models[modelName];
+    }
+  }
+};
+
 const createModel = (entityName, config) => {
   const modelName = entityName.charAt(0).toUpperCase() + entityName.slice(1);
 
@@ -127,9 +290,10 @@ const createModel = (entityName, config) => {
   const fields = {};
 
   for (const [key, val] of Object.entries(config.schema)) {
-    // Handle array types properly
+    // Handle array types properly. Transforms and ref keys are ours, not
+    // Mongoose's.
     if (Array.isArray(val)) {
-      fields[key] = val;
+      fields[key] = val.map(({ transform, refKey, ...element }) => element);
       continue;
     }
 
@@ -139,6 +303,8 @@ const createModel = (entityName, config) => {
     if (val.type === "Date") type = Date;
     if (val.type === "Array") type = Array;
     if (val.type === "Object") type = Object;
+    if (val.type === "ObjectId") type = mongoose.Schema.Types.ObjectId;
+    if (val.type === "Mixed") type = mongoose.Schema.Types.Mixed;
 
     fields[key] = {
       type,
@@ -163,6 +329,17 @@ const createModel = (entityName, config) => {
     };
   }
 
+  // Trash queries filter on deletedAt
+  if (getSoftDelete(config) && !fields.deletedAt) {
+    fields.deletedAt = { type: Date, index: true };
+  }
+
+  // "Own records" rules filter on the owner
+  const ownerField = getOwnerField(config);
+  if (ownerField && !fields[ownerField]) {
+    fields[ownerField] = { type: String, index: true };
+  }
+
   const schema = new mongoose.Schema(fields, {
     timestamps: true,
     strict: false,
@@ -176,55 +353,292 @@ const createModel = (entityName, config) => {
   return model;
 };
 
+/* ============================================
+   RECORD ACTIONS
+   Lookups and the write pipeline of one entity, shared by its
+   REST routes and the GraphQL resolvers
+============================================ */
+const createRecordActions = (entity, config, store, entities) => {
+  const resolveEntity = (name) => entities.get(name);
+  const ownerField = getOwnerField(config);
+
+  // Fields tried after _id when resolving /:id
+  const lookupKeys = getLookupKeys(config);
+  const softDelete = getSoftDelete(config);
+
+  // Record by _id or lookup key, unless it is in the trash. Records access
+  // doesn't allow the action on don't exist either.
+  const getLive = async (id, access, action) => {
+    const record = await store.get(id, lookupKeys);
+    if (!record || (softDelete && isTrashed(record))) return null;
+    return access.allows(action, record) ? record : null;
+  };
+
+  // Transforms and reference checks run before every create and update.
+  // Returns { data } or { error, details }.
+  const prepareWrite = async (body) => {
+    const { data, errors } = applyTransforms(config.schema, body);
+    if (errors.length > 0) {
+      return { error: "Transform error", details: errors };
+    }
+
+    // deletedAt only changes through delete and restore
+    if (softDelete) delete data.deletedAt;
+    delete data[VERSION_FIELD];
+    if (ownerField) delete data[ownerField];
+
+    const missing = await checkReferences(config.schema, data, resolveEntity);
+    if (missing.length > 0) {
+      return { error: "Validation error", details: missing };
+    }
+
+    return { data };
+  };
+
+  // Role checks of a prepared write; creates get the account as owner.
+  // req is the request, or anything with its access and user. Returns
+  // null or { error, details }.
+  const authorizeWrite = (req, action, data, current) => {
+    const locked = req.access.lockedFields(data, current);
+    if (locked.length > 0) {
+      return {
+        error: "Not allowed to change these fields",
+        details: locked.map((field) => `${field}: read-only for your role`),
+      };
+    }
+    if (ownerField && !current) data[ownerField] = String(req.user._id);
+    if (!req.access.allows(action, { ...current, ...data })) {
+      return { error: `Not allowed to ${action} this record` };
+    }
+    return null;
+  };
+
+  // Moves a record to the trash, or deletes it applying onDelete rules.
+  // condition is a writeCondition the record must still meet. Returns
+  // { blocking } while other records still reference it, { stale } when
+  // the record changed or went meanwhile, otherwise { doc, trashed, report }.
+  const removeRecord = async (record, condition = {}) => {
+    const plan = await planDelete(entity, record, entities);
+    const blocking = getBlocking(plan);
+    if (blocking.length > 0) return { blocking };
+
+    if (softDelete) {
+      const doc = await store.update(
+        String(record._id),
+        { deletedAt: new Date() },
+        [],
+        condition
+      );
+      return doc ? { doc, trashed: true } : { stale: true };
+    }
+
+    const report = describePlan(plan, entities);
+    const doc = await executeDelete(plan, entities, condition);
+    if (!doc && condition.version !== undefined) return { stale: true };
+    return { doc: doc || record, report };
+  };
+
+  return {
+    lookupKeys,
+    softDelete,
+    getLive,
+    prepareWrite,
+    authorizeWrite,
+    removeRecord,
+  };
+};
+
 /* ============================================
    ROUTE CREATOR - WITH ID GENERATION IN ROUTES
 ============================================ */
-const createRoutes = (entity, config, Model) => {
+const createRoutes = (entity, config, store, entities, actions) => {
   const router = express.Router();
+  const resolveEntity = (name) => entities.get(name);
+  const {
+    lookupKeys,
+    softDelete,
+    getLive,
+    prepareWrite,
+    authorizeWrite,
+    removeRecord,
+  } = actions;
+
+  // What the signed-in account may do here, from options.permissions
+  router.use((req, res, next) => {
+    req.access = resolveAccess(config, req.user);
+    next();
+  });
 
-  // GET - Fetch all records
-  router.get("/", async (req, res) => {
-    try {
-      const { page = 1, limit = 100, search = "" } = req.query;
+  // Other entities as the account may read them, for expand=
+  const resolveReadable = (user) => (name) => {
+    const target = entities.get(name);
+    if (!target) return target;
+    const access = resolveAccess(target.config, user);
+    if (!access.can("read")) return null;
+    return {
+      config: access.config,
+      store: {
+        find: (filter, options) =>
+          target.store.find(access.restrict("read", filter), options),
+      },
+    };
+  };
 
-      if (isMongoConnected && Model) {
-        let query = {};
+  const sendValidationError = (res, details) =>
+    res.status(400).json({
+      success: false,
+      error: "Validation error",
+      details: details,
+    });
 
-        if (search && search.trim()) {
-          const stringFields = Object.keys(config.schema).filter(
-            (key) => config.schema[key].type === "String"
-          );
+  // For { error, details } results of prepareWrite
+  const sendWriteError = (res, { error, details }) =>
+    res.status(400).json({
+      success: false,
+      error: error,
+      details: details,
+    });
 
-          if (stringFields.length > 0) {
-            query.$or = stringFields.map((field) => ({
-              [field]: { $regex: search.trim(), $options: "i" },
-            }));
-          }
-        }
+  const sendQueryError = (res, details) =>
+    res.status(400).json({
+      success: false,
+      error: "Invalid query",
+      details: details,
+    });
+
+  const sendDuplicateError = (res, field) =>
+    res.status(409).json({
+      success: false,
+      error: `Duplicate entry for field: ${field}`,
+      field: field,
+    });
 
-        const data = await Model.find(query)
-          .limit(parseInt(limit))
-          .skip((parseInt(page) - 1) * parseInt(limit))
-          .sort({ createdAt: -1 })
-          .lean();
+  const sendForbidden = (res, action) =>
+    res.status(403).json({
+      success: false,
+      error: `Not allowed to ${action} ${entity}`,
+    });
 
-        const total = await Model.countDocuments(query);
+  // Read-only fields for the role, or a record the rules don't cover
+  const sendWriteForbidden = (res, { error, details }) =>
+    res.status(403).json({
+      success: false,
+      error: error,
+      details: details,
+    });
+
+  // The If-Match version is stale: send the current copy to merge against
+  const sendPreconditionFailed = (req, res, record) => {
+    res.set("ETag", formatETag(getRecordVersion(record)));
+    return res.status(412).json({
+      success: false,
+      error: `${entity} was changed by someone else`,
+      current: withVersion(record, hideFields(req.access.config, record)),
+    });
+  };
+
+  const sendBlockedError = (res, blocking) =>
+    res.status(409).json({
+      success: false,
+      error: `Cannot delete ${entity}: other records still reference it`,
+      details: blocking,
+    });
+
+  // Same messages as the single-record routes, for bulk item results
+  const describeStoreError = (error) => {
+    if (error.name === "ValidationError") {
+      return {
+        error: "Validation error",
+        details: Object.values(error.errors).map((e) => e.message),
+      };
+    }
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern || {})[0];
+      return { error: `Duplicate entry for field: ${field}` };
+    }
+    return { error: error.message };
+  };
+
+  // GET - Fetch all records
+  router.get("/", async (req, res) => {
+    if (!req.access.can("list")) return sendForbidden(res, "list");
+    try {
+      const { page = 1, cursor } = req.query;
+      const limit = parseLimit(req.query.limit, 100);
+      const query = buildListQuery(req.access.schema, req.query);
+      const { sort, errors } = query;
+      const filter = req.access.restrict(
+        "list",
+        liveFilter(config, query.filter)
+      );
+      const { projection, errors: fieldErrors } = buildProjection(
+        req.access.config,
+        req.query.fields,
+        { list: true }
+      );
+      errors.push(...fieldErrors);
+      const expand = parseExpand(config.schema, req.query.expand, errors);
+
+      // Project first so expansion skips fields the caller left out
+      const present = (records) =>
+        expandRecords(
+          records.map((record) =>
+            withVersion(record, applyProjection(record, projection))
+          ),
+          expand,
+          resolveReadable(req.user)
+        );
+
+      // Cursor mode counts nothing unless asked, page mode keeps its total
+      const cursorMode = cursor !== undefined;
+      const count = req.query.count || (cursorMode ? "none" : "exact");
+
+      if (!COUNT_MODES.includes(count)) {
+        errors.push(`count: expected one of ${COUNT_MODES.join(", ")}`);
+      }
+      if (errors.length > 0) {
+        return sendQueryError(res, errors);
+      }
+
+      if (cursorMode) {
+        const { data, nextCursor, prevCursor } = await findPage(
+          store,
+          req.access.schema,
+          { filter, sort, limit, cursor }
+        );
 
         return res.json({
           success: true,
-          data,
-          total,
-          pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            totalPages: Math.ceil(total / parseInt(limit)),
-          },
+          data: await present(data),
+          ...(await countRecords(store, filter, count)),
+          pagination: { limit, nextCursor, prevCursor },
         });
       }
 
-      const items = memoryStore[entity] || [];
-      res.json({ success: true, data: items, total: items.length });
+      const data = await store.find(filter, {
+        sort,
+        skip: (parseInt(page) - 1) * limit,
+        limit,
+      });
+
+      const { total, estimated } = await countRecords(store, filter, count);
+
+      res.json({
+        success: true,
+        data: await present(data),
+        total,
+        estimated,
+        pagination: {
+          page: parseInt(page),
+          limit,
+          totalPages:
+            total === undefined ? undefined : Math.ceil(total / limit),
+        },
+      });
     } catch (error) {
+      if (error instanceof CursorError) {
+        return sendQueryError(res, [error.message]);
+      }
       console.error(`❌ Error fetching ${entity}:`, error);
       res.status(500).json({
         success: false,
@@ -236,41 +650,291 @@ const createRoutes = (entity, config, Model) => {
     }
   });
 
-  // GET - Fetch single record by ID
-  router.get("/:id", async (req, res) => {
+  // GET - Live changes to the records the list would return, as
+  //   Server-Sent Events ("change" events, see utils/changeFeed.js).
+  //   Takes the list route's search, filter and fields parameters. The
+  //   stream ends when the access token expires; reconnect with a new one.
+  router.get("/changes", (req, res) => {
+    const changeFilter = createChangeFilter(config, req.user, req.query);
+    if (changeFilter.forbidden) return sendForbidden(res, "list");
+    if (changeFilter.errors) return sendQueryError(res, changeFilter.errors);
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${CHANGE_RETRY_MS}\n\n`);
+
+    const unsubscribe = changeFeed.subscribe(entity, (entry) => {
+      const event = changeFilter.toEvent(entry);
+      if (!event) return;
+      res.write(
+        `id: ${event.id}\nevent: change\ndata: ${JSON.stringify(event)}\n\n`
+      );
+    });
+    // Comments keep proxies from closing an idle stream
+    const heartbeat = setInterval(
+      () => res.write(": heartbeat\n\n"),
+      CHANGE_HEARTBEAT_MS
+    );
+    const expiry = setTimeout(
+      () => res.end(),
+      Math.max(req.tokenExpiresAt - Date.now(), 0)
+    );
+
+    res.on("close", () => {
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+    });
+  });
+
+  // GET - Stream every matching record as a file
+  //   ?format=csv|xlsx|json|ndjson, plus the list route's search, filter,
+  //   sort and fields parameters
+  router.get("/export", async (req, res) => {
+    if (!req.access.can("list")) return sendForbidden(res, "list");
+    const { format = "csv" } = req.query;
+    const query = buildListQuery(req.access.schema, req.query);
+    const { sort, errors } = query;
+    const filter = req.access.restrict(
+      "list",
+      liveFilter(config, query.filter)
+    );
+    const { projection, errors: fieldErrors } = buildProjection(
+      req.access.config,
+      req.query.fields
+    );
+    errors.push(...fieldErrors);
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      errors.push(`format: expected one of ${EXPORT_FORMATS.join(", ")}`);
+    }
+    if (errors.length > 0) {
+      return sendQueryError(res, errors);
+    }
+
+    const columns = getExportColumns(
+      req.access.config,
+      entities.get(entity)?.frontend?.columns,
+      projection
+    );
+    const records = (async function* () {
+      for await (const record of iterateRecords(store, req.access.schema, {
+        filter,
+        sort,
+      })) {
+        yield applyProjection(record, projection);
+      }
+    })();
+
     try {
-      if (isMongoConnected && Model) {
-        let record = null;
+      await streamExport(res, format, { entity, columns, records });
+    } catch (error) {
+      console.error(`❌ Error exporting ${entity}:`, error);
 
-        if (mongoose.Types.ObjectId.isValid(req.params.id)) {
-          record = await Model.findById(req.params.id).lean();
-        }
+      // Once rows are out the only signal left is a cut connection
+      if (res.headersSent) return res.destroy(error);
+      res.removeHeader("Content-Disposition");
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        entity: entity,
+      });
+    }
+  });
 
-        if (!record) {
-          const numericId = !isNaN(req.params.id)
-            ? parseInt(req.params.id)
-            : req.params.id;
-          record = await Model.findOne({ id: numericId }).lean();
-        }
+  /* ---------- TRASH ----------
+     Only for entities with options.softDelete
+     GET    /trash              trashed records, latest deleted first
+     POST   /trash/:id/restore  put a record back
+     DELETE /trash/:id          purge one record, applying onDelete rules
+     DELETE /trash              purge everything that isn't blocked
+  */
+  if (softDelete) {
+    const getTrashed = async (id, access) => {
+      const record = await store.get(id, lookupKeys);
+      return isTrashed(record) && access.allows("delete", record)
+        ? record
+        : null;
+    };
+
+    const sendNotInTrash = (res) =>
+      res.status(404).json({
+        success: false,
+        error: `${entity} not found in trash`,
+      });
+
+    // The trash belongs to whoever may delete
+    const runTrashRoute = (name, handler) => async (req, res) => {
+      if (!req.access.can("delete")) return sendForbidden(res, "delete");
+      try {
+        await handler(req, res);
+      } catch (error) {
+        console.error(`❌ Error in trash ${name} for ${entity}:`, error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+          entity: entity,
+        });
+      }
+    };
 
-        if (!record && entity === "orders") {
-          record = await Model.findOne({ orderId: req.params.id }).lean();
+    router.get(
+      "/trash",
+      runTrashRoute("list", async (req, res) => {
+        const { page = 1 } = req.query;
+        const limit = parseLimit(req.query.limit, 100);
+        const query = buildListQuery(req.access.schema, req.query);
+        if (query.errors.length > 0) {
+          return sendQueryError(res, query.errors);
         }
 
-        if (!record) {
-          return res.status(404).json({
+        const filter = req.access.restrict(
+          "delete",
+          trashFilter(query.filter)
+        );
+        const data = await store.find(filter, {
+          sort: req.query.sort ? query.sort : { deletedAt: -1 },
+          skip: (parseInt(page) - 1) * limit,
+          limit,
+        });
+        const total = await store.count(filter);
+
+        res.json({
+          success: true,
+          data: data.map((record) => hideFields(req.access.config, record)),
+          total,
+          retentionDays: softDelete.retentionDays,
+          pagination: {
+            page: parseInt(page),
+            limit,
+            totalPages: Math.ceil(total / limit),
+          },
+        });
+      })
+    );
+
+    router.post(
+      "/trash/:id/restore",
+      runTrashRoute("restore", async (req, res) => {
+        const record = await getTrashed(req.params.id, req.access);
+        if (!record) return sendNotInTrash(res);
+
+        // Records it points at may have been deleted in the meantime
+        const missing = await checkReferences(
+          config.schema,
+          record,
+          resolveEntity
+        );
+        if (missing.length > 0) {
+          return res.status(409).json({
             success: false,
-            error: `${entity} not found with id: ${req.params.id}`,
+            error: `Cannot restore ${entity}: referenced records no longer exist`,
+            details: missing,
           });
         }
 
-        return res.json({ success: true, data: record });
+        const doc = await store.update(
+          String(record._id),
+          { deletedAt: null },
+          []
+        );
+        console.log(`♻️ Restored ${entity}:`, doc._id);
+
+        res.json({
+          success: true,
+          data: hideFields(req.access.config, doc),
+          message: `${entity} restored successfully`,
+        });
+      })
+    );
+
+    router.delete(
+      "/trash/:id",
+      runTrashRoute("purge", async (req, res) => {
+        const record = await getTrashed(req.params.id, req.access);
+        if (!record) return sendNotInTrash(res);
+
+        const { blocking, report, doc } = await deleteWithPolicies(
+          entity,
+          record,
+          entities
+        );
+        if (blocking) return sendBlockedError(res, blocking);
+
+        res.json({
+          success: true,
+          message: `${entity} deleted permanently`,
+          data: hideFields(req.access.config, doc),
+          report,
+        });
+      })
+    );
+
+    router.delete(
+      "/trash",
+      runTrashRoute("empty", async (req, res) => {
+        const records = await store.find(
+          req.access.restrict("delete", trashFilter())
+        );
+        const kept = [];
+
+        await store.batch(async () => {
+          for (const record of records) {
+            const { blocking } = await deleteWithPolicies(
+              entity,
+              record,
+              entities
+            );
+            if (blocking) {
+              kept.push({ _id: record._id, blocking });
+            }
+          }
+        });
+
+        res.json({
+          success: true,
+          message: `Trash emptied for ${entity}`,
+          purged: records.length - kept.length,
+          kept,
+        });
+      })
+    );
+  }
+
+  // GET - Fetch single record by ID
+  router.get("/:id", async (req, res) => {
+    if (!req.access.can("read")) return sendForbidden(res, "read");
+    try {
+      const { projection, errors } = buildProjection(
+        req.access.config,
+        req.query.fields
+      );
+      const expand = parseExpand(config.schema, req.query.expand, errors);
+      if (errors.length > 0) return sendQueryError(res, errors);
+
+      const record = await getLive(req.params.id, req.access, "read");
+
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          error: `${entity} not found with id: ${req.params.id}`,
+        });
       }
 
-      res.status(400).json({
-        success: false,
-        error: "Database not available",
-      });
+      const [data] = await expandRecords(
+        [withVersion(record, applyProjection(record, projection))],
+        expand,
+        resolveReadable(req.user)
+      );
+
+      // Express answers If-None-Match with 304 from this
+      res.set("ETag", formatETag(data[VERSION_FIELD]));
+      res.json({ success: true, data });
     } catch (error) {
       console.error(`❌ Error fetching ${entity} by ID:`, error);
       res.status(500).json({
@@ -283,52 +947,29 @@ const createRoutes = (entity, config, Model) => {
 
   // POST - Create new record
   router.post("/", async (req, res) => {
+    if (!req.access.can("create")) return sendForbidden(res, "create");
     try {
       console.log(`Creating ${entity}:`, JSON.stringify(req.body, null, 2));
 
-      if (isMongoConnected && Model) {
-        // Process productIds if it's a comma-separated string
-        if (
-          entity === "orders" &&
-          req.body.productIds &&
-          typeof req.body.productIds === "string"
-        ) {
-          req.body.productIds = req.body.productIds
-            .split(",")
-            .map((id) => parseInt(id.trim()))
-            .filter((id) => !isNaN(id));
-        }
+      const prepared = await prepareWrite(req.body);
+      if (prepared.error) return sendWriteError(res, prepared);
+      const { data } = prepared;
 
-        // Generate orderId for orders if not provided
-        if (entity === "orders" && !req.body.orderId) {
-          req.body.orderId = `ORD-${Date.now()}-${Math.random()
-            .toString(36)
-            .substr(2, 9)}`;
-        }
+      const denied = authorizeWrite(req, "create", data);
+      if (denied) return sendWriteForbidden(res, denied);
 
-        // Generate numeric id if schema defines it and it's not provided
-        if (
-          config.schema.id &&
-          !req.body.id &&
-          config.schema.id.type === "Number"
-        ) {
-          const count = await Model.countDocuments();
-          req.body.id = count + 1;
-        }
+      // Fill generated fields (ids, codes, slugs) declared in the schema
+      await applyGenerators(config.schema, data, store);
 
-        const doc = await Model.create(req.body);
-        console.log(`✅ Created ${entity}:`, doc._id);
+      const doc = await store.create(data);
+      console.log(`✅ Created ${entity}:`, doc._id);
 
-        return res.status(201).json({
-          success: true,
-          data: doc,
-          message: `${entity} created successfully`,
-        });
-      }
-
-      const item = { _id: Date.now().toString(), ...req.body };
-      memoryStore[entity] = [...(memoryStore[entity] || []), item];
-      res.status(201).json({ success: true, data: item });
+      res.set("ETag", formatETag(getRecordVersion(doc)));
+      res.status(201).json({
+        success: true,
+        data: withVersion(doc, hideFields(req.access.config, doc)),
+        message: `${entity} created successfully`,
+      });
     } catch (error) {
       console.error(`❌ Error creating ${entity}:`, error);
       console.error("Full error:", error);
@@ -336,21 +977,13 @@ const createRoutes = (entity, config, Model) => {
       // Handle validation errors
       if (error.name === "ValidationError") {
         const details = Object.values(error.errors).map((e) => e.message);
-        return res.status(400).json({
-          success: false,
-          error: "Validation error",
-          details: details,
-        });
+        return sendValidationError(res, details);
       }
 
       // Handle duplicate key errors
       if (error.code === 11000) {
         const field = Object.keys(error.keyPattern || {})[0];
-        return res.status(409).json({
-          success: false,
-          error: `Duplicate entry for field: ${field}`,
-          field: field,
-        });
+        return sendDuplicateError(res, field);
       }
 
       res.status(500).json({
@@ -363,59 +996,570 @@ const createRoutes = (entity, config, Model) => {
     }
   });
 
-  // PUT - Update record
-  router.put("/:id", async (req, res) => {
+  /* ---------- BULK ----------
+     POST   /bulk  { records: [...] }
+     PATCH  /bulk  { updates: [{ id, changes }] } or { filter, changes }
+     DELETE /bulk  { ids: [...] } or { filter }
+     Each takes "mode": "atomic" (default) or "continue".
+  */
+
+  // Reads mode and the filter/list from a bulk body; returns { error } or
+  // { mode, filter, items }. Filters only see the fields access shows.
+  const parseBulkBody = (body, listKey, access) => {
+    const payload = Array.isArray(body) ? { [listKey]: body } : body || {};
+    const mode = payload.mode || "atomic";
+
+    if (!BULK_MODES.includes(mode)) {
+      return { error: `mode: expected one of ${BULK_MODES.join(", ")}` };
+    }
+
+    if (payload.filter !== undefined) {
+      const { filter, errors } = buildListQuery(access.schema, {
+        filter: payload.filter,
+      });
+      if (errors.length > 0) return { error: errors.join("; ") };
+      if (Object.keys(filter).length === 0) {
+        return { error: "filter: must match on at least one field" };
+      }
+      return { mode, filter };
+    }
+
+    const items = payload[listKey];
+    if (!Array.isArray(items) || items.length === 0) {
+      return { error: `"${listKey}" must be a non-empty array` };
+    }
+    if (items.length > MAX_BULK_ITEMS) {
+      return { error: `At most ${MAX_BULK_ITEMS} items per request` };
+    }
+    return { mode, items };
+  };
+
+  // Generated fields are filled at write time, so don't require them up front
+  const bulkCheckSchema = Object.fromEntries(
+    Object.entries(config.schema).filter(
+      ([field, fieldConfig]) => !getGenerator(field, fieldConfig)
+    )
+  );
+
+  const precheck = (data, options) => {
+    const { errors } = validateRecord(bulkCheckSchema, data, options);
+    return errors.length > 0
+      ? { error: "Validation error", details: errors }
+      : null;
+  };
+
+  const sendBulkResult = (res, mode, { ok, results, summary }, okStatus) => {
+    if (ok) {
+      return res
+        .status(okStatus)
+        .json({ success: true, mode, summary, results });
+    }
+    res.status(mode === "atomic" ? 400 : 207).json({
+      success: false,
+      error:
+        mode === "atomic"
+          ? "Bulk operation failed, no changes were kept"
+          : "Some items failed",
+      mode,
+      summary,
+      results,
+    });
+  };
+
+  const runBulkRoute = (name, handler) => async (req, res) => {
     try {
-      if (isMongoConnected && Model) {
-        let doc = null;
+      await handler(req, res);
+    } catch (error) {
+      console.error(`❌ Error in bulk ${name} for ${entity}:`, error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        entity: entity,
+      });
+    }
+  };
+
+  // Loads the targets of a PATCH/DELETE bulk body as records, leaving out
+  // those access doesn't allow the action on
+  const resolveTargets = async (
+    parsed,
+    access,
+    action,
+    getId = (item) => item
+  ) => {
+    if (parsed.filter) {
+      const records = await store.find(
+        access.restrict(action, liveFilter(config, parsed.filter))
+      );
+      return records.map((record) => ({ record }));
+    }
+    return Promise.all(
+      parsed.items.map(async (item) => {
+        const id = getId(item);
+        const record =
+          id === undefined || id === null
+            ? null
+            : await getLive(String(id), access, action);
+        return { item, record, id };
+      })
+    );
+  };
+
+  router.post(
+    "/bulk",
+    runBulkRoute("create", async (req, res) => {
+      if (!req.access.can("create")) return sendForbidden(res, "create");
+      const parsed = parseBulkBody(req.body, "records", req.access);
+      if (parsed.error || parsed.filter) {
+        return sendQueryError(res, [parsed.error || "filter: not supported"]);
+      }
 
-        if (mongoose.Types.ObjectId.isValid(req.params.id)) {
-          doc = await Model.findByIdAndUpdate(req.params.id, req.body, {
-            new: true,
-            runValidators: true,
-          });
+      const result = await store.batch(() =>
+        runBulk(parsed.items, {
+          mode: parsed.mode,
+          describeError: describeStoreError,
+          transaction: store.transaction,
+          prepare: async (record) => {
+            const prepared = await prepareWrite(record);
+            if (prepared.error) return prepared;
+            return (
+              authorizeWrite(req, "create", prepared.data) ||
+              precheck(prepared.data) || { value: prepared.data }
+            );
+          },
+          apply: async (data) => {
+            await applyGenerators(config.schema, data, store);
+            const doc = await store.create(data);
+            return {
+              status: "created",
+              data: hideFields(req.access.config, doc),
+              undo: () => store.delete(String(doc._id), []),
+            };
+          },
+        })
+      );
+
+      console.log(`✅ Bulk create ${entity}:`, result.summary);
+      sendBulkResult(res, parsed.mode, result, 201);
+    })
+  );
+
+  router.patch(
+    "/bulk",
+    runBulkRoute("update", async (req, res) => {
+      if (!req.access.can("update")) return sendForbidden(res, "update");
+      const parsed = parseBulkBody(req.body, "updates", req.access);
+      if (parsed.error) return sendQueryError(res, [parsed.error]);
+
+      const targets = await resolveTargets(
+        parsed,
+        req.access,
+        "update",
+        (item) => item?.id
+      );
+      const result = await store.batch(() =>
+        runBulk(targets, {
+          mode: parsed.mode,
+          describeError: describeStoreError,
+          transaction: store.transaction,
+          prepare: async ({ item, record, id }) => {
+            if (!record) return { error: `${entity} not found`, details: [id] };
+
+            const prepared = await prepareWrite(
+              parsed.filter ? req.body.changes || {} : item.changes || {}
+            );
+            if (prepared.error) return prepared;
+            return (
+              authorizeWrite(req, "update", prepared.data, record) ||
+              precheck(
+                { ...record, ...prepared.data },
+                { applyDefaults: false }
+              ) || { value: { record, changes: prepared.data } }
+            );
+          },
+          apply: async ({ record, changes }) => {
+            const doc = await store.update(String(record._id), changes, []);
+            if (!doc) throw new Error(`${entity} not found`);
+
+            // Put back previous values and remove fields the update added
+            const { _id, createdAt, updatedAt, ...previous } = record;
+            const unset = Object.keys(changes).filter(
+              (key) => !(key in previous)
+            );
+
+            return {
+              status: "updated",
+              data: hideFields(req.access.config, doc),
+              undo: () => store.update(String(_id), previous, [], { unset }),
+            };
+          },
+        })
+      );
+
+      console.log(`✅ Bulk update ${entity}:`, result.summary);
+      sendBulkResult(res, parsed.mode, result, 200);
+    })
+  );
+
+  router.delete(
+    "/bulk",
+    runBulkRoute("delete", async (req, res) => {
+      if (!req.access.can("delete")) return sendForbidden(res, "delete");
+      const parsed = parseBulkBody(req.body, "ids", req.access);
+      if (parsed.error) return sendQueryError(res, [parsed.error]);
+
+      const targets = await resolveTargets(parsed, req.access, "delete");
+      const result = await store.batch(() =>
+        runBulk(targets, {
+          mode: parsed.mode,
+          describeError: describeStoreError,
+          transaction: store.transaction,
+          prepare: async ({ record, id }) => {
+            if (!record) return { error: `${entity} not found`, details: [id] };
+
+            const plan = await planDelete(entity, record, entities);
+            const blocking = getBlocking(plan);
+            if (blocking.length > 0) {
+              return {
+                error: `Cannot delete ${entity}: other records still reference it`,
+                details: blocking,
+              };
+            }
+            return { value: plan };
+          },
+          apply: async (plan) => {
+            if (softDelete) {
+              const _id = String(plan.record._id);
+              const doc = await store.update(_id, { deletedAt: new Date() }, []);
+              return {
+                status: "trashed",
+                data: hideFields(req.access.config, doc),
+                undo: () => store.update(_id, { deletedAt: null }, []),
+              };
+            }
+
+            const report = describePlan(plan, entities);
+            const doc = await executeDelete(plan, entities);
+            return {
+              status: "deleted",
+              data: hideFields(req.access.config, doc || plan.record),
+              report,
+              undo: () => restoreDelete(plan, entities),
+            };
+          },
+        })
+      );
+
+      console.log(`✅ Bulk delete ${entity}:`, result.summary);
+      sendBulkResult(res, parsed.mode, result, 200);
+    })
+  );
+
+  /* ---------- IMPORT ----------
+     POST /import   CSV or XLSX file as the raw request body
+       ?mapping={"Header":"field"}   explicit column mapping (JSON)
+       ?dryRun=true                   validate and preview only
+       ?skipInvalid=true              import the valid rows anyway
+       ?batchSize=500                 rows written per batch
+  */
+
+  // Unique values repeated within the file or already stored
+  const findDuplicateErrors = async (rows) => {
+    const errors = new Map();
+    const addError = (row, message) =>
+      errors.set(row, [...(errors.get(row) || []), message]);
+
+    for (const [field, fieldConfig] of Object.entries(config.schema)) {
+      if (!fieldConfig.unique) continue;
+
+      const firstRow = new Map();
+      const values = [];
+      for (const { row, data } of rows) {
+        const value = data[field];
+        if (value === undefined || value === null || value === "") continue;
+
+        const seenOn = firstRow.get(String(value));
+        if (seenOn) {
+          addError(row, `Duplicate ${field} "${value}" (also on row ${seenOn})`);
+        } else {
+          firstRow.set(String(value), row);
+          values.push(value);
         }
+      }
 
-        if (!doc) {
-          const numericId = !isNaN(req.params.id)
-            ? parseInt(req.params.id)
-            : req.params.id;
-          doc = await Model.findOneAndUpdate({ id: numericId }, req.body, {
-            new: true,
-            runValidators: true,
-          });
+      if (values.length === 0) continue;
+      const existing = await store.find({ [field]: { $in: values } });
+      const taken = new Set(existing.map((record) => String(record[field])));
+      for (const { row, data } of rows) {
+        if (taken.has(String(data[field]))) {
+          addError(row, `${field} "${data[field]}" already exists`);
+        }
+      }
+    }
+
+    return errors;
+  };
+
+  router.post(
+    "/import",
+    express.raw({ type: () => true, limit: "50mb" }),
+    runBulkRoute("import", async (req, res) => {
+      if (!req.access.can("create")) return sendForbidden(res, "create");
+      const buffer = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      if (buffer.length === 0) {
+        return sendQueryError(res, ["Send a CSV or XLSX file as the body"]);
+      }
+
+      let mapping;
+      try {
+        mapping = req.query.mapping ? JSON.parse(req.query.mapping) : null;
+      } catch {
+        return sendQueryError(res, ["mapping: must be a JSON object"]);
+      }
+
+      const format = detectFormat(
+        buffer,
+        req.query.format || req.query.filename
+      );
+      const dryRun = req.query.dryRun === "true";
+      const skipInvalid = req.query.skipInvalid === "true";
+      const batchSize = Math.min(
+        parseInt(req.query.batchSize) || 500,
+        MAX_BULK_ITEMS
+      );
+
+      let sheet;
+      try {
+        sheet = await readSpreadsheet(buffer, format);
+      } catch (error) {
+        return sendQueryError(res, [
+          `Could not read ${format}: ${error.message}`,
+        ]);
+      }
+
+      const { columns, ignored, errors } = mapColumns(
+        config,
+        entities.get(entity)?.frontend?.fields,
+        sheet.headers,
+        mapping
+      );
+      if (columns.length === 0) {
+        errors.push(`No column matches a field of ${entity}`);
+      }
+      if (errors.length > 0) return sendQueryError(res, errors);
+
+      // Row numbers as shown in the spreadsheet, below the header
+      const rows = sheet.rows.map((cells, index) => ({
+        row: index + 2,
+        data: rowToRecord(config.schema, cells, columns),
+      }));
+
+      const valid = [];
+      const rowErrors = [];
+      const preview = [];
+      for (const { row, data } of rows) {
+        const prepared = await prepareWrite(data);
+        const problem = prepared.error
+          ? prepared
+          : authorizeWrite(req, "create", prepared.data) ||
+            precheck(prepared.data);
+        if (problem) {
+          rowErrors.push({ row, errors: problem.details || [problem.error] });
+        } else {
+          valid.push({ row, data: prepared.data });
         }
 
-        if (!doc) {
-          return res.status(404).json({
+        // Typed the way it would be stored
+        if (preview.length < 5) {
+          const typed = prepared.data
+            ? validateRecord(bulkCheckSchema, prepared.data).data
+            : data;
+          preview.push({ row, data: typed, valid: !problem });
+        }
+      }
+
+      const duplicates = await findDuplicateErrors(valid);
+      for (const [row, messages] of duplicates) {
+        rowErrors.push({ row, errors: messages });
+      }
+      rowErrors.sort((a, b) => a.row - b.row);
+      const importable = valid.filter(({ row }) => !duplicates.has(row));
+
+      const report = {
+        dryRun,
+        format,
+        headers: sheet.headers,
+        columns: columns.map(({ header, field }) => ({ header, field })),
+        ignored,
+        preview,
+        errors: rowErrors,
+        summary: {
+          rows: rows.length,
+          valid: importable.length,
+          invalid: rows.length - importable.length,
+          imported: 0,
+        },
+      };
+
+      if (dryRun) {
+        return res.json({ success: rowErrors.length === 0, ...report });
+      }
+
+      if (rowErrors.length > 0 && !skipInvalid) {
+        return res.status(400).json({
+          success: false,
+          error: "Some rows are invalid, nothing was imported",
+          ...report,
+        });
+      }
+
+      // Each batch is all-or-nothing; stop at the first one that fails
+      for (let start = 0; start < importable.length; start += batchSize) {
+        const batch = importable.slice(start, start + batchSize);
+        const result = await store.batch(() =>
+          runBulk(
+            batch.map(({ data }) => data),
+            {
+              mode: "atomic",
+              describeError: describeStoreError,
+              transaction: store.transaction,
+              prepare: async (data) => ({ value: data }),
+              apply: async (data) => {
+                await applyGenerators(config.schema, data, store);
+                const doc = await store.create(data);
+                return {
+                  status: "created",
+                  undo: () => store.delete(String(doc._id), []),
+                };
+              },
+            }
+          )
+        );
+
+        if (!result.ok) {
+          for (const item of result.results) {
+            if (item.status === "failed") {
+              report.errors.push({
+                row: batch[item.index].row,
+                errors: item.details || [item.error],
+              });
+            }
+          }
+          console.error(
+            `❌ Import into ${entity} stopped at row ${batch[0].row}`
+          );
+          return res.status(report.summary.imported > 0 ? 207 : 400).json({
             success: false,
-            error: `${entity} not found`,
+            error: `Import stopped at the batch starting on row ${batch[0].row}`,
+            ...report,
           });
         }
 
-        return res.json({
-          success: true,
-          data: doc,
-          message: `${entity} updated successfully`,
+        report.summary.imported += batch.length;
+      }
+
+      console.log(`✅ Imported ${report.summary.imported} ${entity}`);
+      res.status(201).json({ success: true, ...report });
+    })
+  );
+
+  // PUT / PATCH - Update record. Both merge the body into the stored
+  // record (Mongoose wraps plain update objects in $set). With If-Match
+  // the update only applies to the version the client last read.
+  const updateRecord = async (req, res) => {
+    if (!req.access.can("update")) return sendForbidden(res, "update");
+    try {
+      const prepared = await prepareWrite(req.body);
+      if (prepared.error) return sendWriteError(res, prepared);
+
+      // Trashed records can't be edited until restored
+      const ifMatch = req.get("If-Match");
+      const current = await getLive(req.params.id, req.access, "update");
+      if (current && !matchesIfMatch(ifMatch, current)) {
+        return sendPreconditionFailed(req, res, current);
+      }
+      if (current) {
+        const denied = authorizeWrite(req, "update", prepared.data, current);
+        if (denied) return sendWriteForbidden(res, denied);
+      }
+
+      const condition = current ? writeCondition(ifMatch, current) : {};
+      const doc =
+        current &&
+        (await store.update(
+          String(current._id),
+          prepared.data,
+          [],
+          condition
+        ));
+
+      // Another write got in between reading and writing the record
+      if (!doc && condition.version !== undefined) {
+        const latest = await getLive(req.params.id, req.access, "update");
+        if (latest) return sendPreconditionFailed(req, res, latest);
+      }
+
+      if (!doc) {
+        return res.status(404).json({
+          success: false,
+          error: `${entity} not found`,
         });
       }
 
-      res.status(400).json({
-        success: false,
-        error: "Database not available",
+      res.set("ETag", formatETag(getRecordVersion(doc)));
+      res.json({
+        success: true,
+        data: withVersion(doc, hideFields(req.access.config, doc)),
+        message: `${entity} updated successfully`,
       });
     } catch (error) {
       console.error(`❌ Error updating ${entity}:`, error);
 
       if (error.name === "ValidationError") {
         const details = Object.values(error.errors).map((e) => e.message);
-        return res.status(400).json({
+        return sendValidationError(res, details);
+      }
+
+      if (error.code === 11000) {
+        const field = Object.keys(error.keyPattern || {})[0];
+        return sendDuplicateError(res, field);
+      }
+
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        entity: entity,
+      });
+    }
+  };
+
+  router.put("/:id", updateRecord);
+  router.patch("/:id", updateRecord);
+
+  // GET - What deleting a record would touch, for confirmation dialogs
+  router.get("/:id/dependents", async (req, res) => {
+    if (!req.access.can("read")) return sendForbidden(res, "read");
+    try {
+      const record = await getLive(req.params.id, req.access, "read");
+
+      if (!record) {
+        return res.status(404).json({
           success: false,
-          error: "Validation error",
-          details: details,
+          error: `${entity} not found`,
         });
       }
 
+      const plan = await planDelete(entity, record, entities);
+
+      res.json({
+        success: true,
+        data: {
+          blocking: getBlocking(plan),
+          ...describePlan(plan, entities),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error checking ${entity} dependents:`, error);
       res.status(500).json({
         success: false,
         error: error.message,
@@ -424,40 +1568,186 @@ const createRoutes = (entity, config, Model) => {
     }
   });
 
-  // DELETE - Delete record
+  // GET - Audit entries of one record, newest first. Works for deleted
+  // records too when given their _id, judged by their latest snapshot.
+  router.get("/:id/history", async (req, res) => {
+    if (!req.access.can("read")) return sendForbidden(res, "read");
+    try {
+      const { page = 1 } = req.query;
+      const limit = parseLimit(req.query.limit, 50);
+      const record = await store.get(req.params.id, lookupKeys);
+      const filter = {
+        entity,
+        recordId: record ? String(record._id) : req.params.id,
+      };
+
+      await auditLog.flush();
+      const entries = await auditLog.store.find(filter, {
+        sort: { timestamp: -1, _id: -1 },
+        skip: (parseInt(page) - 1) * limit,
+        limit,
+      });
+      const total = await auditLog.store.count(filter);
+
+      const [latest] = record
+        ? []
+        : await auditLog.store.find(filter, {
+            sort: { timestamp: -1, _id: -1 },
+            limit: 1,
+          });
+      const subject = record || latest?.snapshot;
+      if (subject && !req.access.allows("read", subject)) {
+        return res.status(404).json({
+          success: false,
+          error: `${entity} not found`,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: entries.map((entry) => presentEntry(entry, req.access.config)),
+        total,
+        pagination: {
+          page: parseInt(page),
+          limit,
+          totalPages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Error fetching ${entity} history:`, error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        entity: entity,
+      });
+    }
+  });
+
+  // POST - Put a record back to how it was after a history entry
+  router.post("/:id/history/:entryId/revert", async (req, res) => {
+    if (!req.access.can("update")) return sendForbidden(res, "update");
+    try {
+      const record = await getLive(req.params.id, req.access, "update");
+
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          error: `${entity} not found`,
+        });
+      }
+
+      await auditLog.flush();
+      const entry = await auditLog.store.get(req.params.entryId, []);
+
+      if (
+        !entry?.snapshot ||
+        entry.entity !== entity ||
+        entry.recordId !== String(record._id)
+      ) {
+        return res.status(404).json({
+          success: false,
+          error: `History entry not found for this ${entity}`,
+        });
+      }
+
+      const changes = revertChanges(record, entry.snapshot);
+      const denied = authorizeWrite(req, "update", changes, record);
+      if (denied) return sendWriteForbidden(res, denied);
+
+      const missing = await checkReferences(
+        config.schema,
+        changes,
+        resolveEntity
+      );
+      if (missing.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot revert ${entity}: referenced records no longer exist`,
+          details: missing,
+        });
+      }
+
+      const doc = await auditContext.run(
+        { ...auditContext.getStore(), revertOf: String(entry._id) },
+        () => store.update(String(record._id), changes, [])
+      );
+
+      res.set("ETag", formatETag(getRecordVersion(doc)));
+      res.json({
+        success: true,
+        data: withVersion(doc, hideFields(req.access.config, doc)),
+        message: `${entity} reverted to the version of ${new Date(
+          entry.timestamp
+        ).toISOString()}`,
+      });
+    } catch (error) {
+      console.error(`❌ Error reverting ${entity}:`, error);
+
+      if (error.name === "ValidationError") {
+        const details = Object.values(error.errors).map((e) => e.message);
+        return sendValidationError(res, details);
+      }
+
+      if (error.code === 11000) {
+        const field = Object.keys(error.keyPattern || {})[0];
+        return sendDuplicateError(res, field);
+      }
+
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        entity: entity,
+      });
+    }
+  });
+
+  // DELETE - Delete record, applying onDelete rules of references to it.
+  // Soft delete entities move it to the trash and apply the rules on purge.
   router.delete("/:id", async (req, res) => {
+    if (!req.access.can("delete")) return sendForbidden(res, "delete");
     try {
-      if (isMongoConnected && Model) {
-        let doc = null;
+      const record = await getLive(req.params.id, req.access, "delete");
 
-        if (mongoose.Types.ObjectId.isValid(req.params.id)) {
-          doc = await Model.findByIdAndDelete(req.params.id);
-        }
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          error: `${entity} not found`,
+        });
+      }
 
-        if (!doc) {
-          const numericId = !isNaN(req.params.id)
-            ? parseInt(req.params.id)
-            : req.params.id;
-          doc = await Model.findOneAndDelete({ id: numericId });
-        }
+      const ifMatch = req.get("If-Match");
+      if (!matchesIfMatch(ifMatch, record)) {
+        return sendPreconditionFailed(req, res, record);
+      }
 
-        if (!doc) {
-          return res.status(404).json({
-            success: false,
-            error: `${entity} not found`,
-          });
-        }
+      const { blocking, stale, doc, trashed, report } = await removeRecord(
+        record,
+        writeCondition(ifMatch, record)
+      );
+      if (blocking) return sendBlockedError(res, blocking);
+      if (stale) {
+        const latest = await getLive(req.params.id, req.access, "delete");
+        if (latest) return sendPreconditionFailed(req, res, latest);
+        return res.status(404).json({
+          success: false,
+          error: `${entity} not found`,
+        });
+      }
 
+      if (trashed) {
         return res.json({
           success: true,
-          message: `${entity} deleted successfully`,
-          data: doc,
+          message: `${entity} moved to trash`,
+          data: hideFields(req.access.config, doc),
+          trashed: true,
         });
       }
 
-      res.status(400).json({
-        success: false,
-        error: "Database not available",
+      res.json({
+        success: true,
+        message: `${entity} deleted successfully`,
+        data: hideFields(req.access.config, doc),
+        report,
       });
     } catch (error) {
       console.error(`❌ Error deleting ${entity}:`, error);
@@ -472,30 +1762,245 @@ const createRoutes = (entity, config, Model) => {
   return router;
 };
 
+/* ============================================
+   AUDIT LOG STORE
+   Kept apart from the entity stores so schema reloads don't touch it
+============================================ */
+const auditStorageType = resolveStorageType(AUDIT_CONFIG, isMongoConnected);
+const auditLog = createAuditLog(
+  createStorage("_audit", AUDIT_CONFIG, {
+    type: auditStorageType,
+    Model: AuditEntry,
+  })
+);
+console.log(`📦 Audit log storage: ${auditStorageType}`);
+
+/* ============================================
+   AUTHENTICATION
+   /api/auth signs accounts in; authenticate guards the entity
+   routers, /api/schema and /api/audit. The audit log and schema
+   changes are for admins only.
+============================================ */
+const accountStorageType = resolveStorageType(
+  ACCOUNT_CONFIG,
+  isMongoConnected
+);
+const accounts = createStorage("_accounts", ACCOUNT_CONFIG, {
+  type: accountStorageType,
+  Model: Account,
+});
+const authenticate = createAuthenticate(accounts);
+console.log(`📦 Account storage: ${accountStorageType}`);
+await announceSetup(accounts);
+
+app.use(
+  "/api/auth",
+  createAuthRoutes(accounts, authenticate, requireRole(ADMIN_ROLE))
+);
+
+/* ============================================
+   WEBHOOKS
+   Record events from the audit log, POSTed to subscribed URLs.
+   Subscriptions and deliveries are managed by admins.
+============================================ */
+const webhookStorageType = resolveStorageType(WEBHOOK_CONFIG, isMongoConnected);
+const webhooks = createStorage("_webhooks", WEBHOOK_CONFIG, {
+  type: webhookStorageType,
+  Model: Webhook,
+});
+const webhookDeliveries = createStorage(
+  "_webhook_deliveries",
+  DELIVERY_CONFIG,
+  { type: webhookStorageType, Model: WebhookDelivery }
+);
+const webhookDispatcher = createWebhookDispatcher({
+  webhooks,
+  deliveries: webhookDeliveries,
+  getConfig: (entity) => entityStores.get(entity)?.config,
+});
+auditLog.subscribe(webhookDispatcher.notify);
+console.log(`📦 Webhook storage: ${webhookStorageType}`);
+
+webhookDispatcher
+  .resume()
+  .then((count) => {
+    if (count > 0) {
+      console.log(`♻️ Resumed ${count} pending webhook deliveries`);
+    }
+  })
+  .catch((error) =>
+    console.error("❌ Failed to resume webhook deliveries:", error)
+  );
+
+app.use(
+  "/api/webhooks",
+  authenticate,
+  requireRole(ADMIN_ROLE),
+  createWebhookRoutes({
+    webhooks,
+    deliveries: webhookDeliveries,
+    dispatcher: webhookDispatcher,
+    getEntities: () => Object.keys(currentSchema.record || {}),
+  })
+);
+
+/* ============================================
+   CHANGE FEED
+   Record events from the audit log, pushed to clients on
+   GET /api/<entity>/changes (Server-Sent Events) and on the
+   /api/changes WebSocket of servers that attach it
+============================================ */
+const CHANGE_HEARTBEAT_MS = 25 * 1000;
+const CHANGE_RETRY_MS = 3000;
+
+const changeFeed = createChangeFeed();
+auditLog.subscribe(changeFeed.publish);
+
+/**
+ * Serves the change feed over WebSocket on a server that listens itself;
+ * serverless hosts can't keep the connections open, so only SSE works there
+ * @param {http.Server} server
+ * @returns {WebSocketServer}
+ */
+export const attachChanges = (server) =>
+  attachChangeSocket(server, {
+    path: "/api/changes",
+    feed: changeFeed,
+    verifyAccess: createVerifyAccess(accounts),
+    getConfig: (entity) => entityStores.get(entity)?.config,
+  });
+
+/* ============================================
+   GRAPHQL
+   Schema over the entity stores, rebuilt by registerRoutes
+   whenever the entities change (see utils/graphql.js)
+============================================ */
+let graphqlSchema = null;
+
+app.use("/graphql", authenticate, createGraphQLRoutes(() => graphqlSchema));
+
 /* ============================================
    REGISTER ROUTES
+   Entity routers live on one swappable router so a schema
+   update can replace them without restarting the server.
 ============================================ */
 const registeredRoutes = new Map();
+const entityStorage = new Map();
+// { store, config, frontend, actions } per entity, for work across entities
+const entityStores = new Map();
+let entityRouter = express.Router();
 
 const registerRoutes = () => {
+  const router = express.Router();
+  const failed = [];
+
   registeredRoutes.clear();
+  entityStorage.clear();
+  entityStores.clear();
+  resetModels();
 
   for (const [entity, config] of Object.entries(currentSchema.record || {})) {
     try {
-      const Model = isMongoConnected
-        ? createModel(entity, config.backend)
-        : null;
-      app.use(config.route, createRoutes(entity, config.backend, Model));
+      const type = resolveStorageType(config.backend, isMongoConnected);
+      const Model =
+        type === "mongo" ? createModel(entity, config.backend) : null;
+      const store = withAudit(
+        entity,
+        createStorage(entity, config.backend, {
+          type,
+          Model,
+          transactions: supportsTransactions,
+        }),
+        auditLog
+      );
+
+      const actions = createRecordActions(
+        entity,
+        config.backend,
+        store,
+        entityStores
+      );
+
+      router.use(
+        config.route,
+        authenticate,
+        createRoutes(entity, config.backend, store, entityStores, actions)
+      );
       registeredRoutes.set(entity, config.route);
-      console.log(`✅ Registered route: ${config.route}`);
+      entityStorage.set(entity, type);
+      entityStores.set(entity, {
+        store,
+        config: config.backend,
+        frontend: config.frontend,
+        actions,
+      });
+      console.log(`✅ Registered route: ${config.route} (${type})`);
     } catch (error) {
       console.error(`❌ Failed to register route for ${entity}:`, error);
+      failed.push({ entity, error: error.message });
     }
   }
+
+  try {
+    graphqlSchema = buildGraphQLSchema(entityStores);
+  } catch (error) {
+    console.error("❌ Failed to build the GraphQL schema:", error);
+    graphqlSchema = null;
+    failed.push({ entity: "graphql", error: error.message });
+  }
+
+  entityRouter = router;
+  return failed;
 };
 
 registerRoutes();
 
+app.use((req, res, next) => entityRouter(req, res, next));
+
+/* ============================================
+   TRASH RETENTION
+   Purges trashed records older than options.softDelete.retentionDays
+============================================ */
+const TRASH_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const purgeExpiredTrash = async () => {
+  for (const [entity, { store, config }] of entityStores) {
+    const expired = expiredFilter(config);
+    if (!expired) continue;
+
+    try {
+      const records = await store.find(expired);
+      let purged = 0;
+
+      await store.batch(async () => {
+        for (const record of records) {
+          const { blocking } = await deleteWithPolicies(
+            entity,
+            record,
+            entityStores
+          );
+          if (blocking) {
+            console.warn(
+              `⚠️ Kept expired ${entity} ${record._id}: other records still reference it`
+            );
+          } else {
+            purged++;
+          }
+        }
+      });
+
+      if (purged > 0) {
+        console.log(`🗑️ Purged ${purged} expired ${entity} from the trash`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to purge expired ${entity}:`, error);
+    }
+  }
+};
+
+purgeExpiredTrash();
+setInterval(purgeExpiredTrash, TRASH_SWEEP_INTERVAL_MS).unref();
+
 /* ============================================
    SYSTEM ROUTES
 ============================================ */
@@ -505,6 +2010,10 @@ app.get("/", (req, res) => {
     status: "running",
     database: isMongoConnected ? "MongoDB Connected" : "Memory Mode",
     routes: Array.from(registeredRoutes.values()),
+    storage: Object.fromEntries(entityStorage),
+    docs: "/api/docs",
+    openapi: "/api/openapi.json",
+    graphql: "/graphql",
     mongodb_uri_set: !!MONGODB_URI,
     timestamp: new Date().toISOString(),
   });
@@ -519,6 +2028,35 @@ app.get("/health", (req, res) => {
   });
 });
 
+/* ============================================
+   API DOCS
+   OpenAPI document of the current schema, rebuilt on the first
+   request after a schema change, and Swagger UI to browse it. The
+   document describes every entity and field, so only signed-in
+   accounts get it; the UI page is static and asks for a token.
+============================================ */
+let openApiSpec = null;
+
+app.get("/api/openapi.json", authenticate, (req, res) => {
+  openApiSpec ??= buildOpenApiSpec(currentSchema, {
+    version: getLatestVersion()?.version,
+  });
+  res.json(openApiSpec);
+});
+
+app.use("/api/docs", createDocsRoutes("/api/openapi.json"));
+
+app.use(["/api/schema", "/api/audit"], authenticate);
+app.use(
+  [
+    "/api/audit",
+    "/api/schema/update",
+    "/api/schema/validate",
+    "/api/schema/rollback",
+  ],
+  requireRole(ADMIN_ROLE)
+);
+
 app.get("/api/schema", (req, res) => {
   res.json({
     success: true,
@@ -526,6 +2064,194 @@ app.get("/api/schema", (req, res) => {
   });
 });
 
+/* ============================================
+   AUDIT LOG
+   GET /api/audit?entity=orders&action=update,delete&actor=ana
+                 &recordId=...&requestId=...&since=...&until=...
+============================================ */
+app.get("/api/audit", async (req, res) => {
+  try {
+    const { page = 1 } = req.query;
+    const limit = parseLimit(req.query.limit, 50);
+    const errors = [];
+    const filter = buildAuditFilter(req.query, errors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid query",
+        details: errors,
+      });
+    }
+
+    await auditLog.flush();
+    const entries = await auditLog.store.find(filter, {
+      sort: { timestamp: -1, _id: -1 },
+      skip: (parseInt(page) - 1) * limit,
+      limit,
+    });
+    const total = await auditLog.store.count(filter);
+
+    res.json({
+      success: true,
+      data: entries.map((entry) =>
+        presentEntry(entry, entityStores.get(entry.entity)?.config, {
+          withSnapshot: false,
+        })
+      ),
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error fetching audit log:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/* ============================================
+   SCHEMA UPDATES & HISTORY
+============================================ */
+// Validates, applies and persists a schema. Returns an error payload
+// (with status) if the schema is rejected, otherwise the applied result.
+const applySchema = (newSchema, meta) => {
+  const { valid, issues, errors, warnings } = validateSchema(newSchema);
+
+  if (!valid) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: "Invalid schema",
+        details: errors,
+        warnings,
+        issues,
+      },
+    };
+  }
+
+  const previousSchema = currentSchema;
+
+  currentSchema = newSchema;
+  const failed = registerRoutes();
+
+  if (failed.length > 0) {
+    currentSchema = previousSchema;
+    registerRoutes();
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: "Failed to register routes, schema not applied",
+        details: failed.map((f) => `${f.entity}: ${f.error}`),
+      },
+    };
+  }
+
+  const persisted = saveSchema(currentSchema);
+  const version = recordVersion(currentSchema, meta);
+  openApiSpec = null;
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      schema: currentSchema,
+      routes: Array.from(registeredRoutes.values()),
+      changes: diffSchemas(previousSchema, currentSchema),
+      version: version.version,
+      persisted,
+      warnings,
+      issues,
+    },
+  };
+};
+
+// Checks a schema without applying it, for the schema editor. Issues
+// carry a severity and a JSON path; see utils/schemaValidator.js.
+app.post("/api/schema/validate", (req, res) => {
+  res.json({ success: true, ...validateSchema(req.body) });
+});
+
+// Versions are credited to the signed-in admin
+const schemaAuthor = (req) =>
+  req.user?.email ?? (req.user?._id && String(req.user._id));
+
+app.post("/api/schema/update", (req, res) => {
+  const { status, body } = applySchema(req.body, {
+    author: schemaAuthor(req),
+    summary: req.query.message,
+  });
+
+  if (body.success) body.message = "Schema updated successfully";
+  res.status(status).json(body);
+});
+
+app.get("/api/schema/versions", (req, res) => {
+  res.json({
+    success: true,
+    data: listVersions(),
+  });
+});
+
+app.get("/api/schema/versions/:version", (req, res) => {
+  const version = getVersion(req.params.version);
+
+  if (!version) {
+    return res.status(404).json({
+      success: false,
+      error: `Schema version not found: ${req.params.version}`,
+    });
+  }
+
+  res.json({ success: true, data: version });
+});
+
+// GET /api/schema/diff?from=2&to=5 (to defaults to the latest version)
+app.get("/api/schema/diff", (req, res) => {
+  const from = getVersion(req.query.from);
+  const to = req.query.to ? getVersion(req.query.to) : getLatestVersion();
+
+  if (!from || !to) {
+    const missing = !from ? req.query.from : req.query.to;
+    return res.status(404).json({
+      success: false,
+      error: `Schema version not found: ${missing}`,
+    });
+  }
+
+  res.json({
+    success: true,
+    from: from.version,
+    to: to.version,
+    data: diffSchemas(from.schema, to.schema),
+  });
+});
+
+app.post("/api/schema/rollback/:version", (req, res) => {
+  const target = getVersion(req.params.version);
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      error: `Schema version not found: ${req.params.version}`,
+    });
+  }
+
+  const { status, body } = applySchema(target.schema, {
+    author: schemaAuthor(req),
+    summary: req.query.message || `Rollback to version ${target.version}`,
+  });
+
+  if (body.success) {
+    body.message = `Schema rolled back to version ${target.version}`;
+  }
+  res.status(status).json(body);
+});
+
 /* ============================================
    GLOBAL ERROR HANDLER
 ============================================ */
@@ -552,6 +2278,19 @@ app.use((req, res) => {
   });
 });
 
+/* ============================================
+   LOCAL SERVER
+   `npm start` listens itself, with the change socket; Vercel
+   only imports the app
+============================================ */
+if (process.argv[1] === __filename) {
+  const PORT = process.env.PORT || 5000;
+  const server = app.listen(PORT, () =>
+    console.log(`✅ Server listening on port ${PORT}`)
+  );
+  attachChanges(server);
+}
+
 /* ============================================
    EXPORT FOR VERCEL
 ============================================ */
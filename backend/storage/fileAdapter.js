@@ -0,0 +1,98 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createMemoryAdapter } from "./memoryAdapter.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+const COUNTERS_PATH = path.join(DATA_DIR, "_counters.json");
+
+// Loaded records and pending writes per entity, shared across schema reloads
+const cache = new Map();
+const writeQueues = new Map();
+let counters = null;
+
+const reviveDates = (items, schema) => {
+  const dateFields = Object.keys(schema).filter(
+    (key) => !Array.isArray(schema[key]) && schema[key].type === "Date"
+  );
+
+  for (const item of items) {
+    for (const field of [...dateFields, "createdAt", "updatedAt", "deletedAt"]) {
+      if (typeof item[field] === "string") item[field] = new Date(item[field]);
+    }
+  }
+  return items;
+};
+
+const loadCounters = () => {
+  try {
+    if (fs.existsSync(COUNTERS_PATH)) {
+      return JSON.parse(fs.readFileSync(COUNTERS_PATH, "utf8"));
+    }
+  } catch (err) {
+    console.warn(`⚠️ Failed to load ${COUNTERS_PATH}:`, err.message);
+  }
+  return {};
+};
+
+const loadItems = (filePath, schema) => {
+  try {
+    if (fs.existsSync(filePath)) {
+      const items = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      return reviveDates(Array.isArray(items) ? items : [], schema);
+    }
+  } catch (err) {
+    console.warn(`⚠️ Failed to load ${filePath}:`, err.message);
+  }
+  return [];
+};
+
+// Write to a temp file and rename so a crash never leaves half a file
+const writeJson = async (filePath, value) => {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(tmpPath, JSON.stringify(value, null, 2));
+  await fs.promises.rename(tmpPath, filePath);
+};
+
+/**
+ * Creates a storage adapter that keeps an entity in DATA_DIR/<entity>.json
+ * @param {string} entityName - Name of the entity
+ * @param {object} config - Backend configuration (config.backend)
+ * @returns {object} - Storage adapter
+ */
+export const createFileAdapter = (entityName, config) => {
+  const filePath = path.join(DATA_DIR, `${entityName}.json`);
+
+  if (!cache.has(entityName)) {
+    cache.set(entityName, loadItems(filePath, config.schema));
+  }
+
+  if (!counters) counters = loadCounters();
+
+  // Serialise writes per file so they land in mutation order
+  const enqueueWrite = (queueKey, targetPath, value) => {
+    const previous = writeQueues.get(queueKey) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => writeJson(targetPath, value));
+    writeQueues.set(queueKey, next);
+    return next;
+  };
+
+  return {
+    ...createMemoryAdapter(entityName, config, {
+      items: cache.get(entityName),
+      counters,
+      onChange: (items) => enqueueWrite(entityName, filePath, items),
+      onSequence: (current) =>
+        enqueueWrite("_counters", COUNTERS_PATH, current),
+    }),
+    name: "file",
+  };
+};
+
+export default { createFileAdapter };
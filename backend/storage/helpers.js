@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+/**
+ * Shared helpers for storage adapters
+ */
+
+/**
+ * Builds the filters used to look a record up by a route param, in order:
+ * Mongo _id first, then each lookup key cast to its schema type
+ * @param {object} schema - Backend schema (config.schema)
+ * @param {string} id - Route param
+ * @param {string[]} keys - Fields that act as lookup keys
+ * @returns {object[]} - Filters to try one after another
+ */
+export const buildLookupFilters = (schema, id, keys = ["id"]) => {
+  const filters = [];
+
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    filters.push({ _id: id });
+  }
+
+  for (const key of keys) {
+    const fieldType = Array.isArray(schema[key]) ? null : schema[key]?.type;
+
+    if (fieldType === "Number") {
+      if (!isNaN(id)) filters.push({ [key]: Number(id) });
+    } else if (fieldType) {
+      filters.push({ [key]: String(id) });
+    } else {
+      filters.push({ [key]: !isNaN(id) ? parseInt(id) : id });
+    }
+  }
+
+  return filters;
+};
+
+// Write counter every adapter keeps on its records (Mongoose's version
+// key), so a write can be made conditional on the version read before
+export const VERSION_KEY = "__v";
+
+/**
+ * Whether a record still has the version a conditional write expects
+ * @param {object} record
+ * @param {number} [version] - Expected version; undefined matches any
+ * @returns {boolean}
+ */
+export const hasVersion = (record, version) =>
+  version === undefined || (record[VERSION_KEY] ?? 0) === version;
+
+/**
+ * Error shaped like a Mongoose ValidationError so routes handle both alike
+ * @param {string[]} details - Validation messages
+ * @returns {Error}
+ */
+export const validationError = (details) => {
+  const error = new Error(`Validation failed: ${details.join(", ")}`);
+  error.name = "ValidationError";
+  error.errors = Object.fromEntries(
+    details.map((message, idx) => [idx, { message }])
+  );
+  return error;
+};
+
+/**
+ * Error shaped like a MongoDB duplicate key error (code 11000)
+ * @param {string} field - Field whose value is already taken
+ * @returns {Error}
+ */
+export const duplicateError = (field) => {
+  const error = new Error(`Duplicate key error for field: ${field}`);
+  error.code = 11000;
+  error.keyPattern = { [field]: 1 };
+  return error;
+};
+
+export default {
+  VERSION_KEY,
+  hasVersion,
+  buildLookupFilters,
+  validationError,
+  duplicateError,
+};
@@ -0,0 +1,85 @@
+import { createMongoAdapter } from "./mongoAdapter.js";
+import { createMemoryAdapter } from "./memoryAdapter.js";
+import { createFileAdapter } from "./fileAdapter.js";
+
+/**
+ * Storage adapter interface (all methods return promises):
+ *   find(query, { sort, skip, limit })   -> records
+ *   count(query)                         -> number
+ *   estimatedCount()                     -> approximate collection size
+ *   get(id, keys)                        -> record | null
+ *   create(data)                         -> record
+ *   update(id, changes, keys, { version, unset }) -> record | null
+ *   delete(id, keys, { version })        -> record | null
+ *   aggregate(pipeline)                  -> results
+ *   nextSequence(field, { start, step }) -> next value, atomically
+ *   batch(fn)                            -> fn's result; writes inside may
+ *                                           be persisted together at the end
+ *   transaction(fn)                      -> fn's result; writes inside are
+ *                                           kept only if fn resolves. Mongo
+ *                                           only, and only where the server
+ *                                           supports transactions
+ *
+ * Records carry a write counter (__v) that starts at 0 and goes up with
+ * every update. Given a version, update and delete only apply while the
+ * record still has it, and return null otherwise. update removes the
+ * fields listed in unset before applying changes.
+ *
+ * Queries, sorts and pipelines use MongoDB syntax for every adapter.
+ * Validation failures throw errors shaped like Mongoose's ValidationError
+ * and duplicate key errors (code 11000).
+ */
+
+export const STORAGE_TYPES = ["mongo", "memory", "file"];
+
+/**
+ * Picks the adapter type: backend.options.storage, then STORAGE_ADAPTER,
+ * then Mongo when connected and memory otherwise
+ * @param {object} config - Backend configuration (config.backend)
+ * @param {boolean} isMongoConnected
+ * @returns {string}
+ */
+export const resolveStorageType = (config, isMongoConnected) => {
+  const requested =
+    config.options?.storage ||
+    process.env.STORAGE_ADAPTER ||
+    (isMongoConnected ? "mongo" : "memory");
+
+  if (!STORAGE_TYPES.includes(requested)) {
+    throw new Error(
+      `Unknown storage "${requested}", expected one of: ${STORAGE_TYPES.join(", ")}`
+    );
+  }
+
+  if (requested === "mongo" && !isMongoConnected) {
+    console.warn("⚠️ MongoDB not connected, falling back to memory storage");
+    return "memory";
+  }
+
+  return requested;
+};
+
+/**
+ * Creates the storage adapter for an entity
+ * @param {string} entityName - Name of the entity
+ * @param {object} config - Backend configuration (config.backend)
+ * @param {object} options - { type, Model, transactions } - Model is
+ *   required for mongo
+ * @returns {object} - Storage adapter
+ */
+export const createStorage = (
+  entityName,
+  config,
+  { type, Model, transactions }
+) => {
+  switch (type) {
+    case "mongo":
+      return createMongoAdapter(entityName, config, Model, { transactions });
+    case "file":
+      return createFileAdapter(entityName, config);
+    default:
+      return createMemoryAdapter(entityName, config);
+  }
+};
+
+export default { STORAGE_TYPES, resolveStorageType, createStorage };
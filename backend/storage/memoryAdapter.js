@@ -0,0 +1,177 @@
+import mongoose from "mongoose";
+import { validateRecord } from "../utils/recordValidator.js";
+import {
+  VERSION_KEY,
+  hasVersion,
+  buildLookupFilters,
+  validationError,
+  duplicateError,
+} from "./helpers.js";
+import { matchesQuery, sortRecords, runPipeline } from "./memoryQuery.js";
+
+// Records and sequence counters per entity. Kept at module level so data
+// survives schema reloads.
+const stores = new Map();
+const sequences = {};
+
+/**
+ * Creates an in-memory storage adapter for an entity
+ * @param {string} entityName - Name of the entity
+ * @param {object} config - Backend configuration (config.backend)
+ * @param {object} options - { items, counters, onChange, onSequence } to
+ *   back the adapter with existing data and get notified after mutations
+ * @returns {object} - Storage adapter
+ */
+export const createMemoryAdapter = (entityName, config, options = {}) => {
+  if (!options.items && !stores.has(entityName)) {
+    stores.set(entityName, []);
+  }
+
+  const items = options.items || stores.get(entityName);
+  const counters = options.counters || sequences;
+  const schema = config.schema;
+
+  // Inside batch() changes are persisted once, when the batch ends
+  let batchDepth = 0;
+
+  const persist = async () => {
+    if (options.onChange && batchDepth === 0) await options.onChange(items);
+  };
+
+  const findIndex = (id, keys) => {
+    for (const filter of buildLookupFilters(schema, id, keys)) {
+      const idx = items.findIndex((item) => matchesQuery(item, filter));
+      if (idx !== -1) return idx;
+    }
+    return -1;
+  };
+
+  const validate = (data, validateOptions) => {
+    const { data: record, errors } = validateRecord(
+      schema,
+      data,
+      validateOptions
+    );
+    if (errors.length > 0) throw validationError(errors);
+    return record;
+  };
+
+  const assertUnique = (record) => {
+    const field = Object.keys(schema).find(
+      (key) =>
+        schema[key].unique &&
+        record[key] !== undefined &&
+        record[key] !== null &&
+        items.some(
+          (item) => item._id !== record._id && item[key] === record[key]
+        )
+    );
+    if (field) throw duplicateError(field);
+  };
+
+  return {
+    name: "memory",
+
+    find: async (query = {}, { sort, skip = 0, limit } = {}) => {
+      let results = items.filter((item) => matchesQuery(item, query));
+      if (sort) results = sortRecords(results, sort);
+      return results
+        .slice(skip, limit ? skip + limit : undefined)
+        .map((item) => ({ ...item }));
+    },
+
+    count: async (query = {}) =>
+      items.filter((item) => matchesQuery(item, query)).length,
+
+    estimatedCount: async () => items.length,
+
+    get: async (id, keys) => {
+      const idx = findIndex(id, keys);
+      return idx === -1 ? null : { ...items[idx] };
+    },
+
+    create: async (data) => {
+      const now = new Date();
+      const item = {
+        _id: new mongoose.Types.ObjectId().toString(),
+        ...validate(data),
+        [VERSION_KEY]: data[VERSION_KEY] ?? 0,
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      assertUnique(item);
+      items.push(item);
+      await persist();
+
+      return { ...item };
+    },
+
+    update: async (id, changes, keys, { version, unset = [] } = {}) => {
+      const idx = findIndex(id, keys);
+      if (idx === -1 || !hasVersion(items[idx], version)) return null;
+
+      // _id, createdAt and the version are managed by the store
+      const { _id, createdAt, [VERSION_KEY]: _v, ...rest } = changes;
+      const current = { ...items[idx] };
+      for (const field of unset) delete current[field];
+      const record = validate(
+        { ...current, ...rest },
+        { applyDefaults: false }
+      );
+
+      assertUnique(record);
+      items[idx] = {
+        ...record,
+        [VERSION_KEY]: (items[idx][VERSION_KEY] ?? 0) + 1,
+        updatedAt: new Date(),
+      };
+      await persist();
+
+      return { ...items[idx] };
+    },
+
+    delete: async (id, keys, { version } = {}) => {
+      const idx = findIndex(id, keys);
+      if (idx === -1 || !hasVersion(items[idx], version)) return null;
+
+      const [removed] = items.splice(idx, 1);
+      await persist();
+
+      return removed;
+    },
+
+    aggregate: async (pipeline) => runPipeline(items, pipeline),
+
+    batch: async (fn) => {
+      batchDepth++;
+      try {
+        return await fn();
+      } finally {
+        batchDepth--;
+        await persist();
+      }
+    },
+
+    // Increments happen synchronously, so concurrent requests never share
+    // a value
+    nextSequence: async (field, { start = 1, step = 1 } = {}) => {
+      const key = `${entityName}.${field}`;
+
+      if (counters[key] === undefined) {
+        const existing = items
+          .map((item) => item[field])
+          .filter((value) => typeof value === "number");
+        counters[key] = Math.max(...existing, start - step);
+      }
+
+      counters[key] += step;
+      const value = counters[key];
+
+      if (options.onSequence) await options.onSequence(counters);
+      return value;
+    },
+  };
+};
+
+export default { createMemoryAdapter };
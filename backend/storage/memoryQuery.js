@@ -0,0 +1,165 @@
+/**
+ * Evaluates Mongo-style queries, sorts and aggregation pipelines against
+ * plain arrays, for the adapters that don't have a database behind them
+ */
+import {
+  compareValues,
+  getPath,
+  isEqual,
+  matchesQuery,
+} from "../shared/query.js";
+
+export { compareValues, getPath, matchesQuery };
+
+/**
+ * Sorts records by a Mongo-style sort spec, e.g. { price: 1, _id: -1 }
+ * @returns {object[]} - New sorted array
+ */
+export const sortRecords = (records, sort = {}) =>
+  [...records].sort((a, b) => {
+    for (const [field, direction] of Object.entries(sort)) {
+      const result = compareValues(getPath(a, field), getPath(b, field));
+      if (result !== 0) return direction < 0 ? -result : result;
+    }
+    return 0;
+  });
+
+const evaluate = (record, expr) => {
+  if (typeof expr === "string" && expr.startsWith("$")) {
+    return getPath(record, expr.slice(1));
+  }
+  if (expr && typeof expr === "object" && !Array.isArray(expr)) {
+    return Object.fromEntries(
+      Object.entries(expr).map(([key, sub]) => [key, evaluate(record, sub)])
+    );
+  }
+  return expr;
+};
+
+const accumulate = (records, [op, expr]) => {
+  const values = records.map((record) => evaluate(record, expr));
+  const numbers = values.filter((v) => typeof v === "number");
+
+  switch (op) {
+    case "$sum":
+      return numbers.reduce((sum, v) => sum + v, 0);
+    case "$avg":
+      return numbers.length
+        ? numbers.reduce((sum, v) => sum + v, 0) / numbers.length
+        : null;
+    case "$min":
+    case "$max": {
+      const present = values.filter((v) => v != null);
+      if (present.length === 0) return null;
+      const sorted = [...present].sort(compareValues);
+      return op === "$min" ? sorted[0] : sorted[sorted.length - 1];
+    }
+    case "$first":
+      return values[0] ?? null;
+    case "$last":
+      return values[values.length - 1] ?? null;
+    case "$push":
+      return values;
+    case "$addToSet":
+      return values.filter(
+        (v, idx) => values.findIndex((other) => isEqual(other, v)) === idx
+      );
+    case "$count":
+      return records.length;
+    default:
+      throw new Error(`Unsupported accumulator: ${op}`);
+  }
+};
+
+const groupRecords = (records, { _id: idExpr, ...fields }) => {
+  const groups = new Map();
+
+  for (const record of records) {
+    const groupId = evaluate(record, idExpr);
+    const key = JSON.stringify(groupId ?? null);
+    if (!groups.has(key)) {
+      groups.set(key, { _id: groupId ?? null, records: [] });
+    }
+    groups.get(key).records.push(record);
+  }
+
+  return Array.from(groups.values()).map(({ _id, records: members }) => ({
+    _id,
+    ...Object.fromEntries(
+      Object.entries(fields).map(([name, spec]) => [
+        name,
+        accumulate(members, Object.entries(spec)[0]),
+      ])
+    ),
+  }));
+};
+
+const projectRecord = (record, spec) => {
+  const entries = Object.entries(spec);
+  const excluding = entries.every(([, v]) => v === 0 || v === false);
+
+  if (excluding) {
+    const result = { ...record };
+    for (const [field] of entries) delete result[field];
+    return result;
+  }
+
+  const result =
+    spec._id === 0 || spec._id === false ? {} : { _id: record._id };
+  for (const [field, value] of entries) {
+    if (field === "_id" || value === 0 || value === false) continue;
+    result[field] =
+      value === 1 || value === true
+        ? getPath(record, field)
+        : evaluate(record, value);
+  }
+  return result;
+};
+
+/**
+ * Runs a subset of the MongoDB aggregation pipeline: $match, $sort, $skip,
+ * $limit, $project, $group, $unwind and $count
+ * @param {object[]} records
+ * @param {object[]} pipeline
+ * @returns {object[]}
+ */
+export const runPipeline = (records, pipeline = []) =>
+  pipeline.reduce((current, stage) => {
+    const [name, arg] = Object.entries(stage)[0];
+
+    switch (name) {
+      case "$match":
+        return current.filter((record) => matchesQuery(record, arg));
+      case "$sort":
+        return sortRecords(current, arg);
+      case "$skip":
+        return current.slice(arg);
+      case "$limit":
+        return current.slice(0, arg);
+      case "$project":
+        return current.map((record) => projectRecord(record, arg));
+      case "$group":
+        return groupRecords(current, arg);
+      case "$unwind": {
+        const field = (typeof arg === "string" ? arg : arg.path).slice(1);
+        return current.flatMap((record) => {
+          const value = getPath(record, field);
+          return Array.isArray(value)
+            ? value.map((item) => ({ ...record, [field]: item }))
+            : [];
+        });
+      }
+      case "$count":
+        return [{ [arg]: current.length }];
+      default:
+        throw new Error(`Unsupported aggregation stage: ${name}`);
+    }
+  }, records);
+
+export default {
+  getPath,
+  compareValues,
+  matchesQuery,
+  sortRecords,
+  runPipeline,
+};
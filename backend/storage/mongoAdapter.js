@@ -0,0 +1,123 @@
+import { Counter } from "../models/Counter.js";
+import { VERSION_KEY, buildLookupFilters } from "./helpers.js";
+
+/**
+ * Creates a MongoDB storage adapter around a Mongoose model
+ * @param {string} entityName - Name of the entity
+ * @param {object} config - Backend configuration (config.backend)
+ * @param {mongoose.Model} Model - Mongoose model
+ * @param {object} options - { transactions } - whether the server supports
+ *   multi-document transactions (replica sets and sharded clusters)
+ * @returns {object} - Storage adapter
+ */
+export const createMongoAdapter = (
+  entityName,
+  config,
+  Model,
+  { transactions = false } = {}
+) => {
+  // Tries each lookup filter in order until one finds a record
+  const findOneBy = async (id, keys, run) => {
+    for (const filter of buildLookupFilters(config.schema, id, keys)) {
+      const record = await run(filter);
+      if (record) return record;
+    }
+    return null;
+  };
+
+  // Records written before versions existed count as version 0
+  const versioned = (filter, version) =>
+    version === undefined
+      ? filter
+      : {
+          ...filter,
+          [VERSION_KEY]: version === 0 ? { $in: [0, null] } : version,
+        };
+
+  return {
+    name: "mongo",
+
+    find: (query = {}, { sort, skip = 0, limit } = {}) => {
+      let cursor = Model.find(query);
+      if (sort) cursor = cursor.sort(sort);
+      if (skip) cursor = cursor.skip(skip);
+      if (limit) cursor = cursor.limit(limit);
+      return cursor.lean();
+    },
+
+    count: (query = {}) => Model.countDocuments(query),
+
+    // Reads collection metadata, so it ignores filters but stays fast
+    estimatedCount: () => Model.estimatedDocumentCount(),
+
+    get: (id, keys) =>
+      findOneBy(id, keys, (filter) => Model.findOne(filter).lean()),
+
+    create: async (data) => (await Model.create(data)).toObject(),
+
+    update: (id, changes, keys, { version, unset = [] } = {}) => {
+      const { [VERSION_KEY]: _v, ...fields } = changes;
+      const removed = Object.fromEntries(unset.map((field) => [field, ""]));
+      return findOneBy(id, keys, (filter) =>
+        Model.findOneAndUpdate(
+          versioned(filter, version),
+          {
+            $set: fields,
+            $inc: { [VERSION_KEY]: 1 },
+            ...(unset.length > 0 && { $unset: removed }),
+          },
+          { new: true, runValidators: true, lean: true }
+        )
+      );
+    },
+
+    delete: (id, keys, { version } = {}) =>
+      findOneBy(id, keys, (filter) =>
+        Model.findOneAndDelete(versioned(filter, version)).lean()
+      ),
+
+    aggregate: (pipeline) => Model.aggregate(pipeline),
+
+    // Every write is already durable on its own
+    batch: (fn) => fn(),
+
+    // Queries made while fn runs join its session, whichever model they
+    // use (transactionAsyncLocalStorage is set on connect)
+    ...(transactions && {
+      transaction: (fn) => Model.db.transaction(() => fn()),
+    }),
+
+    nextSequence: async (field, { start = 1, step = 1 } = {}) => {
+      const key = `${entityName}.${field}`;
+
+      // Seed a new counter past any ids that already exist
+      if (!(await Counter.exists({ _id: key }))) {
+        const [last] = await Model.find({ [field]: { $type: "number" } })
+          .sort({ [field]: -1 })
+          .limit(1)
+          .lean();
+        const seed = Math.max(last ? last[field] : -Infinity, start - step);
+
+        try {
+          await Counter.updateOne(
+            { _id: key },
+            { $setOnInsert: { seq: seed } },
+            { upsert: true }
+          );
+        } catch (error) {
+          // Another request seeded it first
+          if (error.code !== 11000) throw error;
+        }
+      }
+
+      const counter = await Counter.findOneAndUpdate(
+        { _id: key },
+        { $inc: { seq: step } },
+        { new: true, lean: true }
+      );
+      return counter.seq;
+    },
+  };
+};
+
+export default { createMongoAdapter };
@@ -0,0 +1,88 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryAdapter } from "../storage/memoryAdapter.js";
+import {
+  AUDIT_CONFIG,
+  auditContext,
+  createAuditLog,
+  recordStates,
+  revertChanges,
+  withAudit,
+} from "../utils/audit.js";
+
+const config = {
+  schema: {
+    name: { type: "String", required: true },
+    price: { type: "Number" },
+    note: { type: "String" },
+  },
+};
+
+const setup = () => {
+  const log = createAuditLog(
+    createMemoryAdapter("audit", AUDIT_CONFIG, { items: [], counters: {} })
+  );
+  const store = withAudit(
+    "products",
+    createMemoryAdapter("products", config, { items: [], counters: {} }),
+    log
+  );
+  const history = async (id) =>
+    (await log.store.find({ recordId: String(id) })).sort(
+      (a, b) => a.timestamp - b.timestamp
+    );
+  return { store, history };
+};
+
+// Runs fn as a request by an account would
+const as = (actor, fn) => auditContext.run({ actor, requestId: "r1" }, fn);
+
+describe("audit trail", () => {
+  it("logs each write with its diff and actor", async () => {
+    const { store, history } = setup();
+    const doc = await as("ana", () =>
+      store.create({ name: "Lamp", price: 10 })
+    );
+    await as("bo", () => store.update(String(doc._id), { price: 12 }, []));
+
+    const [created, updated] = await history(doc._id);
+    assert.equal(created.action, "create");
+    assert.equal(created.actor, "ana");
+    assert.equal(updated.action, "update");
+    assert.equal(updated.actor, "bo");
+    assert.deepEqual(updated.changes, [{ field: "price", from: 10, to: 12 }]);
+    assert.equal(recordStates(updated).before.price, 10);
+  });
+
+  it("reverts a record to an earlier entry and logs the revert", async () => {
+    const { store, history } = setup();
+    const doc = await store.create({ name: "Lamp", price: 10 });
+    const id = String(doc._id);
+    await store.update(id, { name: "Desk lamp", price: 12 }, []);
+    await store.update(id, { note: "On sale" }, []);
+
+    const [created] = await history(id);
+    const current = await store.get(id, []);
+    const reverted = await auditContext.run(
+      { actor: "ana", revertOf: String(created._id) },
+      () => store.update(id, revertChanges(current, created.snapshot), [])
+    );
+
+    assert.equal(reverted.name, "Lamp");
+    assert.equal(reverted.price, 10);
+    assert.equal(reverted.note ?? null, null);
+
+    const entries = await history(id);
+    assert.deepEqual(
+      entries.map((entry) => entry.action),
+      ["create", "update", "update", "revert"]
+    );
+    const revert = entries.at(-1);
+    assert.equal(revert.revertOf, String(created._id));
+    assert.deepEqual(revert.changes.map((change) => change.field).sort(), [
+      "name",
+      "note",
+      "price",
+    ]);
+  });
+});
@@ -0,0 +1,228 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryAdapter } from "../storage/memoryAdapter.js";
+import { createAuditLog, withAudit } from "../utils/audit.js";
+import { runBulk } from "../utils/bulk.js";
+
+const config = {
+  schema: {
+    name: { type: "String", required: true },
+    note: { type: "String" },
+  },
+};
+const createStore = () =>
+  createMemoryAdapter("bulk", config, { items: [], counters: {} });
+
+// Stands in for a store with transactions: puts the records back when fn
+// throws
+const withTransaction = (store, items) => ({
+  ...store,
+  transaction: async (fn) => {
+    const saved = items.map((item) => ({ ...item }));
+    try {
+      return await fn();
+    } catch (error) {
+      items.splice(0, items.length, ...saved);
+      throw error;
+    }
+  },
+});
+
+const createBulk = (store, mode, options = {}) =>
+  runBulk([{ name: "a" }, { name: "b" }, { name: "c" }], {
+    mode,
+    describeError: (error) => ({ error: error.message }),
+    prepare: async (data) => ({ value: data }),
+    apply: async (data) => {
+      if (data.name === "c") throw new Error("c failed");
+      const doc = await store.create(data);
+      return {
+        status: "created",
+        undo: () => store.delete(String(doc._id), []),
+      };
+    },
+    ...options,
+  });
+
+describe("atomic bulk", () => {
+  it("writes nothing when an item fails its checks", async () => {
+    const store = createStore();
+    const result = await runBulk([{ name: "a" }, {}], {
+      mode: "atomic",
+      describeError: (error) => ({ error: error.message }),
+      prepare: async (data) =>
+        data.name ? { value: data } : { error: "name: required" },
+      apply: async (data) => ({
+        status: "created",
+        data: await store.create(data),
+      }),
+    });
+
+    assert.equal(result.ok, false);
+    assert.deepEqual(
+      result.results.map((item) => item.status),
+      ["skipped", "failed"]
+    );
+    assert.equal(await store.count(), 0);
+  });
+
+  it("undoes earlier writes when a write fails", async () => {
+    const store = createStore();
+    const result = await createBulk(store, "atomic");
+
+    assert.equal(result.ok, false);
+    assert.deepEqual(
+      result.results.map((item) => item.status),
+      ["rolledBack", "rolledBack", "failed"]
+    );
+    assert.equal(await store.count(), 0);
+  });
+
+  it("aborts the transaction instead of undoing when there is one", async () => {
+    const items = [];
+    const store = withTransaction(
+      createMemoryAdapter("bulk", config, { items, counters: {} }),
+      items
+    );
+    let undone = 0;
+    const result = await runBulk([{ name: "a" }, { name: "c" }], {
+      mode: "atomic",
+      transaction: store.transaction,
+      describeError: (error) => ({ error: error.message }),
+      prepare: async (data) => ({ value: data }),
+      apply: async (data) => {
+        if (data.name === "c") throw new Error("c failed");
+        await store.create(data);
+        return { status: "created", undo: () => undone++ };
+      },
+    });
+
+    assert.deepEqual(
+      result.results.map((item) => item.status),
+      ["rolledBack", "failed"]
+    );
+    assert.equal(result.results[1].error, "c failed");
+    assert.equal(undone, 0);
+    assert.equal(await store.count(), 0);
+  });
+
+  it("throws when the commit itself fails", async () => {
+    const store = createStore();
+    await assert.rejects(
+      runBulk([{ name: "a" }], {
+        mode: "atomic",
+        transaction: async (fn) => {
+          await fn();
+          throw new Error("commit failed");
+        },
+        describeError: (error) => ({ error: error.message }),
+        prepare: async (data) => ({ value: data }),
+        apply: async (data) => ({
+          status: "created",
+          data: await store.create(data),
+        }),
+      }),
+      /commit failed/
+    );
+  });
+});
+
+describe("continue bulk", () => {
+  it("keeps what it could write and reports the rest", async () => {
+    const store = createStore();
+    const result = await createBulk(store, "continue");
+
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.summary, { total: 3, succeeded: 2, failed: 1 });
+    assert.equal(await store.count(), 2);
+  });
+});
+
+describe("undoing a bulk update", () => {
+  it("removes fields the update added", async () => {
+    const store = createStore();
+    const doc = await store.create({ name: "a" });
+    await store.update(doc._id, { name: "b", note: "added" }, []);
+
+    const undone = await store.update(doc._id, { name: "a" }, [], {
+      unset: ["note"],
+    });
+    assert.equal(undone.name, "a");
+    assert.equal("note" in undone, false);
+  });
+});
+
+describe("audit entries in a transaction", () => {
+  const createLog = () => {
+    const written = [];
+    const log = createAuditLog({
+      batch: (fn) => fn(),
+      create: async (entry) => written.push(entry),
+    });
+    return { log, written };
+  };
+
+  it("are written once the transaction commits", async () => {
+    const items = [];
+    const { log, written } = createLog();
+    const store = withAudit(
+      "bulk",
+      withTransaction(
+        createMemoryAdapter("bulk", config, { items, counters: {} }),
+        items
+      ),
+      log
+    );
+
+    await store.transaction(() => store.create({ name: "a" }));
+    assert.deepEqual(
+      written.map((entry) => entry.action),
+      ["create"]
+    );
+  });
+
+  it("are dropped when it aborts", async () => {
+    const items = [];
+    const { log, written } = createLog();
+    const store = withAudit(
+      "bulk",
+      withTransaction(
+        createMemoryAdapter("bulk", config, { items, counters: {} }),
+        items
+      ),
+      log
+    );
+
+    await assert.rejects(
+      store.transaction(async () => {
+        await store.create({ name: "a" });
+        throw new Error("abort");
+      })
+    );
+    assert.equal(written.length, 0);
+    assert.equal(items.length, 0);
+  });
+
+  it("come from the last try when the transaction runs fn again", async () => {
+    const { log, written } = createLog();
+    const base = createStore();
+    const store = withAudit(
+      "bulk",
+      {
+        ...base,
+        transaction: async (fn) => {
+          await fn();
+          return fn();
+        },
+      },
+      log
+    );
+
+    let tries = 0;
+    await store.transaction(() => store.create({ name: `try ${++tries}` }));
+    assert.deepEqual(
+      written.map((entry) => entry.snapshot.name),
+      ["try 2"]
+    );
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryAdapter } from "../storage/memoryAdapter.js";
+import {
+  formatETag,
+  getRecordVersion,
+  matchesIfMatch,
+  withVersion,
+  writeCondition,
+} from "../utils/concurrency.js";
+
+const config = { schema: { name: { type: "String" } } };
+const createStore = () =>
+  createMemoryAdapter("concurrency", config, { items: [], counters: {} });
+
+describe("record versions", () => {
+  it("start at 0 and go up with every update", async () => {
+    const store = createStore();
+    const doc = await store.create({ name: "a" });
+    assert.equal(getRecordVersion(doc), "0");
+
+    const updated = await store.update(doc._id, { name: "b", __v: 9 }, []);
+    assert.equal(getRecordVersion(updated), "1");
+  });
+
+  it("are returned as _version instead of the store's counter", async () => {
+    const store = createStore();
+    const doc = await store.create({ name: "a" });
+    const { __v, ...rest } = doc;
+    assert.deepEqual(withVersion(doc, doc), { ...rest, _version: "0" });
+  });
+});
+
+describe("If-Match", () => {
+  const record = { _id: "x", __v: 2 };
+
+  it("matches the current version, any of a list, or *", () => {
+    assert.equal(matchesIfMatch(undefined, record), true);
+    assert.equal(matchesIfMatch("*", record), true);
+    assert.equal(matchesIfMatch('"2"', record), true);
+    assert.equal(matchesIfMatch('W/"1", "2"', record), true);
+    assert.equal(matchesIfMatch('"1"', record), false);
+  });
+
+  it("turns into a write condition only when it names a version", () => {
+    assert.deepEqual(writeCondition(undefined, record), {});
+    assert.deepEqual(writeCondition("*", record), {});
+    assert.deepEqual(writeCondition(formatETag("2"), record), { version: 2 });
+  });
+
+  it("lets only the first of two writes with the same ETag apply", async () => {
+    const store = createStore();
+    const doc = await store.create({ name: "a" });
+    const condition = writeCondition(formatETag("0"), doc);
+
+    const [first, second] = await Promise.all([
+      store.update(doc._id, { name: "first" }, [], condition),
+      store.update(doc._id, { name: "second" }, [], condition),
+    ]);
+
+    assert.equal(first.name, "first");
+    assert.equal(second, null);
+    assert.equal((await store.get(doc._id, [])).name, "first");
+  });
+
+  it("skips a delete once the record changed", async () => {
+    const store = createStore();
+    const doc = await store.create({ name: "a" });
+    await store.update(doc._id, { name: "b" }, []);
+
+    assert.equal(await store.delete(doc._id, [], { version: 0 }), null);
+    assert.ok(await store.delete(doc._id, [], { version: 1 }));
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { graphql, parse, specifiedRules, validate } from "graphql";
+import { createMemoryAdapter } from "../storage/memoryAdapter.js";
+import { MAX_LIMIT } from "../utils/pagination.js";
+import {
+  MAX_QUERY_DEPTH,
+  buildGraphQLSchema,
+  depthLimitRule,
+} from "../utils/graphql.js";
+
+const configs = {
+  users: { schema: { name: { type: "String" } } },
+  orders: {
+    schema: {
+      total: { type: "Number" },
+      userId: { type: "ObjectId", ref: "users" },
+    },
+  },
+};
+
+const setup = async () => {
+  const entityStores = new Map(
+    Object.entries(configs).map(([entity, config]) => [
+      entity,
+      {
+        config,
+        store: createMemoryAdapter(entity, config, { items: [], counters: {} }),
+      },
+    ])
+  );
+  const users = entityStores.get("users").store;
+  const orders = entityStores.get("orders").store;
+
+  const ana = await users.create({ name: "Ana" });
+  const bo = await users.create({ name: "Bo" });
+  for (let i = 0; i < 3; i++) {
+    await orders.create({ total: i, userId: ana._id });
+    await orders.create({ total: i, userId: bo._id });
+  }
+
+  // Counts reads by entity to see the loader batch them
+  const reads = { users: 0, orders: 0 };
+  for (const [entity, target] of entityStores) {
+    const find = target.store.find;
+    target.store = {
+      ...target.store,
+      find: (...args) => {
+        reads[entity]++;
+        return find(...args);
+      },
+    };
+  }
+
+  const schema = buildGraphQLSchema(entityStores);
+  const run = (source) =>
+    graphql({
+      schema,
+      source,
+      contextValue: { user: { role: "admin" }, cache: new Map() },
+    });
+  return { schema, run, reads };
+};
+
+describe("GraphQL", () => {
+  it("loads the records references point at in one read", async () => {
+    const { run, reads } = await setup();
+    const result = await run("{ orders { data { userId user { _id } } } }");
+
+    assert.equal(result.errors, undefined);
+    assert.equal(result.data.orders.data.length, 6);
+    for (const order of result.data.orders.data) {
+      assert.equal(order.user._id, order.userId);
+    }
+    assert.equal(reads.users, 1);
+  });
+
+  it("caps limit at the REST maximum", async () => {
+    const { run } = await setup();
+    const result = await run(`{ users(limit: ${MAX_LIMIT + 1}) { limit } }`);
+    assert.equal(result.data.users.limit, MAX_LIMIT);
+
+    const invalid = await run(
+      "{ users { data { orders(limit: 0) { total } } } }"
+    );
+    assert.equal(invalid.errors[0].extensions.code, "BAD_USER_INPUT");
+  });
+
+  it("rejects operations nested past the maximum depth", async () => {
+    const { schema } = await setup();
+    const rules = [...specifiedRules, depthLimitRule(MAX_QUERY_DEPTH)];
+    const nest = (levels) =>
+      "{ users { data { " +
+      "orders { user { ".repeat(levels) +
+      "name" +
+      " } }".repeat(levels) +
+      " } } }";
+
+    assert.deepEqual(validate(schema, parse(nest(2)), rules), []);
+
+    const errors = validate(schema, parse(nest(4)), rules);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, new RegExp(`at most ${MAX_QUERY_DEPTH}`));
+  });
+
+  it("counts fragments towards the depth but not introspection", async () => {
+    const { schema } = await setup();
+    const rules = [depthLimitRule(3)];
+
+    const fragment = parse(
+      "{ users { data { ...Deep } } } fragment Deep on Users { orders { total } }"
+    );
+    assert.equal(validate(schema, fragment, rules).length, 1);
+
+    const introspection = parse(
+      "{ __schema { types { fields { type { ofType { name } } } } } }"
+    );
+    assert.deepEqual(validate(schema, introspection, rules), []);
+  });
+});
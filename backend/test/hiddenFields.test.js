@@ -0,0 +1,46 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { resolveAccess } from "../utils/permissions.js";
+import { buildListQuery } from "../utils/queryBuilder.js";
+
+const config = {
+  schema: {
+    name: { type: "String" },
+    phone: { type: "String" },
+    salary: { type: "Number" },
+  },
+  options: {
+    hiddenFields: ["phone"],
+    permissions: { fields: { salary: { hidden: ["user"] } } },
+  },
+};
+
+describe("hidden fields in list queries", () => {
+  const access = resolveAccess(config, { role: "user" });
+
+  it("can't be filtered or sorted on", () => {
+    const { errors } = buildListQuery(access.schema, {
+      "filter[phone][startsWith]": "12",
+      "filter[salary][gt]": "1000",
+      sort: "phone",
+    });
+
+    assert.deepEqual(errors, [
+      'filter: unknown field "phone"',
+      'filter: unknown field "salary"',
+      'sort: unknown field "phone"',
+    ]);
+  });
+
+  it("are left out of search", () => {
+    const { filter } = buildListQuery(access.schema, { search: "123" });
+    assert.deepEqual(filter.$and, [
+      { $or: [{ name: { $regex: "123", $options: "i" } }] },
+    ]);
+  });
+
+  it("stay hidden for admins when declared in options", () => {
+    const admin = resolveAccess(config, { role: "admin" });
+    assert.deepEqual(Object.keys(admin.schema), ["name", "salary"]);
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryAdapter } from "../storage/memoryAdapter.js";
+import {
+  deleteWithPolicies,
+  planDelete,
+  restoreDelete,
+} from "../utils/integrity.js";
+
+const ref = (onDelete) => ({
+  type: "String",
+  ref: "categories",
+  refKey: "code",
+  onDelete,
+});
+
+const configs = {
+  categories: {
+    schema: { code: { type: "String" }, name: { type: "String" } },
+  },
+  products: {
+    schema: { name: { type: "String" }, category: ref("cascade") },
+  },
+  orders: {
+    schema: {
+      product: {
+        type: "String",
+        ref: "products",
+        refKey: "name",
+        onDelete: "restrict",
+      },
+    },
+  },
+  posts: {
+    schema: {
+      title: { type: "String" },
+      category: ref("setNull"),
+      tags: [ref("setNull")],
+    },
+  },
+  notes: {
+    schema: { title: { type: "String" }, category: ref("softDelete") },
+    options: { softDelete: true },
+  },
+};
+
+const setup = async () => {
+  const entities = new Map(
+    Object.entries(configs).map(([entity, config]) => [
+      entity,
+      {
+        config,
+        store: createMemoryAdapter(entity, config, { items: [], counters: {} }),
+      },
+    ])
+  );
+  const create = (entity, data) => entities.get(entity).store.create(data);
+
+  const books = await create("categories", { code: "books", name: "Books" });
+  await create("categories", { code: "games", name: "Games" });
+  await create("products", { name: "Atlas", category: "books" });
+  await create("posts", {
+    title: "Reading list",
+    category: "books",
+    tags: ["books", "games"],
+  });
+  await create("notes", { title: "Restock", category: "books" });
+
+  const all = (entity) => entities.get(entity).store.find({});
+  return { entities, books, create, all };
+};
+
+describe("delete policies", () => {
+  it("cascade, clear and trash what points at the record", async () => {
+    const { entities, books, all } = await setup();
+    const { report } = await deleteWithPolicies("categories", books, entities);
+
+    assert.deepEqual(
+      report.deleted.map((item) => item.label),
+      ["Atlas", "Books"]
+    );
+    assert.deepEqual(
+      report.updated.map((item) => item.field),
+      ["category", "tags"]
+    );
+    assert.equal(report.softDeleted[0].label, "Restock");
+
+    assert.equal((await all("products")).length, 0);
+    const [post] = await all("posts");
+    assert.equal(post.category, null);
+    assert.deepEqual(post.tags, ["games"]);
+    const [note] = await all("notes");
+    assert.ok(note.deletedAt instanceof Date);
+  });
+
+  it("restrict blocks the delete even through a cascade", async () => {
+    const { entities, books, create, all } = await setup();
+    await create("orders", { product: "Atlas" });
+
+    const { blocking } = await deleteWithPolicies(
+      "categories",
+      books,
+      entities
+    );
+    assert.equal(blocking[0].entity, "orders");
+    assert.equal(blocking[0].field, "product");
+    assert.equal((await all("categories")).length, 2);
+    assert.equal((await all("products")).length, 1);
+  });
+
+  it("can be undone from the plan", async () => {
+    const { entities, books, all } = await setup();
+    const before = {
+      posts: await all("posts"),
+      notes: await all("notes"),
+    };
+
+    const plan = await planDelete("categories", books, entities);
+    await deleteWithPolicies("categories", books, entities);
+    await restoreDelete(plan, entities);
+
+    assert.equal((await all("categories")).length, 2);
+    assert.equal((await all("products")).length, 1);
+    const [post] = await all("posts");
+    assert.equal(post.category, before.posts[0].category);
+    assert.deepEqual(post.tags, before.posts[0].tags);
+    const [note] = await all("notes");
+    assert.equal(note.deletedAt ?? null, null);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryAdapter } from "../storage/memoryAdapter.js";
+import {
+  CursorError,
+  encodeCursor,
+  findPage,
+  withTiebreaker,
+} from "../utils/pagination.js";
+
+const config = {
+  schema: {
+    name: { type: "String" },
+    price: { type: "Number" },
+  },
+};
+
+// Prices with ties and gaps, so pages split inside equal sort keys
+const setup = async () => {
+  const store = createMemoryAdapter("pages", config, {
+    items: [],
+    counters: {},
+  });
+  for (const [i, price] of [5, 3, null, 5, 1, 3, null, 5, 2].entries()) {
+    await store.create({ name: `p${i}`, price });
+  }
+  return store;
+};
+
+const names = (records) => records.map((record) => record.name);
+
+// Follows nextCursor from the first page to the last
+const walk = async (store, sort, limit) => {
+  const pages = [];
+  let cursor;
+  do {
+    const page = await findPage(store, config.schema, {
+      filter: {},
+      sort,
+      limit,
+      cursor,
+    });
+    pages.push(page);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+};
+
+describe("cursor pagination", () => {
+  for (const sort of [{ price: 1 }, { price: -1 }, { name: -1 }]) {
+    const [[field, dir]] = Object.entries(sort);
+    it(`visits every record once by ${field} ${dir}`, async () => {
+      const store = await setup();
+      const expected = names(
+        await store.find({}, { sort: withTiebreaker(sort) })
+      );
+
+      const pages = await walk(store, sort, 2);
+      assert.deepEqual(names(pages.flatMap((page) => page.data)), expected);
+      assert.equal(pages[0].prevCursor, null);
+      assert.equal(pages.at(-1).nextCursor, null);
+    });
+  }
+
+  it("goes back to the same records with prevCursor", async () => {
+    const store = await setup();
+    const pages = await walk(store, { price: -1 }, 3);
+
+    for (let i = pages.length - 1; i > 0; i--) {
+      const previous = await findPage(store, config.schema, {
+        filter: {},
+        sort: { price: -1 },
+        limit: 3,
+        cursor: pages[i].prevCursor,
+      });
+      assert.deepEqual(names(previous.data), names(pages[i - 1].data));
+    }
+  });
+
+  it("keeps its place when records are added before it", async () => {
+    const store = await setup();
+    const sort = { price: 1 };
+    const first = await findPage(store, config.schema, {
+      filter: {},
+      sort,
+      limit: 4,
+    });
+
+    await store.create({ name: "cheap", price: 0 });
+    const second = await findPage(store, config.schema, {
+      filter: {},
+      sort,
+      limit: 4,
+      cursor: first.nextCursor,
+    });
+
+    const seen = names([...first.data, ...second.data]);
+    assert.equal(new Set(seen).size, seen.length);
+    assert.equal(seen.includes("cheap"), false);
+  });
+
+  it("rejects cursors made for another sort, or mangled", async () => {
+    const store = await setup();
+    const [record] = await store.find({});
+    const cursor = encodeCursor(record, withTiebreaker({ price: 1 }));
+
+    for (const bad of [cursor, "not-a-cursor"]) {
+      await assert.rejects(
+        findPage(store, config.schema, {
+          filter: {},
+          sort: { name: 1 },
+          limit: 2,
+          cursor: bad,
+        }),
+        CursorError
+      );
+    }
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { resolveAccess } from "../utils/permissions.js";
+import { allowsRecord, ruleScope } from "../shared/permissions.js";
+
+const permissions = {
+  read: ["*"],
+  update: ["editor", { role: "user", own: true }],
+  delete: [{ role: "editor", where: { status: { $in: ["draft", "review"] } } }],
+  ownerField: "createdBy",
+};
+const config = { schema: {}, options: { permissions } };
+
+const user = { _id: "u1", role: "user" };
+const editor = { _id: "e1", role: "editor" };
+const admin = { _id: "a1", role: "admin" };
+
+describe("permission rules", () => {
+  it("scope an action to the records a role may touch", () => {
+    assert.equal(ruleScope(permissions, "read", user), null);
+    assert.equal(ruleScope(permissions, "create", user), null);
+    assert.deepEqual(ruleScope(permissions, "update", user), {
+      createdBy: "u1",
+    });
+    assert.equal(ruleScope(permissions, "delete", user), false);
+    assert.equal(ruleScope(permissions, "delete", admin), null);
+  });
+
+  it("match records with the full query language", () => {
+    const draft = { status: "draft", createdBy: "u1" };
+    const live = { status: "live", createdBy: "u1" };
+
+    assert.equal(allowsRecord(permissions, "update", user, draft), true);
+    assert.equal(
+      allowsRecord(permissions, "update", { ...user, _id: "u2" }, draft),
+      false
+    );
+    assert.equal(allowsRecord(permissions, "delete", editor, draft), true);
+    assert.equal(allowsRecord(permissions, "delete", editor, live), false);
+  });
+
+  it("are the ones the server enforces", () => {
+    const access = resolveAccess(config, editor);
+    for (const record of [{ status: "draft" }, { status: "live" }]) {
+      assert.equal(
+        access.allows("delete", record),
+        allowsRecord(permissions, "delete", editor, record)
+      );
+    }
+    assert.deepEqual(access.restrict("delete", { a: 1 }), {
+      $and: [{ a: 1 }, ruleScope(permissions, "delete", editor)],
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildListQuery,
+  buildSearchFilter,
+  parseSort,
+} from "../utils/queryBuilder.js";
+
+const schema = {
+  name: { type: "String" },
+  price: { type: "Number" },
+  active: { type: "Boolean" },
+  validTill: { type: "Date" },
+  tags: [{ type: "String" }],
+  meta: { type: "Object" },
+};
+
+describe("buildListQuery", () => {
+  it("types filter values by field", () => {
+    const { filter, errors } = buildListQuery(schema, {
+      "filter[price][gte]": "10",
+      "filter[active]": "true",
+      "filter[validTill][lt]": "2026-01-01",
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(filter.$and, [
+      { price: { $gte: 10 } },
+      { active: true },
+      { validTill: { $lt: new Date("2026-01-01") } },
+    ]);
+  });
+
+  it("accepts nested filter objects and list operators", () => {
+    const { filter, errors } = buildListQuery(schema, {
+      filter: { price: { between: "1,5" }, name: { in: ["a", "b"] } },
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(filter.$and, [
+      { price: { $gte: 1, $lte: 5 } },
+      { name: { $in: ["a", "b"] } },
+    ]);
+  });
+
+  it("escapes regex characters in contains and startsWith", () => {
+    const { filter } = buildListQuery(schema, {
+      "filter[name][contains]": "a.b",
+      "filter[tags][startsWith]": "(x",
+    });
+
+    assert.deepEqual(filter.$and, [
+      { name: { $regex: "a\\.b", $options: "i" } },
+      { tags: { $regex: "^\\(x", $options: "i" } },
+    ]);
+  });
+
+  it("reports unknown fields, operators and bad values", () => {
+    const { errors } = buildListQuery(schema, {
+      "filter[nope]": "1",
+      "filter[price][like]": "1",
+      "filter[active][gt]": "true",
+      "filter[price][lt]": "cheap",
+      "filter[price][between]": "1",
+      "filter[meta]": "x",
+    });
+
+    assert.deepEqual(errors, [
+      'filter: unknown field "nope"',
+      'filter[price]: unknown operator "like"',
+      'filter[active]: "gt" is not supported on Boolean',
+      "filter[price][lt]: must be a number",
+      "filter[price][between]: needs two values: min,max",
+      'filter: unknown field "meta"',
+    ]);
+  });
+
+  it("filters built-in fields and sorts newest first by default", () => {
+    const { filter, sort } = buildListQuery(schema, {
+      "filter[createdAt][gte]": "2026-01-01",
+    });
+
+    assert.deepEqual(filter, {
+      $and: [{ createdAt: { $gte: new Date("2026-01-01") } }],
+    });
+    assert.deepEqual(sort, { createdAt: -1 });
+  });
+});
+
+describe("buildSearchFilter", () => {
+  it("searches String fields only", () => {
+    assert.deepEqual(buildSearchFilter(schema, " desk "), {
+      $or: [{ name: { $regex: "desk", $options: "i" } }],
+    });
+  });
+
+  it("ignores an empty search", () => {
+    assert.equal(buildSearchFilter(schema, "  "), null);
+    assert.equal(buildSearchFilter(schema, undefined), null);
+  });
+});
+
+describe("parseSort", () => {
+  it("parses directions and reports unknown fields", () => {
+    const errors = [];
+    assert.deepEqual(parseSort(schema, "-price,+name,nope", errors), {
+      price: -1,
+      name: 1,
+    });
+    assert.deepEqual(errors, ['sort: unknown field "nope"']);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryAdapter } from "../storage/memoryAdapter.js";
+import {
+  checkReferences,
+  expandRecords,
+  parseExpand,
+} from "../utils/references.js";
+
+const configs = {
+  categories: {
+    schema: { id: { type: "Number" }, name: { type: "String" } },
+    options: { hiddenFields: ["name"] },
+  },
+  tags: {
+    schema: { label: { type: "String" } },
+  },
+  products: {
+    schema: {
+      name: { type: "String" },
+      categoryId: { type: "Number", ref: "categories", refKey: "id" },
+      tagIds: [{ type: "String", ref: "tags" }],
+    },
+  },
+};
+
+const setup = async () => {
+  const entities = new Map(
+    Object.entries(configs).map(([entity, config]) => [
+      entity,
+      {
+        config,
+        store: createMemoryAdapter(entity, config, { items: [], counters: {} }),
+      },
+    ])
+  );
+  const resolve = (entity) => entities.get(entity);
+  await resolve("categories").store.create({ id: 1, name: "Office" });
+  const tag = await resolve("tags").store.create({ label: "new" });
+  return { resolve, tag };
+};
+
+const { schema } = configs.products;
+
+describe("references", () => {
+  it("must point at existing records", async () => {
+    const { resolve, tag } = await setup();
+
+    assert.deepEqual(
+      await checkReferences(
+        schema,
+        { categoryId: "1", tagIds: [String(tag._id)] },
+        resolve
+      ),
+      []
+    );
+    assert.deepEqual(
+      await checkReferences(
+        schema,
+        { categoryId: 2, tagIds: ["nope"] },
+        resolve
+      ),
+      [
+        "categoryId: no categories record with id 2",
+        "tagIds: no tags record with _id nope",
+      ]
+    );
+  });
+
+  it("expand into the records they point at", async () => {
+    const { resolve, tag } = await setup();
+    const errors = [];
+    const references = parseExpand(schema, "categoryId, tagIds", errors);
+    assert.deepEqual(errors, []);
+
+    const [product] = await expandRecords(
+      [{ name: "Desk", categoryId: 1, tagIds: [String(tag._id), "gone"] }],
+      references,
+      resolve
+    );
+    assert.equal(product.categoryId.id, 1);
+    assert.equal("name" in product.categoryId, false);
+    assert.deepEqual(
+      product.tagIds.map((item) => item.label),
+      ["new"]
+    );
+  });
+
+  it("only expand reference fields", () => {
+    const errors = [];
+    assert.deepEqual(parseExpand(schema, "name", errors), []);
+    assert.deepEqual(errors, ['expand: "name" is not a reference field']);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { validateSchema } from "../utils/schemaValidator.js";
+
+const entity = (backend, route = "/api/items") => ({
+  route,
+  backend: { schema: { name: { type: "String" } }, ...backend },
+  frontend: { fields: [] },
+});
+
+const errorPaths = (schema) =>
+  validateSchema(schema)
+    .issues.filter((issue) => issue.severity === "error")
+    .map((issue) => issue.path);
+
+describe("schema validation", () => {
+  it("points storage option errors at the option itself", () => {
+    const paths = errorPaths({
+      record: {
+        items: entity({
+          schema: {
+            name: { type: "String", generate: "nope" },
+            owner: { type: "String", ref: "missing" },
+          },
+          options: {
+            hiddenFields: ["name", "ghost"],
+            permissions: { read: [{ own: true }] },
+          },
+        }),
+      },
+    });
+
+    assert.deepEqual(paths.sort(), [
+      "$.record.items.backend.options.hiddenFields[1]",
+      "$.record.items.backend.options.permissions.read[0]",
+      "$.record.items.backend.schema.name.generate",
+      "$.record.items.backend.schema.owner",
+    ]);
+  });
+
+  it("reserves API routes whatever their case", () => {
+    for (const route of [
+      "/api/auth",
+      "/API/Auth",
+      "/api/Schema/",
+      "/Api/docs/x",
+    ]) {
+      assert.deepEqual(errorPaths({ record: { items: entity({}, route) } }), [
+        "$.record.items.route",
+      ]);
+    }
+  });
+});
@@ -0,0 +1,104 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { createMemoryAdapter } from "../storage/memoryAdapter.js";
+import {
+  DELIVERY_CONFIG,
+  WEBHOOK_CONFIG,
+  createWebhookDispatcher,
+  signPayload,
+} from "../utils/webhooks.js";
+
+// Local receiver: answers each path with the next status in its list and
+// keeps every request it got
+const received = [];
+const answers = {};
+const receiver = createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    received.push({ path: req.url, headers: req.headers, body });
+    const status = answers[req.url]?.shift() ?? 200;
+    if (status >= 300 && status < 400) res.setHeader("Location", "/elsewhere");
+    res.writeHead(status).end("ok");
+  });
+});
+let baseUrl;
+
+before(async () => {
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+after(() => receiver.close());
+
+const setup = async (path) => {
+  const webhooks = createMemoryAdapter("webhooks", WEBHOOK_CONFIG, {
+    items: [],
+    counters: {},
+  });
+  const deliveries = createMemoryAdapter("deliveries", DELIVERY_CONFIG, {
+    items: [],
+    counters: {},
+  });
+  const webhook = await webhooks.create({
+    url: `${baseUrl}${path}`,
+    events: ["*.*"],
+    secret: "whsec_test",
+    active: true,
+  });
+  const dispatcher = createWebhookDispatcher({
+    webhooks,
+    deliveries,
+    getConfig: () => ({ schema: {} }),
+  });
+  return { webhook, dispatcher };
+};
+
+describe("webhook delivery", () => {
+  it("signs the body it sends", async () => {
+    const { webhook, dispatcher } = await setup("/signed");
+    const delivery = await dispatcher.ping(webhook);
+
+    assert.equal(delivery.status, "succeeded");
+    const request = received.find((r) => r.path === "/signed");
+    assert.equal(
+      request.headers["x-webhook-signature"],
+      signPayload(
+        "whsec_test",
+        request.headers["x-webhook-timestamp"],
+        request.body
+      )
+    );
+    assert.equal(JSON.parse(request.body).event, "ping");
+  });
+
+  it("retries after a server error", async () => {
+    answers["/flaky"] = [503];
+    const { webhook, dispatcher } = await setup("/flaky");
+
+    const first = await dispatcher.ping(webhook);
+    assert.equal(first.status, "pending");
+    assert.equal(first.attempts[0].statusCode, 503);
+    assert.ok(new Date(first.nextAttemptAt) > new Date());
+
+    const second = await dispatcher.deliver(String(first._id));
+    assert.equal(second.status, "succeeded");
+    assert.deepEqual(
+      second.attempts.map((attempt) => attempt.statusCode),
+      [503, 200]
+    );
+  });
+
+  it("does not follow redirects", async () => {
+    answers["/moved"] = [302];
+    const { webhook, dispatcher } = await setup("/moved");
+
+    const delivery = await dispatcher.ping(webhook);
+    assert.equal(delivery.status, "pending");
+    assert.equal(delivery.attempts[0].statusCode, 302);
+    assert.equal(
+      received.some((r) => r.path === "/elsewhere"),
+      false
+    );
+  });
+});
@@ -0,0 +1,381 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { hideFields } from "./projection.js";
+import { isTrashed } from "./softDelete.js";
+
+/**
+ * Audit trail of record changes.
+ *
+ * Entity stores are wrapped with withAudit, so every create, update and
+ * delete is logged whichever route (or cascade) made it. Each entry has a
+ * field-level diff, a snapshot of the record, and the actor and request id
+ * of the request it happened in:
+ *   { entity, recordId, action, changes: [{ field, from, to }], snapshot,
+ *     actor, requestId, revertOf, timestamp }
+ *
+ * Actions: create, update, trash, restore, revert, delete.
+ */
+
+export const AUDIT_ACTIONS = [
+  "create",
+  "update",
+  "trash",
+  "restore",
+  "revert",
+  "delete",
+];
+
+// Backend configuration of the internal audit store
+export const AUDIT_CONFIG = {
+  schema: {
+    entity: { type: "String", required: true },
+    recordId: { type: "String", required: true },
+    action: { type: "String", required: true },
+    changes: { type: "Array" },
+    snapshot: { type: "Object" },
+    actor: { type: "String" },
+    requestId: { type: "String" },
+    revertOf: { type: "String" },
+    timestamp: { type: "Date", required: true },
+  },
+  options: { timestamps: false },
+};
+
+// Managed by the stores, never part of a diff or a revert
+export const MANAGED_FIELDS = [
+  "_id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "deletedAt",
+];
+
+// Record lifecycle event each action counts as, for webhooks and the
+// change feed
+export const EVENT_FOR_ACTION = {
+  create: "created",
+  update: "updated",
+  revert: "updated",
+  restore: "updated",
+  trash: "deleted",
+  delete: "deleted",
+};
+
+// { actor, requestId, revertOf } of the request being handled
+export const auditContext = new AsyncLocalStorage();
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Field-level differences between two versions of a record
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {{ field: string, from: any, to: any }[]}
+ */
+export const diffRecords = (before, after) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (MANAGED_FIELDS.includes(field)) continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (!same(from, to)) changes.push({ field, from, to });
+  }
+  return changes;
+};
+
+/**
+ * Writes entries as they are appended, so they are stored before the
+ * response that made the change goes out. Inside batch() entries wait
+ * and are written together when the batch ends, so bulk work doesn't
+ * rewrite a file store once per record. Listeners added with subscribe()
+ * hear each entry once it is stored.
+ * @param {object} store - Storage adapter for the entries
+ * @returns {object} - { append, batch, restart, flush, subscribe, store }
+ */
+export const createAuditLog = (store) => {
+  let pending = [];
+  let flushing = Promise.resolve();
+  const listeners = [];
+
+  // The entries of the batch running in this call chain, if any: other
+  // requests handled meanwhile keep writing their entries right away
+  const batching = new AsyncLocalStorage();
+
+  const flush = () => {
+    flushing = flushing.then(async () => {
+      if (pending.length === 0) return;
+      const entries = pending;
+      pending = [];
+
+      try {
+        await store.batch(async () => {
+          for (const entry of entries) await store.create(entry);
+        });
+      } catch (error) {
+        console.error("❌ Failed to write audit entries:", error);
+        return;
+      }
+      for (const entry of entries) {
+        for (const listener of listeners) {
+          try {
+            listener(entry);
+          } catch (error) {
+            console.error("❌ Audit listener failed:", error);
+          }
+        }
+      }
+    });
+    return flushing;
+  };
+
+  // Resolves once the entry is written, or right away inside a batch
+  const append = (entry) => {
+    const entries = batching.getStore();
+    if (entries) {
+      entries.push(entry);
+      return Promise.resolve();
+    }
+    pending.push(entry);
+    return flush();
+  };
+
+  // With discardOnError, entries are dropped when fn throws, for writes a
+  // transaction took back. A nested batch hands its entries to the outer
+  // one.
+  const batch = (fn, { discardOnError = false } = {}) => {
+    const outer = batching.getStore();
+    const entries = [];
+    return batching.run(entries, async () => {
+      let ok = false;
+      try {
+        const result = await fn();
+        ok = true;
+        return result;
+      } finally {
+        if (ok || !discardOnError) {
+          if (outer) outer.push(...entries);
+          else {
+            pending.push(...entries);
+            await flush();
+          }
+        }
+      }
+    });
+  };
+
+  // Forgets what the current batch collected so far, for a transaction
+  // that runs its function again after a transient error
+  const restart = () => {
+    const entries = batching.getStore();
+    if (entries) entries.length = 0;
+  };
+
+  const subscribe = (listener) => listeners.push(listener);
+
+  return { append, batch, restart, flush, subscribe, store };
+};
+
+const actionFor = (before, changes, after) => {
+  if ("deletedAt" in changes) {
+    if (!isTrashed(before) && isTrashed(after)) return "trash";
+    if (isTrashed(before) && !isTrashed(after)) return "restore";
+  }
+  return auditContext.getStore()?.revertOf ? "revert" : "update";
+};
+
+/**
+ * Wraps a storage adapter so its writes are logged
+ * @param {string} entity - Entity name
+ * @param {object} store - Storage adapter
+ * @param {object} log - From createAuditLog
+ * @returns {object} - Storage adapter
+ */
+export const withAudit = (entity, store, log) => {
+  const record = (action, doc, changes) => {
+    const { actor = null, requestId = null, revertOf = null } =
+      auditContext.getStore() || {};
+    return log.append({
+      entity,
+      recordId: String(doc._id),
+      action,
+      changes,
+      snapshot: doc,
+      actor,
+      requestId,
+      revertOf: action === "revert" ? revertOf : null,
+      timestamp: new Date(),
+    });
+  };
+
+  return {
+    ...store,
+
+    create: async (data) => {
+      const doc = await store.create(data);
+      await record("create", doc, diffRecords(null, doc));
+      return doc;
+    },
+
+    update: async (id, changes, keys, options) => {
+      const before = await store.get(id, keys);
+      const doc = await store.update(id, changes, keys, options);
+      if (!before || !doc) return doc;
+
+      const diff = diffRecords(before, doc);
+      const action = actionFor(before, changes, doc);
+      if (diff.length > 0 || action !== "update") {
+        await record(action, doc, diff);
+      }
+      return doc;
+    },
+
+    delete: async (id, keys, options) => {
+      const doc = await store.delete(id, keys, options);
+      if (doc) await record("delete", doc, diffRecords(doc, null));
+      return doc;
+    },
+
+    batch: (fn) => log.batch(() => store.batch(fn)),
+
+    // Entries are written after the commit, and never for an aborted try
+    ...(store.transaction && {
+      transaction: (fn) =>
+        log.batch(
+          () =>
+            store.transaction(() => {
+              log.restart();
+              return fn();
+            }),
+          { discardOnError: true }
+        ),
+    }),
+  };
+};
+
+/**
+ * Changes that bring a record back to a snapshot; fields added since are
+ * cleared
+ * @param {object} current - Record as stored now
+ * @param {object} snapshot - Snapshot from an audit entry
+ * @returns {object}
+ */
+export const revertChanges = (current, snapshot) => {
+  const changes = {};
+  for (const [field, value] of Object.entries(snapshot)) {
+    if (!MANAGED_FIELDS.includes(field)) changes[field] = value;
+  }
+  for (const field of Object.keys(current)) {
+    if (!MANAGED_FIELDS.includes(field) && !(field in changes)) {
+      changes[field] = null;
+    }
+  }
+  return changes;
+};
+
+/**
+ * The live record before and after the change an entry describes; null
+ * where there was none, or it was in the trash
+ * @param {object} entry
+ * @returns {{ before: object|null, after: object|null }}
+ */
+export const recordStates = ({ action, snapshot, changes = [] }) => {
+  if (!snapshot) return { before: null, after: null };
+  if (action === "create" || action === "restore") {
+    return { before: null, after: snapshot };
+  }
+  if (action === "delete" || action === "trash") {
+    const { deletedAt, ...before } = snapshot;
+    return { before, after: null };
+  }
+
+  const before = { ...snapshot };
+  for (const { field, from } of changes) before[field] = from;
+  return { before, after: snapshot };
+};
+
+/**
+ * Shapes an entry for a response, leaving out hiddenFields
+ * @param {object} entry
+ * @param {object} config - Backend configuration of the entry's entity
+ * @param {object} options - { withSnapshot }
+ * @returns {object}
+ */
+export const presentEntry = (entry, config, { withSnapshot = true } = {}) => {
+  const hidden = config?.options?.hiddenFields || [];
+  const strip = (field, value) =>
+    hideFields(config || {}, { [field]: value })[field] ?? null;
+  const { snapshot, ...rest } = entry;
+
+  return {
+    ...rest,
+    changes: (entry.changes || [])
+      .filter(({ field }) => !hidden.includes(field))
+      .map((change) => ({
+        ...change,
+        from: strip(change.field, change.from),
+        to: strip(change.field, change.to),
+      })),
+    ...(withSnapshot && snapshot
+      ? { snapshot: hideFields(config || {}, snapshot) }
+      : {}),
+  };
+};
+
+/**
+ * Builds the entry filter for the audit endpoints
+ * @param {object} query - { entity, recordId, action, actor, requestId, since, until }
+ * @param {string[]} errors - Collects error messages
+ * @returns {object}
+ */
+export const buildAuditFilter = (query, errors = []) => {
+  const conditions = [];
+
+  for (const key of ["entity", "recordId", "actor", "requestId"]) {
+    if (typeof query[key] === "string" && query[key] !== "") {
+      conditions.push({ [key]: query[key] });
+    }
+  }
+
+  if (query.action !== undefined) {
+    const actions = String(query.action).split(",");
+    const unknown = actions.filter((a) => !AUDIT_ACTIONS.includes(a));
+    if (unknown.length > 0) {
+      errors.push(`action: expected one of ${AUDIT_ACTIONS.join(", ")}`);
+    }
+    conditions.push({ action: { $in: actions } });
+  }
+
+  for (const [key, op] of [
+    ["since", "$gte"],
+    ["until", "$lte"],
+  ]) {
+    if (query[key] === undefined) continue;
+    const date = new Date(query[key]);
+    if (isNaN(date.getTime())) {
+      errors.push(`${key}: expected a date`);
+    } else {
+      conditions.push({ timestamp: { [op]: date } });
+    }
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+export default {
+  AUDIT_ACTIONS,
+  AUDIT_CONFIG,
+  MANAGED_FIELDS,
+  EVENT_FOR_ACTION,
+  auditContext,
+  diffRecords,
+  createAuditLog,
+  withAudit,
+  revertChanges,
+  recordStates,
+  presentEntry,
+  buildAuditFilter,
+};
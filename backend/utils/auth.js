@@ -0,0 +1,226 @@
+import { randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+
+/**
+ * Accounts, passwords and tokens for the built-in authentication.
+ *
+ * Signing in opens a session on the account and returns a short-lived
+ * access token plus a refresh token, both JWTs carrying the session id:
+ *   access:  { sub, sid, type: "access" }
+ *   refresh: { sub, sid, jti, type: "refresh" }
+ * Each refresh rotates the session's token id, so an old refresh token
+ * that shows up again ends the session. Logout removes the session.
+ *
+ * Signing up never grants admin. While there is no admin, registering
+ * with the setup token creates one, which proves access to the server.
+ *
+ * Environment: JWT_SECRET (required in production), JWT_ACCESS_TTL
+ * (default 15m), JWT_REFRESH_TTL (default 7d), ADMIN_SETUP_TOKEN (the
+ * setup token; a random one is logged at startup otherwise),
+ * ALLOW_REGISTRATION ("false" leaves registration open only for the
+ * setup token).
+ */
+
+export const ROLES = ["admin", "user"];
+
+// Backend configuration of the internal account store
+export const ACCOUNT_CONFIG = {
+  schema: {
+    email: { type: "String", required: true, unique: true },
+    name: { type: "String" },
+    passwordHash: { type: "String", required: true },
+    role: { type: "String", required: true },
+    sessions: { type: "Array" },
+  },
+};
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class AuthError extends Error {
+  constructor(message, code = "UNAUTHORIZED") {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+  }
+}
+
+const resolveSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("JWT_SECRET must be set in production");
+  }
+  console.warn(
+    "⚠️ JWT_SECRET not set, using a random secret: tokens end on restart"
+  );
+  return randomBytes(32).toString("hex");
+};
+
+const secret = resolveSecret();
+const accessTtl = process.env.JWT_ACCESS_TTL || "15m";
+const refreshTtl = process.env.JWT_REFRESH_TTL || "7d";
+
+export const registrationOpen = () =>
+  process.env.ALLOW_REGISTRATION !== "false";
+
+export const normalizeEmail = (email) =>
+  typeof email === "string" ? email.trim().toLowerCase() : "";
+
+const setupToken =
+  process.env.ADMIN_SETUP_TOKEN || randomBytes(24).toString("base64url");
+
+export const isSetupToken = (value) => {
+  if (typeof value !== "string") return false;
+  const given = Buffer.from(value);
+  const expected = Buffer.from(setupToken);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+};
+
+/**
+ * Logs how to create the first admin, while the account store has none
+ * @param {object} accounts - Storage adapter of the account store
+ * @returns {Promise<void>}
+ */
+export const announceSetup = async (accounts) => {
+  if ((await accounts.count({ role: "admin" })) > 0) return;
+  console.log(
+    process.env.ADMIN_SETUP_TOKEN
+      ? "🔑 No admin yet: register with ADMIN_SETUP_TOKEN as setupToken"
+      : `🔑 No admin yet: register with setupToken "${setupToken}"`
+  );
+};
+
+/**
+ * Checks registration input
+ * @param {object} body - { email, password, name }
+ * @returns {string[]}
+ */
+export const validateRegistration = ({ email, password, name } = {}) => {
+  const errors = [];
+  if (!EMAIL_PATTERN.test(normalizeEmail(email))) {
+    errors.push("email: expected an email address");
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(
+      `password: expected at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+  if (name !== undefined && typeof name !== "string") {
+    errors.push("name: expected a string");
+  }
+  return errors;
+};
+
+export const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+// Compared against a throwaway hash when the account doesn't exist, so
+// unknown emails take as long as wrong passwords
+const DUMMY_HASH = bcrypt.hashSync(randomUUID(), BCRYPT_ROUNDS);
+
+export const verifyPassword = (password, hash) =>
+  bcrypt.compare(String(password ?? ""), hash || DUMMY_HASH);
+
+/**
+ * A new session entry for an account; issueTokens sets its expiresAt
+ * @returns {object} - { id, tokenId, createdAt }
+ */
+export const createSession = () => ({
+  id: randomUUID(),
+  tokenId: randomUUID(),
+  createdAt: new Date(),
+});
+
+// Same session under a new refresh token id
+export const rotateSession = (session) => ({
+  ...session,
+  tokenId: randomUUID(),
+  previousTokenId: session.tokenId,
+  rotatedAt: new Date(),
+});
+
+export const isSessionActive = (session, now = new Date()) =>
+  Boolean(session) && new Date(session.expiresAt) > now;
+
+/**
+ * Signs the token pair for a session and sets the session's expiresAt to
+ * the refresh token's
+ * @param {object} account
+ * @param {object} session - From createSession
+ * @returns {object} - { accessToken, refreshToken, expiresIn } (seconds)
+ */
+export const issueTokens = (account, session) => {
+  const sub = String(account._id);
+  const accessToken = jwt.sign(
+    { sub, sid: session.id, type: "access" },
+    secret,
+    { expiresIn: accessTtl }
+  );
+  const refreshToken = jwt.sign(
+    { sub, sid: session.id, type: "refresh" },
+    secret,
+    { expiresIn: refreshTtl, jwtid: session.tokenId }
+  );
+
+  const access = jwt.decode(accessToken);
+  session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+  return { accessToken, refreshToken, expiresIn: access.exp - access.iat };
+};
+
+/**
+ * Verifies a token of the given type
+ * @param {string} token
+ * @param {string} type - "access" or "refresh"
+ * @returns {object} - Payload
+ * @throws {AuthError} - code TOKEN_EXPIRED or INVALID_TOKEN
+ */
+export const verifyToken = (token, type) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token ?? ""), secret, {
+      algorithms: ["HS256"],
+    });
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw new AuthError("Token expired", "TOKEN_EXPIRED");
+    }
+    throw new AuthError("Invalid token", "INVALID_TOKEN");
+  }
+  if (payload.type !== type) {
+    throw new AuthError("Invalid token", "INVALID_TOKEN");
+  }
+  return payload;
+};
+
+/**
+ * Shapes an account for responses, without password or sessions
+ * @param {object} account
+ * @returns {object}
+ */
+export const presentAccount = ({ _id, email, name, role, createdAt }) => ({
+  _id,
+  email,
+  name: name ?? null,
+  role,
+  createdAt,
+});
+
+export default {
+  ROLES,
+  ACCOUNT_CONFIG,
+  AuthError,
+  registrationOpen,
+  normalizeEmail,
+  isSetupToken,
+  announceSetup,
+  validateRegistration,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  issueTokens,
+  verifyToken,
+  presentAccount,
+};
@@ -0,0 +1,131 @@
+/**
+ * Runs one mutation per item for the /bulk routes and reports per index.
+ *
+ *   atomic    check every item first and write nothing if any fails.
+ *             Writes then run in one transaction where the store has
+ *             them (MongoDB replica sets); elsewhere a write that still
+ *             fails undoes the items written before it, and an undo that
+ *             fails leaves that item written (reported as rollbackError)
+ *   continue  write every item that can be written, report the rest
+ */
+
+export const BULK_MODES = ["atomic", "continue"];
+export const MAX_BULK_ITEMS = 10000;
+
+const fail = (result, { error, details }) =>
+  Object.assign(result, { status: "failed", error, details });
+
+const skipRemaining = (results) => {
+  for (const result of results) {
+    if (result.status === "pending") result.status = "skipped";
+  }
+};
+
+/**
+ * @param {any[]} items - One entry per record to write
+ * @param {object} options
+ * @param {string} options.mode - "atomic" or "continue"
+ * @param {function} options.prepare - item -> { value } | { error, details }
+ * @param {function} options.apply - value -> { status, data, undo, ... }
+ * @param {function} options.describeError - thrown error -> { error, details }
+ * @param {function} [options.transaction] - fn -> fn's result, keeping
+ *   fn's writes only if it resolves; atomic mode uses it instead of undo
+ * @returns {Promise<{ ok: boolean, results: object[], summary: object }>}
+ */
+export const runBulk = async (
+  items,
+  { mode, prepare, apply, describeError, transaction }
+) => {
+  const results = items.map((_, index) => ({ index, status: "pending" }));
+
+  const write = async (index, value) => {
+    const { undo, ...outcome } = await apply(value);
+    Object.assign(results[index], outcome);
+    return undo;
+  };
+
+  if (mode === "continue") {
+    for (const [index, item] of items.entries()) {
+      try {
+        const prepared = await prepare(item);
+        if (prepared.error) fail(results[index], prepared);
+        else await write(index, prepared.value);
+      } catch (error) {
+        fail(results[index], describeError(error));
+      }
+    }
+  } else {
+    const prepared = [];
+    for (const [index, item] of items.entries()) {
+      try {
+        const outcome = await prepare(item);
+        if (outcome.error) fail(results[index], outcome);
+        prepared.push(outcome);
+      } catch (error) {
+        fail(results[index], describeError(error));
+        prepared.push({});
+      }
+    }
+
+    const writable = !results.some((result) => result.status === "failed");
+    if (writable && transaction) {
+      let current = null;
+      try {
+        await transaction(async () => {
+          for (const [index, { value }] of prepared.entries()) {
+            current = index;
+            await write(index, value);
+          }
+          current = null;
+        });
+      } catch (error) {
+        // A failed commit isn't any one item's fault
+        if (current === null) throw error;
+
+        fail(results[current], describeError(error));
+        for (let index = 0; index < current; index++) {
+          results[index] = { index, status: "rolledBack" };
+        }
+      }
+    } else if (writable) {
+      const undos = [];
+      for (const [index, { value }] of prepared.entries()) {
+        try {
+          undos.push([index, await write(index, value)]);
+        } catch (error) {
+          fail(results[index], describeError(error));
+
+          // Put back what this request already changed, newest first
+          for (const [doneIndex, undo] of undos.reverse()) {
+            try {
+              await undo();
+              results[doneIndex] = { index: doneIndex, status: "rolledBack" };
+            } catch (undoError) {
+              console.error(
+                `❌ Failed to roll back bulk item ${doneIndex}:`,
+                undoError
+              );
+              results[doneIndex].rollbackError = undoError.message;
+            }
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  skipRemaining(results);
+
+  const failed = results.filter((r) => r.status === "failed").length;
+  const succeeded = results.filter(
+    (r) => !["failed", "skipped", "rolledBack"].includes(r.status)
+  ).length;
+
+  return {
+    ok: failed === 0,
+    results,
+    summary: { total: items.length, succeeded, failed },
+  };
+};
+
+export default { BULK_MODES, MAX_BULK_ITEMS, runBulk };
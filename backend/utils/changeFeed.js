@@ -0,0 +1,111 @@
+import { randomUUID } from "crypto";
+import { matchesQuery } from "../storage/memoryQuery.js";
+import { EVENT_FOR_ACTION, recordStates, presentEntry } from "./audit.js";
+import { withVersion } from "./concurrency.js";
+import { buildProjection, applyProjection } from "./projection.js";
+import { buildListQuery } from "./queryBuilder.js";
+import { resolveAccess } from "./permissions.js";
+
+/**
+ * Live record changes for the change stream endpoints
+ * (GET /api/<entity>/changes and the /api/changes WebSocket).
+ *
+ * The feed hears every audit entry and hands it to the subscribers of its
+ * entity. Each subscriber reads the entry through a change filter, which
+ * applies the list route's filters, permissions and projection:
+ *   { id, type: created|updated|deleted, action, entity, recordId,
+ *     matches, data, changes, actor, timestamp }
+ *
+ * matches is false when the record left the subscriber's view: deleted,
+ * trashed, or changed so the filters no longer match. data is the record
+ * after the change, or as it was before a deletion.
+ */
+
+/**
+ * Creates the feed; pass publish to auditLog.subscribe
+ * @returns {object} - { publish, subscribe, count }
+ */
+export const createChangeFeed = () => {
+  const subscribers = new Map();
+
+  const publish = (entry) => {
+    if (!EVENT_FOR_ACTION[entry.action]) return;
+    for (const listener of subscribers.get(entry.entity) || []) {
+      try {
+        listener(entry);
+      } catch (error) {
+        console.error("❌ Change feed subscriber failed:", error);
+      }
+    }
+  };
+
+  /**
+   * @param {string} entity
+   * @param {Function} listener - (entry) -> void
+   * @returns {Function} - Unsubscribes
+   */
+  const subscribe = (entity, listener) => {
+    if (!subscribers.has(entity)) subscribers.set(entity, new Set());
+    subscribers.get(entity).add(listener);
+    return () => subscribers.get(entity)?.delete(listener);
+  };
+
+  const count = () =>
+    [...subscribers.values()].reduce((total, set) => total + set.size, 0);
+
+  return { publish, subscribe, count };
+};
+
+/**
+ * Reads a subscription query the way the list route does
+ * @param {object} config - Backend configuration (config.backend)
+ * @param {object} user - Signed-in account
+ * @param {object} query - search, filter[...] and fields, as on the list
+ * @returns {object} - { forbidden } | { errors } | { toEvent(entry) }, where
+ *   toEvent returns null for entries the subscriber doesn't see
+ */
+export const createChangeFilter = (config, user, query = {}) => {
+  const access = resolveAccess(config, user);
+  if (!access.can("list")) return { forbidden: true };
+
+  const { filter, errors } = buildListQuery(access.schema, query);
+  const { projection, errors: fieldErrors } = buildProjection(
+    access.config,
+    query.fields,
+    { list: true }
+  );
+  errors.push(...fieldErrors);
+  if (errors.length > 0) return { errors };
+
+  const visible = (record) =>
+    Boolean(record) &&
+    access.allows("list", record) &&
+    matchesQuery(record, filter);
+
+  const toEvent = (entry) => {
+    const { before, after } = recordStates(entry);
+    const matches = visible(after);
+    if (!matches && !visible(before)) return null;
+
+    const record = after || before;
+    const { changes } = presentEntry(entry, access.config, {
+      withSnapshot: false,
+    });
+    return {
+      id: randomUUID(),
+      type: EVENT_FOR_ACTION[entry.action],
+      action: entry.action,
+      entity: entry.entity,
+      recordId: entry.recordId,
+      matches,
+      data: withVersion(record, applyProjection(record, projection)),
+      changes,
+      actor: entry.actor,
+      timestamp: entry.timestamp,
+    };
+  };
+
+  return { toEvent };
+};
+
+export default { createChangeFeed, createChangeFilter };
@@ -0,0 +1,73 @@
+import { VERSION_KEY } from "../storage/helpers.js";
+
+/**
+ * Optimistic concurrency for single-record writes.
+ *
+ * A record's version is the write counter its store keeps (__v), which
+ * goes up with every update. GET /:id sends it as the ETag header, and
+ * every record a route returns carries it as _version. PUT, PATCH and
+ * DELETE /:id with an If-Match header hand that version to the store as a
+ * condition of the write, so of two requests sent with the same ETag only
+ * the first applies; the other answers 412 with the current copy.
+ */
+
+export const VERSION_FIELD = "_version";
+
+/**
+ * Version of a stored record
+ * @param {object} record - Stored record
+ * @returns {string}
+ */
+export const getRecordVersion = (record) => String(record[VERSION_KEY] ?? 0);
+
+export const formatETag = (version) => `"${version}"`;
+
+/**
+ * Checks an If-Match header against a record
+ * @param {string|undefined} header - If-Match value, e.g. '"3"' or '*'
+ * @param {object} record - Current stored record
+ * @returns {boolean} - true when there is no header or it matches
+ */
+export const matchesIfMatch = (header, record) => {
+  if (header === undefined || header.trim() === "") return true;
+  if (header.trim() === "*") return true;
+
+  const version = getRecordVersion(record);
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, "").replace(/^"(.*)"$/, "$1"))
+    .includes(version);
+};
+
+/**
+ * Write condition for a record that passed matchesIfMatch: its version
+ * when the header named one, so the store skips the write if the record
+ * changed since it was read
+ * @param {string|undefined} header - If-Match value
+ * @param {object} record - Record as read before the write
+ * @returns {object} - { version } or {}, for store.update and store.delete
+ */
+export const writeCondition = (header, record) =>
+  header === undefined || ["", "*"].includes(header.trim())
+    ? {}
+    : { version: record[VERSION_KEY] ?? 0 };
+
+/**
+ * Adds the version of a stored record to its response shape
+ * @param {object} record - Full stored record
+ * @param {object} data - What the route returns for it
+ * @returns {object}
+ */
+export const withVersion = (record, { [VERSION_KEY]: _v, ...data }) => ({
+  ...data,
+  [VERSION_FIELD]: getRecordVersion(record),
+});
+
+export default {
+  VERSION_FIELD,
+  getRecordVersion,
+  formatETag,
+  matchesIfMatch,
+  writeCondition,
+  withVersion,
+};
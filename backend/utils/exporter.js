@@ -0,0 +1,195 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+import { findPage } from "./pagination.js";
+import { getPath } from "./projection.js";
+
+/**
+ * Streams entity records as CSV, XLSX, JSON or NDJSON.
+ *
+ * Records are read in keyset pages and written as they arrive, so an
+ * export never holds more than one page in memory. CSV and XLSX take
+ * their header row and column order from frontend.columns.
+ */
+
+export const EXPORT_FORMATS = ["csv", "xlsx", "json", "ndjson"];
+
+export const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  json: "application/json; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+const PAGE_SIZE = 500;
+
+/**
+ * Picks the exported columns
+ * @param {object} config - Backend configuration (config.backend)
+ * @param {object[]} formColumns - frontend.columns ({ header, accessor })
+ * @param {object} projection - From buildProjection
+ * @returns {{ header: string, accessor: string }[]}
+ */
+export const getExportColumns = (config, formColumns = [], projection) => {
+  const headers = new Map(
+    formColumns.map(({ header, accessor }) => [accessor, header || accessor])
+  );
+
+  // fields= chooses the columns; otherwise the table's own columns
+  const accessors = projection.include
+    ? projection.include
+    : formColumns.length > 0
+      ? formColumns.map((column) => column.accessor)
+      : ["_id", ...Object.keys(config.schema)];
+
+  return accessors
+    .filter((accessor) => !projection.exclude.includes(accessor))
+    .map((accessor) => ({
+      header: headers.get(accessor) ?? accessor,
+      accessor,
+    }));
+};
+
+/**
+ * Reads every matching record, one page at a time
+ * @param {object} store - Storage adapter
+ * @param {object} schema - Backend schema (config.schema)
+ * @param {object} options - { filter, sort }
+ */
+export async function* iterateRecords(store, schema, { filter, sort }) {
+  let cursor = "";
+  do {
+    const page = await findPage(store, schema, {
+      filter,
+      sort,
+      limit: PAGE_SIZE,
+      cursor,
+    });
+    yield* page.data;
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+// Spreadsheet cells hold scalars; lists join, objects become JSON
+const toCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value;
+  if (Array.isArray(value)) {
+    return value.some((item) => item !== null && typeof item === "object")
+      ? JSON.stringify(value)
+      : value.join(", ");
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+};
+
+// Text a spreadsheet would run as a formula when the file is opened
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Formula-like text gets a leading ' so spreadsheets show it as text
+const csvEscape = (value) => {
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Waits for the client to drain; false once it has gone away
+const write = async (res, chunk) => {
+  if (res.destroyed) return false;
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, "drain"), once(res, "close")]);
+  }
+  return !res.destroyed;
+};
+
+const writers = {
+  csv: async (res, columns, records) => {
+    // BOM so Excel opens UTF-8 correctly
+    const header = columns.map((column) => csvEscape(column.header));
+    await write(res, `\uFEFF${header.join(",")}\r\n`);
+
+    for await (const record of records) {
+      const line = columns.map(({ accessor }) =>
+        csvEscape(toCell(getPath(record, accessor)))
+      );
+      if (!(await write(res, `${line.join(",")}\r\n`))) return;
+    }
+    res.end();
+  },
+
+  xlsx: async (res, columns, records, entity) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: true,
+    });
+    const sheet = workbook.addWorksheet(entity);
+    sheet.columns = columns.map(({ header, accessor }) => ({
+      header,
+      key: accessor,
+      width: Math.max(12, header.length + 2),
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    for await (const record of records) {
+      if (res.destroyed) return;
+      const row = sheet.addRow(
+        columns.map(({ accessor }) => toCell(getPath(record, accessor)))
+      );
+      // Text cells stay text, even once edited in the spreadsheet
+      row.eachCell((cell) => {
+        if (cell.type === ExcelJS.ValueType.String) cell.numFmt = "@";
+      });
+      row.commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+  },
+
+  json: async (res, columns, records) => {
+    await write(res, "[");
+    let first = true;
+    for await (const record of records) {
+      const text = `${first ? "\n" : ",\n"}${JSON.stringify(record)}`;
+      if (!(await write(res, text))) return;
+      first = false;
+    }
+    res.end(first ? "]" : "\n]");
+  },
+
+  ndjson: async (res, columns, records) => {
+    for await (const record of records) {
+      if (!(await write(res, `${JSON.stringify(record)}\n`))) return;
+    }
+    res.end();
+  },
+};
+
+/**
+ * Writes records to the response in the given format
+ * @param {object} res - Express response, headers not yet sent
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {object} options
+ * @param {string} options.entity - Entity name, used for the file name
+ * @param {object[]} options.columns - From getExportColumns
+ * @param {AsyncIterable<object>} options.records - Records ready to write
+ * @returns {Promise<void>}
+ */
+export const streamExport = async (res, format, { entity, columns, records }) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${entity}-${date}.${format}"`
+  );
+
+  await writers[format](res, columns, records, entity);
+};
+
+export default {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  getExportColumns,
+  iterateRecords,
+  streamExport,
+};
@@ -0,0 +1,799 @@
+import mongoose from "mongoose";
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLScalarType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLFloat,
+  GraphQLInt,
+  GraphQLBoolean,
+  GraphQLID,
+  GraphQLError,
+  Kind,
+  valueFromASTUntyped,
+} from "graphql";
+import { MAX_LIMIT } from "./pagination.js";
+import { componentName, getRequiredFields } from "./openapi.js";
+import {
+  buildListQuery,
+  getFieldTypes,
+  OPERATORS_BY_TYPE,
+} from "./queryBuilder.js";
+import { getReferences } from "./references.js";
+import { applyGenerators } from "./idGenerators.js";
+import { getSoftDelete, liveFilter } from "./softDelete.js";
+import { getOwnerField, resolveAccess } from "./permissions.js";
+import { hideFields } from "./projection.js";
+import {
+  formatETag,
+  getRecordVersion,
+  withVersion,
+  writeCondition,
+} from "./concurrency.js";
+
+/**
+ * GraphQL schema over the entity stores, generated from the schema like
+ * the REST routes and sharing their write pipeline and permissions. Per
+ * entity, named in PascalCase for types (order_items -> OrderItems) and
+ * camelCase for fields:
+ *
+ *   type Users                      a record
+ *   users(filter, search, sort, page, limit): UsersPage
+ *   usersById(id): Users            by _id or lookup key
+ *   createUsers(input): Users
+ *   updateUsers(id, changes, version): Users
+ *   deleteUsers(id, version): Users
+ *
+ * Reference fields also resolve the records they point at (userId ->
+ * user, productIds -> products), and referenced types list the records
+ * pointing at them (Users.orders). filter takes the list route's
+ * operators per field: { price: { gt: 10 }, status: { in: ["new"] } }.
+ *
+ * Errors carry extensions.code (FORBIDDEN, NOT_FOUND, BAD_USER_INPUT,
+ * CONFLICT, PRECONDITION_FAILED) and the REST details.
+ *
+ * Like the REST lists, limit goes up to MAX_LIMIT. Operations may nest
+ * fields MAX_QUERY_DEPTH levels deep, checked by depthLimitRule before
+ * they run, since every relation level multiplies the records read.
+ */
+
+const DEFAULT_LIMIT = 100;
+
+export const MAX_QUERY_DEPTH = 8;
+
+const NAME_PATTERN = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+// Type names the schema defines besides the per-entity ones
+const BUILT_IN_TYPES = ["Query", "Mutation", "DateTime", "JSON"];
+
+// Field names GraphQL accepts; others are left out of the types
+const isValidName = (name) =>
+  NAME_PATTERN.test(name) && !name.startsWith("__");
+
+const camelName = (entity) => {
+  const name = componentName(entity);
+  return name[0].toLowerCase() + name.slice(1);
+};
+
+/* ---------- Scalars ---------- */
+
+const toDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new GraphQLError(`DateTime: not a date: ${value}`);
+  }
+  return date;
+};
+
+const DateTime = new GraphQLScalarType({
+  name: "DateTime",
+  description: "ISO 8601 date and time",
+  serialize: (value) => toDate(value).toISOString(),
+  parseValue: (value) => toDate(value).toISOString(),
+  parseLiteral: (ast) => {
+    if (ast.kind !== Kind.STRING) {
+      throw new GraphQLError("DateTime: expected an ISO 8601 string");
+    }
+    return toDate(ast.value).toISOString();
+  },
+});
+
+const JSONValue = new GraphQLScalarType({
+  name: "JSON",
+  description: "Any JSON value",
+  serialize: (value) => value,
+  parseValue: (value) => value,
+  parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables),
+});
+
+const SCALARS = {
+  String: GraphQLString,
+  Number: GraphQLFloat,
+  Boolean: GraphQLBoolean,
+  Date: DateTime,
+  ObjectId: GraphQLID,
+};
+
+// Array shorthand becomes a list of its element type; Object, Mixed and
+// Array fields are plain JSON
+const fieldType = (fieldConfig) => {
+  if (Array.isArray(fieldConfig)) {
+    return new GraphQLList(fieldType(fieldConfig[0] || {}));
+  }
+  return SCALARS[fieldConfig?.type || "String"] || JSONValue;
+};
+
+/* ---------- Filters ---------- */
+
+const FILTER_TYPES = Object.fromEntries(
+  Object.entries(OPERATORS_BY_TYPE).map(([type, operators]) => {
+    const scalar = SCALARS[type];
+    const list = new GraphQLList(new GraphQLNonNull(scalar));
+    const operatorType = (op) => {
+      if (op === "exists") return GraphQLBoolean;
+      if (["in", "nin", "between"].includes(op)) return list;
+      return scalar;
+    };
+
+    return [
+      type,
+      new GraphQLInputObjectType({
+        name: `${type === "ObjectId" ? "ID" : type}Filter`,
+        fields: Object.fromEntries(
+          operators.map((op) => [op, { type: operatorType(op) }])
+        ),
+      }),
+    ];
+  })
+);
+
+// Input objects keep the fields sent as null; the list route never sees
+// those, so drop them before building the query
+const toListFilter = (filter) =>
+  Object.fromEntries(
+    Object.entries(filter || {})
+      .filter(([, operators]) => operators !== null)
+      .map(([field, operators]) => [
+        field,
+        Object.fromEntries(
+          Object.entries(operators).filter(([, value]) => value !== null)
+        ),
+      ])
+  );
+
+/* ---------- Errors ---------- */
+
+const fail = (message, code, extensions = {}) =>
+  new GraphQLError(message, { extensions: { code, ...extensions } });
+
+const readLimit = (limit) => {
+  if (limit < 1) {
+    throw fail("Invalid query", "BAD_USER_INPUT", {
+      details: ["limit: must be at least 1"],
+    });
+  }
+  return Math.min(limit, MAX_LIMIT);
+};
+
+// Same messages as the REST routes for what storage rejects
+const describeStoreError = (error) => {
+  if (error.name === "ValidationError") {
+    return fail("Validation error", "BAD_USER_INPUT", {
+      details: Object.values(error.errors).map((e) => e.message),
+    });
+  }
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyPattern || {})[0];
+    return fail(`Duplicate entry for field: ${field}`, "CONFLICT", { field });
+  }
+  return error;
+};
+
+/* ---------- Batching ---------- */
+
+// Collects the values asked for while resolvers run, then fetches them
+// with one call. fetch: values -> Map of String(value) -> result
+const createBatchLoader = (fetch) => {
+  let batch = null;
+
+  return (value) => {
+    if (!batch) {
+      const current = { values: new Set() };
+      current.result = new Promise((resolve) =>
+        process.nextTick(resolve)
+      ).then(() => {
+        batch = null;
+        return fetch([...current.values]);
+      });
+      batch = current;
+    }
+    batch.values.add(value);
+    return batch.result.then((found) => found.get(String(value)) ?? null);
+  };
+};
+
+// Per request, in the context: { user, cache }
+const memo = (context, key, create) => {
+  if (!context.cache.has(key)) context.cache.set(key, create());
+  return context.cache.get(key);
+};
+
+/**
+ * Builds the GraphQL schema of the registered entities. Resolvers expect
+ * the context { user, cache: new Map() } for each request.
+ * @param {Map} entityStores - entity -> { store, config, actions }
+ * @returns {GraphQLSchema|null} - null when there are no entities
+ */
+export const buildGraphQLSchema = (entityStores) => {
+  // The stores this schema was built from, even while routes re-register
+  const targets = new Map(entityStores);
+  if (targets.size === 0) return null;
+
+  const typeNames = new Set();
+  for (const entity of targets.keys()) {
+    const name = componentName(entity);
+    if (
+      !isValidName(name) ||
+      BUILT_IN_TYPES.includes(name) ||
+      typeNames.has(name)
+    ) {
+      throw new Error(
+        `Entity "${entity}" has no usable GraphQL type name (${name})`
+      );
+    }
+    typeNames.add(name);
+  }
+
+  const accessFor = (context, entity) =>
+    memo(context, `access:${entity}`, () =>
+      resolveAccess(targets.get(entity).config, context.user)
+    );
+
+  const requireAccess = (context, entity, action) => {
+    const access = accessFor(context, entity);
+    if (!access.can(action)) {
+      throw fail(`Not allowed to ${action} ${entity}`, "FORBIDDEN");
+    }
+    return access;
+  };
+
+  const present = (access, record) =>
+    withVersion(record, hideFields(access.config, record));
+
+  // filter, search and sort args as the list route reads them
+  const readListArgs = (access, { filter, search, sort }) => {
+    const query = buildListQuery(access.schema, {
+      filter: toListFilter(filter),
+      search: search ?? undefined,
+      sort: sort ?? undefined,
+    });
+    if (query.errors.length > 0) {
+      throw fail("Invalid query", "BAD_USER_INPUT", { details: query.errors });
+    }
+    return query;
+  };
+
+  // Records of entity with key among the values, readable by the account
+  const loadByKey = (context, entity, key, value) =>
+    memo(context, `load:${entity}.${key}`, () =>
+      createBatchLoader(async (values) => {
+        const { store, config } = targets.get(entity);
+        const access = accessFor(context, entity);
+        const candidates =
+          key === "_id"
+            ? values.filter((v) => mongoose.isValidObjectId(v))
+            : values;
+        if (!access.can("read") || candidates.length === 0) return new Map();
+
+        const records = await store.find(
+          access.restrict(
+            "read",
+            liveFilter(config, { [key]: { $in: candidates } })
+          )
+        );
+        return new Map(
+          records.map((record) => [
+            String(record[key]),
+            present(access, record),
+          ])
+        );
+      })
+    )(value);
+
+  /* ---------- Relations ---------- */
+
+  // Field names of a record type besides its relations
+  const ownFields = new Map(
+    [...targets].map(([entity, { config }]) => [
+      entity,
+      new Set([
+        "_id",
+        "createdAt",
+        "updatedAt",
+        "deletedAt",
+        "_version",
+        getOwnerField(config),
+        ...Object.keys(config.schema),
+      ]),
+    ])
+  );
+
+  // userId -> user, productIds -> products; other names get a suffix
+  const forwardName = (entity, field, many) => {
+    const base = field.replace(many ? /(Ids|_ids)$/ : /(Id|_id)$/, "");
+    const name = many ? `${base}s` : base;
+    const taken = ownFields.get(entity);
+    if (base && base !== field && isValidName(name) && !taken.has(name)) {
+      return name;
+    }
+    return `${field}${many ? "Records" : "Record"}`;
+  };
+
+  // { field, entity, key, many, name } per reference, on both ends
+  const forward = new Map([...targets.keys()].map((e) => [e, []]));
+  const reverse = new Map([...targets.keys()].map((e) => [e, []]));
+
+  for (const [entity, { config }] of targets) {
+    for (const reference of getReferences(config.schema)) {
+      if (!targets.has(reference.entity) || !isValidName(reference.field)) {
+        continue;
+      }
+      forward.get(entity).push({
+        ...reference,
+        name: forwardName(entity, reference.field, reference.many),
+      });
+      reverse.get(reference.entity).push({ ...reference, source: entity });
+    }
+  }
+
+  // Users.orders; ordersByBuyerId where orders points at users twice or
+  // the name is taken
+  for (const [entity, relations] of reverse) {
+    const taken = new Set([
+      ...ownFields.get(entity),
+      ...forward.get(entity).map(({ name }) => name),
+    ]);
+    for (const relation of relations) {
+      const name = camelName(relation.source);
+      const shared = relations.filter((r) => r.source === relation.source);
+      relation.name =
+        shared.length > 1 || taken.has(name)
+          ? `${name}By${componentName(relation.field)}`
+          : name;
+    }
+  }
+
+  /* ---------- Types ---------- */
+
+  const recordTypes = new Map();
+  const typeOf = (entity) => recordTypes.get(entity);
+
+  const listArgs = (entity) => ({
+    filter: { type: filterTypes.get(entity) },
+    search: {
+      type: GraphQLString,
+      description: "Matched against every String field",
+    },
+    sort: {
+      type: GraphQLString,
+      description: "Comma-separated fields, - for descending: price,-createdAt",
+    },
+  });
+
+  const forwardField = ({ field, entity, key, many }) => ({
+    type: many
+      ? new GraphQLList(new GraphQLNonNull(typeOf(entity)))
+      : typeOf(entity),
+    description: `The ${entity} record${many ? "s" : ""} ${field} points at`,
+    resolve: async (record, args, context) => {
+      const value = record[field];
+      if (value === undefined || value === null) return many ? [] : null;
+      if (!many) return loadByKey(context, entity, key, value);
+
+      const list = Array.isArray(value) ? value : [value];
+      const found = await Promise.all(
+        list.map((item) => loadByKey(context, entity, key, item))
+      );
+      return found.filter(Boolean);
+    },
+  });
+
+  const reverseField = ({ source, field, key }) => ({
+    type: new GraphQLList(new GraphQLNonNull(typeOf(source))),
+    description: `${source} records whose ${field} points here`,
+    args: {
+      ...listArgs(source),
+      limit: { type: GraphQLInt, defaultValue: DEFAULT_LIMIT },
+    },
+    resolve: async (record, args, context) => {
+      const value = record[key];
+      if (value === undefined || value === null) return [];
+
+      const { store, config } = targets.get(source);
+      const access = requireAccess(context, source, "list");
+      const { filter, sort } = readListArgs(access, args);
+
+      // One query per parent rather than a batch, so the database applies
+      // limit to each parent's records
+      const records = await store.find(
+        access.restrict(
+          "list",
+          liveFilter(config, { $and: [filter, { [field]: value }] })
+        ),
+        { sort, limit: readLimit(args.limit) }
+      );
+      return records.map((r) => present(access, r));
+    },
+  });
+
+  const filterTypes = new Map();
+
+  for (const [entity, { config }] of targets) {
+    const name = componentName(entity);
+    const ownerField = getOwnerField(config);
+    const timestamps = config.options?.timestamps !== false;
+    const schemaFields = Object.entries(config.schema).filter(([field]) =>
+      isValidName(field)
+    );
+
+    recordTypes.set(
+      entity,
+      new GraphQLObjectType({
+        name,
+        description: `A ${entity} record`,
+        fields: () => ({
+          _id: { type: new GraphQLNonNull(GraphQLID) },
+          ...(timestamps
+            ? { createdAt: { type: DateTime }, updatedAt: { type: DateTime } }
+            : {}),
+          ...(getSoftDelete(config) ? { deletedAt: { type: DateTime } } : {}),
+          ...(ownerField && isValidName(ownerField)
+            ? {
+                [ownerField]: {
+                  type: GraphQLString,
+                  description: "Account id of the creator",
+                },
+              }
+            : {}),
+          _version: {
+            type: GraphQLString,
+            description: "Record version, for the version argument of writes",
+          },
+          ...Object.fromEntries(
+            schemaFields.map(([field, fieldConfig]) => [
+              field,
+              { type: fieldType(fieldConfig) },
+            ])
+          ),
+          ...Object.fromEntries(
+            forward.get(entity).map((r) => [r.name, forwardField(r)])
+          ),
+          ...Object.fromEntries(
+            reverse.get(entity).map((r) => [r.name, reverseField(r)])
+          ),
+        }),
+      })
+    );
+
+    filterTypes.set(
+      entity,
+      new GraphQLInputObjectType({
+        name: `${name}Filter`,
+        fields: Object.fromEntries(
+          Object.entries(getFieldTypes(config.schema))
+            .filter(
+              ([field]) =>
+                isValidName(field) &&
+                !config.options?.hiddenFields?.includes(field)
+            )
+            .map(([field, type]) => [field, { type: FILTER_TYPES[type] }])
+        ),
+      })
+    );
+  }
+
+  /* ---------- Operations ---------- */
+
+  const queryFields = {};
+  const mutationFields = {};
+
+  for (const [entity, { store, config, actions }] of targets) {
+    const name = componentName(entity);
+    const field = camelName(entity);
+    const type = typeOf(entity);
+    const required = getRequiredFields(config.schema);
+    const schemaFields = Object.entries(config.schema).filter(([key]) =>
+      isValidName(key)
+    );
+
+    const inputType = (suffix, strict) =>
+      new GraphQLInputObjectType({
+        name: `${name}${suffix}`,
+        fields: Object.fromEntries(
+          schemaFields.map(([key, fieldConfig]) => {
+            const base = fieldType(fieldConfig);
+            return [
+              key,
+              {
+                type:
+                  strict && required.includes(key)
+                    ? new GraphQLNonNull(base)
+                    : base,
+              },
+            ];
+          })
+        ),
+      });
+
+    const notFound = (id) =>
+      fail(`${entity} not found with id: ${id}`, "NOT_FOUND");
+
+    const changedError = (access, record) =>
+      fail(`${entity} was changed by someone else`, "PRECONDITION_FAILED", {
+        current: present(access, record),
+      });
+
+    // The version argument works like If-Match on the REST routes: checked
+    // against the record read, then a condition of the write. Returns the
+    // condition.
+    const checkVersion = (access, record, version) => {
+      if (version === undefined || version === null) return {};
+      if (version !== getRecordVersion(record)) {
+        throw changedError(access, record);
+      }
+      return writeCondition(formatETag(version), record);
+    };
+
+    // After a conditional write found nothing: changed or gone meanwhile
+    const staleError = async (access, id, action) => {
+      const latest = await actions.getLive(id, access, action);
+      return latest ? changedError(access, latest) : notFound(id);
+    };
+
+    const prepare = async (values) => {
+      const prepared = await actions.prepareWrite({ ...values });
+      if (prepared.error) {
+        throw fail(prepared.error, "BAD_USER_INPUT", {
+          details: prepared.details,
+        });
+      }
+      return prepared.data;
+    };
+
+    const authorize = (context, access, action, data, current) => {
+      const denied = actions.authorizeWrite(
+        { access, user: context.user },
+        action,
+        data,
+        current
+      );
+      if (denied) {
+        throw fail(denied.error, "FORBIDDEN", { details: denied.details });
+      }
+    };
+
+    const pageType = new GraphQLObjectType({
+      name: `${name}Page`,
+      fields: {
+        data: {
+          type: new GraphQLNonNull(
+            new GraphQLList(new GraphQLNonNull(type))
+          ),
+        },
+        total: { type: new GraphQLNonNull(GraphQLInt) },
+        page: { type: new GraphQLNonNull(GraphQLInt) },
+        limit: { type: new GraphQLNonNull(GraphQLInt) },
+        totalPages: { type: new GraphQLNonNull(GraphQLInt) },
+      },
+    });
+
+    queryFields[field] = {
+      type: new GraphQLNonNull(pageType),
+      description: `Lists ${entity}, like GET ${entity}`,
+      args: {
+        ...listArgs(entity),
+        page: { type: GraphQLInt, defaultValue: 1 },
+        limit: { type: GraphQLInt, defaultValue: DEFAULT_LIMIT },
+      },
+      resolve: async (root, args, context) => {
+        const access = requireAccess(context, entity, "list");
+        const { page } = args;
+        if (page < 1) {
+          throw fail("Invalid query", "BAD_USER_INPUT", {
+            details: ["page: must be at least 1"],
+          });
+        }
+        const limit = readLimit(args.limit);
+
+        const query = readListArgs(access, args);
+        const filter = access.restrict(
+          "list",
+          liveFilter(config, query.filter)
+        );
+        const data = await store.find(filter, {
+          sort: query.sort,
+          skip: (page - 1) * limit,
+          limit,
+        });
+        const total = await store.count(filter);
+
+        return {
+          data: data.map((record) => present(access, record)),
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        };
+      },
+    };
+
+    queryFields[`${field}ById`] = {
+      type,
+      description: `One ${entity} record by _id or lookup key`,
+      args: { id: { type: new GraphQLNonNull(GraphQLID) } },
+      resolve: async (root, { id }, context) => {
+        const access = requireAccess(context, entity, "read");
+        const record = await actions.getLive(id, access, "read");
+        return record ? present(access, record) : null;
+      },
+    };
+
+    mutationFields[`create${name}`] = {
+      type: new GraphQLNonNull(type),
+      args: { input: { type: new GraphQLNonNull(inputType("Input", true)) } },
+      resolve: async (root, { input }, context) => {
+        const access = requireAccess(context, entity, "create");
+        try {
+          const data = await prepare(input);
+          authorize(context, access, "create", data);
+
+          await applyGenerators(config.schema, data, store);
+          const doc = await store.create(data);
+          console.log(`✅ Created ${entity}:`, doc._id);
+          return present(access, doc);
+        } catch (error) {
+          throw describeStoreError(error);
+        }
+      },
+    };
+
+    mutationFields[`update${name}`] = {
+      type: new GraphQLNonNull(type),
+      description: "Merges changes into the record",
+      args: {
+        id: { type: new GraphQLNonNull(GraphQLID) },
+        changes: { type: new GraphQLNonNull(inputType("Changes", false)) },
+        version: { type: GraphQLString },
+      },
+      resolve: async (root, { id, changes, version }, context) => {
+        const access = requireAccess(context, entity, "update");
+        try {
+          const data = await prepare(changes);
+
+          // Trashed records can't be edited until restored
+          const current = await actions.getLive(id, access, "update");
+          if (!current) throw notFound(id);
+          const condition = checkVersion(access, current, version);
+          authorize(context, access, "update", data, current);
+
+          const doc = await store.update(
+            String(current._id),
+            data,
+            [],
+            condition
+          );
+          if (!doc) throw await staleError(access, id, "update");
+          return present(access, doc);
+        } catch (error) {
+          throw describeStoreError(error);
+        }
+      },
+    };
+
+    mutationFields[`delete${name}`] = {
+      type: new GraphQLNonNull(type),
+      description: getSoftDelete(config)
+        ? "Moves the record to the trash"
+        : "Deletes the record, applying onDelete rules of references to it",
+      args: {
+        id: { type: new GraphQLNonNull(GraphQLID) },
+        version: { type: GraphQLString },
+      },
+      resolve: async (root, { id, version }, context) => {
+        const access = requireAccess(context, entity, "delete");
+        const record = await actions.getLive(id, access, "delete");
+        if (!record) throw notFound(id);
+        const condition = checkVersion(access, record, version);
+
+        const { blocking, stale, doc } = await actions.removeRecord(
+          record,
+          condition
+        );
+        if (stale) throw await staleError(access, id, "delete");
+        if (blocking) {
+          throw fail(
+            `Cannot delete ${entity}: other records still reference it`,
+            "CONFLICT",
+            { details: blocking }
+          );
+        }
+        return present(access, doc);
+      },
+    };
+  }
+
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({ name: "Query", fields: queryFields }),
+    mutation: new GraphQLObjectType({
+      name: "Mutation",
+      fields: mutationFields,
+    }),
+  });
+};
+
+/**
+ * Validation rule rejecting operations that nest fields deeper than
+ * maxDepth, counting through fragments. Introspection fields are left
+ * out so tools can still read the schema.
+ * @param {number} maxDepth
+ * @returns {Function} - For graphql's validate()
+ */
+export const depthLimitRule = (maxDepth) => (context) => {
+  const fragments = new Map(
+    context
+      .getDocument()
+      .definitions.filter((d) => d.kind === Kind.FRAGMENT_DEFINITION)
+      .map((d) => [d.name.value, d])
+  );
+
+  // Deepest field level under a selection set; spread tracks the
+  // fragments on the way so a cycle (reported by graphql) can't loop
+  const depthOf = (selectionSet, depth, spread) => {
+    let deepest = depth;
+    for (const selection of selectionSet?.selections || []) {
+      if (selection.kind === Kind.FIELD) {
+        if (selection.name.value.startsWith("__")) continue;
+        deepest = Math.max(
+          deepest,
+          depthOf(selection.selectionSet, depth + 1, spread)
+        );
+      } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+        deepest = Math.max(
+          deepest,
+          depthOf(selection.selectionSet, depth, spread)
+        );
+      } else {
+        const name = selection.name.value;
+        if (spread.has(name) || !fragments.has(name)) continue;
+        deepest = Math.max(
+          deepest,
+          depthOf(
+            fragments.get(name).selectionSet,
+            depth,
+            new Set([...spread, name])
+          )
+        );
+      }
+    }
+    return deepest;
+  };
+
+  return {
+    OperationDefinition(node) {
+      const depth = depthOf(node.selectionSet, 0, new Set());
+      if (depth > maxDepth) {
+        context.reportError(
+          new GraphQLError(
+            `Operation is ${depth} levels deep, at most ${maxDepth} are allowed`,
+            { nodes: [node] }
+          )
+        );
+      }
+    },
+  };
+};
+
+export default { MAX_QUERY_DEPTH, buildGraphQLSchema, depthLimitRule };
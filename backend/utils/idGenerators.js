@@ -0,0 +1,220 @@
+import crypto from "crypto";
+
+/**
+ * Schema-declared value generators for identifier fields.
+ *
+ * A field in backend.schema can declare one of:
+ *   "generate": "uuid"
+ *   "generate": "nanoid"            (or { "type": "nanoid", "size": 12 })
+ *   "generate": "sequence"          (start/step from "sequence" on the field)
+ *   "generate": "INV-{YYYY}-{seq:5}" (template, see TEMPLATE_TOKENS)
+ *   "slugFrom": "name"
+ *
+ * A numeric "id" field without a generator uses "sequence".
+ */
+
+export const GENERATOR_TYPES = ["uuid", "nanoid", "sequence"];
+
+const NANOID_ALPHABET =
+  "useandom-26T198340PX75pxJACKVERYMINDBUSHWOLF_GQZbfghjklqvwyzrict";
+const RANDOM_ALPHABET = "0123456789abcdefghijklmnopqrstuvwxyz";
+
+const randomString = (size, alphabet) => {
+  const bytes = crypto.randomBytes(size);
+  let result = "";
+  for (let i = 0; i < size; i++) {
+    result += alphabet[bytes[i] % alphabet.length];
+  }
+  return result;
+};
+
+export const nanoid = (size = 21) => randomString(size, NANOID_ALPHABET);
+
+export const slugify = (value) =>
+  String(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const pad = (value, size = 2) => String(value).padStart(size, "0");
+
+// {seq} and {seq:N} are resolved separately since they hit the store
+const TEMPLATE_TOKENS = {
+  YYYY: (now) => now.getFullYear(),
+  YY: (now) => pad(now.getFullYear() % 100),
+  MM: (now) => pad(now.getMonth() + 1),
+  DD: (now) => pad(now.getDate()),
+  HH: (now) => pad(now.getHours()),
+  mm: (now) => pad(now.getMinutes()),
+  ss: (now) => pad(now.getSeconds()),
+  timestamp: (now) => now.getTime(),
+  uuid: () => crypto.randomUUID(),
+  nanoid: (now, size) => nanoid(size ? parseInt(size) : 21),
+  random: (now, size) =>
+    randomString(size ? parseInt(size) : 6, RANDOM_ALPHABET),
+};
+
+const TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+
+export const isTemplate = (generate) =>
+  typeof generate === "string" && generate.includes("{");
+
+/**
+ * Returns the generator declared on a field, or null
+ * @param {string} field - Field name
+ * @param {object} fieldConfig - Field definition from backend.schema
+ * @returns {object|null} - { type, ... }
+ */
+export const getGenerator = (field, fieldConfig) => {
+  if (!fieldConfig || Array.isArray(fieldConfig)) return null;
+
+  if (fieldConfig.slugFrom) {
+    return { type: "slug", from: fieldConfig.slugFrom };
+  }
+
+  const { generate } = fieldConfig;
+  if (generate && typeof generate === "object") return generate;
+  if (isTemplate(generate)) return { type: "template", template: generate };
+  if (generate) return { type: generate };
+
+  if (field === "id" && fieldConfig.type === "Number") {
+    return { type: "sequence" };
+  }
+  return null;
+};
+
+/**
+ * Checks generator declarations and returns error messages
+ * @param {object} schema - Backend schema (config.schema)
+ * @returns {object[]} - { path, message }
+ */
+export const validateGenerators = (schema) => {
+  const errors = [];
+
+  for (const [field, fieldConfig] of Object.entries(schema)) {
+    const generator = getGenerator(field, fieldConfig);
+    if (!generator) continue;
+
+    if (generator.type === "slug" && !schema[generator.from]) {
+      errors.push({
+        path: ["schema", field, "slugFrom"],
+        message: `"${field}.slugFrom" points at unknown field "${generator.from}"`,
+      });
+    } else if (
+      !["slug", "template", ...GENERATOR_TYPES].includes(generator.type)
+    ) {
+      errors.push({
+        path: ["schema", field, "generate"],
+        message: `Unknown generator "${generator.type}" on field "${field}"`,
+      });
+    } else if (generator.type === "template") {
+      for (const [, token] of generator.template.matchAll(TOKEN_PATTERN)) {
+        if (token !== "seq" && !TEMPLATE_TOKENS[token]) {
+          errors.push({
+            path: ["schema", field, "generate"],
+            message: `Unknown template token {${token}} on field "${field}"`,
+          });
+        }
+      }
+    }
+  }
+
+  return errors;
+};
+
+const renderTemplate = async (template, field, fieldConfig, store) => {
+  const now = new Date();
+  let result = "";
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(TOKEN_PATTERN)) {
+    const [token, name, size] = match;
+    result += template.slice(lastIndex, match.index);
+    lastIndex = match.index + token.length;
+
+    if (name === "seq") {
+      const value = await store.nextSequence(field, fieldConfig.sequence);
+      result += size ? pad(value, parseInt(size)) : value;
+    } else {
+      result += TEMPLATE_TOKENS[name](now, size);
+    }
+  }
+
+  return result + template.slice(lastIndex);
+};
+
+// Appends -2, -3, ... until the slug is free
+const uniqueSlug = async (field, base, store) => {
+  let candidate = base;
+  for (let n = 2; (await store.count({ [field]: candidate })) > 0; n++) {
+    candidate = `${base}-${n}`;
+  }
+  return candidate;
+};
+
+const isMissing = (value) =>
+  value === undefined || value === null || value === "";
+
+/**
+ * Fills every missing generated field on a record about to be created
+ * @param {object} schema - Backend schema (config.schema)
+ * @param {object} data - Incoming record, updated in place
+ * @param {object} store - Storage adapter (for sequences and slug checks)
+ * @returns {Promise<object>} - The same record
+ */
+export const applyGenerators = async (schema, data, store) => {
+  for (const [field, fieldConfig] of Object.entries(schema)) {
+    const generator = getGenerator(field, fieldConfig);
+    if (!generator || !isMissing(data[field])) continue;
+
+    switch (generator.type) {
+      case "uuid":
+        data[field] = crypto.randomUUID();
+        break;
+      case "nanoid":
+        data[field] = nanoid(generator.size);
+        break;
+      case "sequence":
+        data[field] = await store.nextSequence(field, fieldConfig.sequence);
+        break;
+      case "template":
+        data[field] = await renderTemplate(
+          generator.template,
+          field,
+          fieldConfig,
+          store
+        );
+        break;
+      case "slug":
+        if (!isMissing(data[generator.from])) {
+          const base = slugify(data[generator.from]);
+          data[field] = fieldConfig.unique
+            ? await uniqueSlug(field, base, store)
+            : base;
+        }
+        break;
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Fields tried after _id when resolving /:id, from backend.options.lookupKeys
+ * @param {object} config - Backend configuration (config.backend)
+ * @returns {string[]}
+ */
+export const getLookupKeys = (config) => config.options?.lookupKeys || ["id"];
+
+export default {
+  GENERATOR_TYPES,
+  nanoid,
+  slugify,
+  isTemplate,
+  getGenerator,
+  validateGenerators,
+  applyGenerators,
+  getLookupKeys,
+};
@@ -0,0 +1,236 @@
+import ExcelJS from "exceljs";
+
+/**
+ * Reads CSV and XLSX uploads into records for an entity.
+ *
+ * Columns map to backend.schema fields by header (field name or the
+ * frontend label, case and punctuation ignored) unless an explicit mapping
+ * { "Header": "field" } is given; map a header to null to skip it.
+ */
+
+export const IMPORT_FORMATS = ["csv", "xlsx"];
+
+const normalize = (value) =>
+  String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Parses CSV text, picking the delimiter (comma, semicolon or tab) from
+ * the header line
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, "");
+  const firstLine = input.slice(0, input.search(/\r?\n|$/));
+  const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+// Plain value of an ExcelJS cell (formulas, rich text, hyperlinks)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value;
+  if (typeof value !== "object") return value;
+  if (value.result !== undefined) return cellValue(value.result);
+  if (value.richText) return value.richText.map((part) => part.text).join("");
+  if (value.text !== undefined) return cellValue(value.text);
+  return String(value);
+};
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    // row.values is 1-based
+    rows.push(row.values.slice(1).map(cellValue));
+  });
+  return rows;
+};
+
+/**
+ * Detects the format of an upload: XLSX files are zip archives
+ * @param {Buffer} buffer
+ * @param {string} hint - format= or file name
+ * @returns {string}
+ */
+export const detectFormat = (buffer, hint = "") => {
+  const lowered = String(hint).toLowerCase();
+  if (lowered === "xlsx" || lowered.endsWith(".xlsx")) return "xlsx";
+  if (lowered === "csv" || lowered.endsWith(".csv")) return "csv";
+  return buffer[0] === 0x50 && buffer[1] === 0x4b ? "xlsx" : "csv";
+};
+
+/**
+ * Reads an upload into a header row and data rows
+ * @param {Buffer} buffer - Raw upload
+ * @param {string} format - "csv" or "xlsx"
+ * @returns {Promise<{ headers: string[], rows: any[][] }>}
+ */
+export const readSpreadsheet = async (buffer, format) => {
+  const rows =
+    format === "xlsx"
+      ? await readXlsx(buffer)
+      : parseCsv(buffer.toString("utf8"));
+
+  const [headers = [], ...data] = rows;
+  return {
+    headers: headers.map((header) => String(header).trim()),
+    rows: data,
+  };
+};
+
+/**
+ * Maps headers to fields
+ * @param {object} config - Backend configuration (config.backend)
+ * @param {object[]} formFields - frontend.fields, for labels and the extra
+ *   fields a "strict": false entity accepts
+ * @param {string[]} headers - Header row
+ * @param {object} mapping - Optional { header: field | null }
+ * @returns {{ columns: object[], ignored: string[], errors: string[] }}
+ */
+export const mapColumns = (config, formFields = [], headers, mapping) => {
+  const targets = new Set(Object.keys(config.schema));
+  if (config.options?.strict === false) {
+    for (const { name } of formFields) targets.add(name);
+  }
+
+  const byName = {};
+  for (const field of targets) byName[normalize(field)] = field;
+  for (const { name, label } of formFields) {
+    if (label && targets.has(name)) byName[normalize(label)] ??= name;
+  }
+
+  const columns = [];
+  const ignored = [];
+  const errors = [];
+
+  headers.forEach((header, index) => {
+    const field =
+      mapping && Object.hasOwn(mapping, header)
+        ? mapping[header]
+        : byName[normalize(header)];
+
+    if (!field) {
+      ignored.push(header);
+    } else if (!targets.has(field)) {
+      errors.push(`Column "${header}" maps to unknown field "${field}"`);
+    } else {
+      columns.push({ index, header, field });
+    }
+  });
+
+  const seen = new Set();
+  for (const { field } of columns) {
+    if (seen.has(field)) errors.push(`Field "${field}" is mapped twice`);
+    seen.add(field);
+  }
+
+  return { columns, ignored, errors };
+};
+
+// Spreadsheet cells are mostly text; shape them for the schema type
+const coerceCell = (value, fieldConfig) => {
+  if (value === null || value === undefined) return undefined;
+  if (typeof value === "string" && value.trim() === "") return undefined;
+
+  if (Array.isArray(fieldConfig)) {
+    // Leave splitting to a declared "split" transform
+    const steps = [fieldConfig[0]?.transform].flat().filter(Boolean);
+    const splits = steps.some((step) =>
+      (typeof step === "string" ? step : step.name).startsWith("split")
+    );
+    if (typeof value !== "string" || splits) return value;
+
+    return value
+      .split(/[,;]/)
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+
+  switch (fieldConfig?.type) {
+    case "Boolean":
+      return typeof value === "string" ? value.trim().toLowerCase() : value;
+    case "Number":
+      return typeof value === "string" ? value.trim() : value;
+    default:
+      return value instanceof Date || typeof value !== "string"
+        ? value
+        : value.trim();
+  }
+};
+
+/**
+ * Turns a data row into a record using the mapped columns
+ * @param {object} schema - Backend schema (config.schema)
+ * @param {any[]} row
+ * @param {object[]} columns - From mapColumns
+ * @returns {object}
+ */
+export const rowToRecord = (schema, row, columns) => {
+  const record = {};
+  for (const { index, field } of columns) {
+    const value = coerceCell(row[index], schema[field]);
+    if (value !== undefined) record[field] = value;
+  }
+  return record;
+};
+
+export default {
+  IMPORT_FORMATS,
+  parseCsv,
+  detectFormat,
+  readSpreadsheet,
+  mapColumns,
+  rowToRecord,
+};
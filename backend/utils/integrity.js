@@ -0,0 +1,279 @@
+import { getReferences } from "./references.js";
+import { getLookupKeys } from "./idGenerators.js";
+import { getSoftDelete } from "./softDelete.js";
+
+/**
+ * Referential integrity on delete.
+ *
+ * A reference field declares what happens to its records when the record
+ * it points at is deleted:
+ *   "categoryId": { "ref": "categories", "refKey": "id", "onDelete": "restrict" }
+ *
+ *   restrict    refuse the delete while records still point at it
+ *   cascade     delete those records too (and apply their own rules)
+ *   setNull     clear the field, or drop the value from a many reference
+ *   softDelete  move those records to the trash (their entity needs
+ *               options.softDelete)
+ *
+ * References without onDelete are left as they are.
+ */
+
+export const DELETE_POLICIES = ["restrict", "cascade", "setNull", "softDelete"];
+
+/**
+ * Checks onDelete declarations and returns error messages
+ * @param {object} config - Backend configuration (config.backend)
+ * @returns {object[]} - { path, message }
+ */
+export const validateDeletePolicies = (config) => {
+  const errors = [];
+
+  for (const [field, fieldConfig] of Object.entries(config.schema)) {
+    const many = Array.isArray(fieldConfig);
+    const refConfig = many ? fieldConfig[0] : fieldConfig;
+    const policy = refConfig?.onDelete;
+    if (policy === undefined) continue;
+
+    const path = ["schema", field, ...(many ? [0] : []), "onDelete"];
+    if (!refConfig.ref) {
+      errors.push({
+        path,
+        message: `"${field}.onDelete" needs "ref" to be set`,
+      });
+    } else if (!DELETE_POLICIES.includes(policy)) {
+      errors.push({
+        path,
+        message: `Unknown onDelete policy "${policy}" on field "${field}", expected one of: ${DELETE_POLICIES.join(", ")}`,
+      });
+    } else if (policy === "setNull" && !many && refConfig.required) {
+      errors.push({
+        path,
+        message: `"${field}.onDelete" cannot be setNull on a required field`,
+      });
+    } else if (policy === "softDelete" && !getSoftDelete(config)) {
+      errors.push({
+        path,
+        message: `"${field}.onDelete" is softDelete but "options.softDelete" is not enabled`,
+      });
+    }
+  }
+
+  return errors;
+};
+
+// Short human-readable name for a record in reports and dialogs
+export const describeRecord = (record, config) => {
+  for (const key of ["name", "title", ...getLookupKeys(config)]) {
+    if (record[key] !== undefined && record[key] !== null) {
+      return String(record[key]);
+    }
+  }
+  return String(record._id);
+};
+
+const summarize = (entity, record, config, extra = {}) => ({
+  entity,
+  _id: record._id,
+  label: describeRecord(record, config),
+  ...extra,
+});
+
+/**
+ * Works out everything deleting a record would touch, following cascades
+ * @param {string} entity - Entity the record belongs to
+ * @param {object} record - Record about to be deleted
+ * @param {Map} entities - entity name -> { store, config }
+ * @param {Set} visited - Records already in the plan (cycle guard)
+ * @returns {Promise<object>} - { entity, record, blocking, cascade, setNull, softDelete }
+ */
+export const planDelete = async (
+  entity,
+  record,
+  entities,
+  visited = new Set()
+) => {
+  visited.add(`${entity}:${record._id}`);
+  const plan = {
+    entity,
+    record,
+    blocking: [],
+    cascade: [],
+    setNull: [],
+    softDelete: [],
+  };
+
+  for (const [dependent, { store, config }] of entities) {
+    for (const ref of getReferences(config.schema)) {
+      const value = record[ref.key];
+      if (ref.entity !== entity || !ref.onDelete || value == null) continue;
+
+      const records = (await store.find({ [ref.field]: value })).filter(
+        (item) => !visited.has(`${dependent}:${item._id}`)
+      );
+      if (records.length === 0) continue;
+
+      if (ref.onDelete === "restrict") {
+        plan.blocking.push({
+          entity: dependent,
+          field: ref.field,
+          records: records.map((item) => summarize(dependent, item, config)),
+        });
+      } else if (ref.onDelete === "cascade") {
+        for (const item of records) {
+          plan.cascade.push(
+            await planDelete(dependent, item, entities, visited)
+          );
+        }
+      } else {
+        plan[ref.onDelete].push({
+          entity: dependent,
+          field: ref.field,
+          many: ref.many,
+          value,
+          records,
+        });
+      }
+    }
+  }
+
+  return plan;
+};
+
+/**
+ * Collects the restrict violations anywhere in a plan
+ * @param {object} plan - From planDelete
+ * @returns {object[]}
+ */
+export const getBlocking = (plan) => [
+  ...plan.blocking,
+  ...plan.cascade.flatMap(getBlocking),
+];
+
+/**
+ * Lists what a plan will do without doing it
+ * @param {object} plan - From planDelete
+ * @param {Map} entities - entity name -> { store, config }
+ * @returns {object} - { deleted, updated, softDeleted }
+ */
+export const describePlan = (plan, entities) => {
+  const configOf = (entity) => entities.get(entity).config;
+  const report = { deleted: [], updated: [], softDeleted: [] };
+
+  const walk = (node) => {
+    for (const child of node.cascade) walk(child);
+    for (const { entity, field, records } of node.setNull) {
+      for (const item of records) {
+        report.updated.push(
+          summarize(entity, item, configOf(entity), { field })
+        );
+      }
+    }
+    for (const { entity, records } of node.softDelete) {
+      for (const item of records) {
+        report.softDeleted.push(summarize(entity, item, configOf(entity)));
+      }
+    }
+    report.deleted.push(
+      summarize(node.entity, node.record, configOf(node.entity))
+    );
+  };
+
+  walk(plan);
+  return report;
+};
+
+/**
+ * Carries out a plan with no blocking entries
+ * @param {object} plan - From planDelete
+ * @param {Map} entities - entity name -> { store, config }
+ * @param {object} condition - { version } the root record must still have
+ * @returns {Promise<object|null>} - The deleted root record; null when it
+ *   no longer had that version
+ */
+export const executeDelete = async (plan, entities, condition = {}) => {
+  // The record goes first, so a stale condition leaves its dependents be
+  const { store } = entities.get(plan.entity);
+  const doc = await store.delete(String(plan.record._id), [], condition);
+  if (!doc && condition.version !== undefined) return null;
+
+  for (const child of plan.cascade) await executeDelete(child, entities);
+
+  for (const { entity, field, many, value, records } of plan.setNull) {
+    const { store } = entities.get(entity);
+    for (const item of records) {
+      const cleared = many
+        ? item[field].filter((v) => String(v) !== String(value))
+        : null;
+      await store.update(String(item._id), { [field]: cleared }, []);
+    }
+  }
+
+  for (const { entity, records } of plan.softDelete) {
+    const { store } = entities.get(entity);
+    for (const item of records) {
+      await store.update(String(item._id), { deletedAt: new Date() }, []);
+    }
+  }
+
+  return doc;
+};
+
+/**
+ * Plans and carries out a delete unless a restrict rule blocks it
+ * @param {string} entity - Entity the record belongs to
+ * @param {object} record - Record to delete
+ * @param {Map} entities - entity name -> { store, config }
+ * @returns {Promise<object>} - { blocking } or { report, doc }
+ */
+export const deleteWithPolicies = async (entity, record, entities) => {
+  const plan = await planDelete(entity, record, entities);
+  const blocking = getBlocking(plan);
+  if (blocking.length > 0) return { blocking };
+
+  const report = describePlan(plan, entities);
+  const doc = await executeDelete(plan, entities);
+  return { report, doc: doc || record };
+};
+
+/**
+ * Undoes an executed plan: recreates deleted records and restores the
+ * fields that were cleared or marked
+ * @param {object} plan - From planDelete
+ * @param {Map} entities - entity name -> { store, config }
+ * @returns {Promise<void>}
+ */
+export const restoreDelete = async (plan, entities) => {
+  await entities.get(plan.entity).store.create(plan.record);
+
+  for (const child of plan.cascade) await restoreDelete(child, entities);
+
+  for (const { entity, field, records } of plan.setNull) {
+    const { store } = entities.get(entity);
+    for (const item of records) {
+      await store.update(String(item._id), { [field]: item[field] }, []);
+    }
+  }
+
+  for (const { entity, records } of plan.softDelete) {
+    const { store } = entities.get(entity);
+    for (const item of records) {
+      await store.update(
+        String(item._id),
+        { deletedAt: item.deletedAt ?? null },
+        []
+      );
+    }
+  }
+};
+
+export default {
+  DELETE_POLICIES,
+  validateDeletePolicies,
+  describeRecord,
+  planDelete,
+  getBlocking,
+  describePlan,
+  executeDelete,
+  deleteWithPolicies,
+  restoreDelete,
+};
@@ -0,0 +1,1209 @@
+import { getGenerator, getLookupKeys } from "./idGenerators.js";
+import { getFieldTypes, OPERATORS_BY_TYPE } from "./queryBuilder.js";
+import { getReferences } from "./references.js";
+import { getSoftDelete } from "./softDelete.js";
+import { getOwnerField } from "./permissions.js";
+import { EXPORT_FORMATS } from "./exporter.js";
+import { BULK_MODES, MAX_BULK_ITEMS } from "./bulk.js";
+import { COUNT_MODES, MAX_LIMIT } from "./pagination.js";
+import { AUDIT_ACTIONS } from "./audit.js";
+import { VERSION_FIELD } from "./concurrency.js";
+
+/**
+ * OpenAPI 3.1 document of the API, generated from the schema so it
+ * describes exactly the entity routes registered from it. Per entity:
+ *
+ *   components.schemas.<Name>         a record as routes return it
+ *   components.schemas.<Name>Input    body of a create
+ *   components.schemas.<Name>Changes  body of an update
+ *
+ * where <Name> is the entity name in PascalCase (order_items ->
+ * OrderItems). Field constraints (required, enum, min, max, defaults)
+ * come from backend.schema; options.hiddenFields stay out of records.
+ */
+
+export const OPENAPI_VERSION = "3.1.0";
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+const parameterRef = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+export const componentName = (entity) =>
+  entity
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join("");
+
+const TYPE_SCHEMAS = {
+  String: { type: "string" },
+  Number: { type: "number" },
+  Boolean: { type: "boolean" },
+  Date: { type: "string", format: "date-time" },
+  ObjectId: { type: "string", pattern: "^[0-9a-fA-F]{24}$" },
+  Array: { type: "array", items: {} },
+  Object: { type: "object" },
+  Mixed: {},
+};
+
+// Defaults as the record validator resolves them; Date.now has no value
+const describeDefault = (value) => {
+  if (value === "Date.now") return undefined;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return value;
+};
+
+/**
+ * JSON Schema of one backend.schema field
+ * @param {string} field - Field name
+ * @param {object|object[]} fieldConfig - Field definition, or the array
+ *   shorthand [{ ... }]
+ * @returns {object}
+ */
+export const fieldToJsonSchema = (field, fieldConfig) => {
+  if (Array.isArray(fieldConfig)) {
+    return {
+      type: "array",
+      items: fieldToJsonSchema(field, fieldConfig[0] || {}),
+    };
+  }
+
+  const config = fieldConfig || {};
+  const type = config.type || "String";
+  const result = { ...(TYPE_SCHEMAS[type] || {}) };
+  const notes = [];
+
+  if (Array.isArray(config.enum)) result.enum = config.enum;
+  if (type === "Number") {
+    if (config.min !== undefined) result.minimum = config.min;
+    if (config.max !== undefined) result.maximum = config.max;
+  }
+  if (type === "Date") {
+    if (config.min !== undefined) notes.push(`Not before ${config.min}.`);
+    if (config.max !== undefined) notes.push(`Not after ${config.max}.`);
+  }
+  if (type === "String") {
+    if (config.minlength !== undefined) result.minLength = config.minlength;
+    if (config.maxlength !== undefined) result.maxLength = config.maxlength;
+    if (typeof config.match === "string") result.pattern = config.match;
+  }
+
+  const defaultValue = describeDefault(config.default);
+  if (defaultValue !== undefined) result.default = defaultValue;
+
+  if (config.ref) {
+    notes.push(`References ${config.ref}.${config.refKey || "_id"}.`);
+  }
+  if (config.unique) notes.push("Unique.");
+  if (getGenerator(field, config)) notes.push("Generated when left out.");
+  if (notes.length > 0) result.description = notes.join(" ");
+
+  return result;
+};
+
+// Fields a create must send: required, and neither generated nor defaulted
+export const getRequiredFields = (schema) =>
+  Object.entries(schema)
+    .filter(
+      ([field, fieldConfig]) =>
+        !Array.isArray(fieldConfig) &&
+        fieldConfig?.required &&
+        fieldConfig.default === undefined &&
+        !getGenerator(field, fieldConfig)
+    )
+    .map(([field]) => field);
+
+/**
+ * The record, create and update schemas of an entity
+ * @param {object} config - Backend configuration (config.backend)
+ * @returns {{ record: object, input: object, changes: object }}
+ */
+export const buildEntitySchemas = (config) => {
+  const { hiddenFields = [], timestamps } = config.options || {};
+  const ownerField = getOwnerField(config);
+  const fields = Object.fromEntries(
+    Object.entries(config.schema).map(([field, fieldConfig]) => [
+      field,
+      fieldToJsonSchema(field, fieldConfig),
+    ])
+  );
+  const open = config.options?.strict === false;
+
+  const recordFields = Object.fromEntries(
+    Object.entries(fields).filter(([field]) => !hiddenFields.includes(field))
+  );
+  const managed = {
+    _id: { type: "string", readOnly: true },
+    ...(timestamps === false
+      ? {}
+      : {
+          createdAt: { type: "string", format: "date-time", readOnly: true },
+          updatedAt: { type: "string", format: "date-time", readOnly: true },
+        }),
+    ...(getSoftDelete(config)
+      ? {
+          deletedAt: {
+            type: ["string", "null"],
+            format: "date-time",
+            readOnly: true,
+            description: "Set while the record is in the trash.",
+          },
+        }
+      : {}),
+    ...(ownerField
+      ? {
+          [ownerField]: {
+            type: "string",
+            readOnly: true,
+            description: "Account id of the creator.",
+          },
+        }
+      : {}),
+    [VERSION_FIELD]: {
+      type: "string",
+      readOnly: true,
+      description: "Record version, for If-Match.",
+    },
+  };
+
+  return {
+    record: {
+      type: "object",
+      properties: { ...managed, ...recordFields },
+      required: ["_id"],
+      additionalProperties: open,
+    },
+    input: {
+      type: "object",
+      properties: fields,
+      required: getRequiredFields(config.schema),
+      additionalProperties: open,
+    },
+    changes: {
+      type: "object",
+      properties: fields,
+      additionalProperties: open,
+    },
+  };
+};
+
+/* ---------- Shared components ---------- */
+
+const errorSchema = {
+  type: "object",
+  properties: {
+    success: { const: false },
+    error: { type: "string" },
+    details: {
+      type: "array",
+      items: {},
+      description: "Messages, or records that block the request.",
+    },
+    code: { type: "string" },
+  },
+  required: ["success", "error"],
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: schemaRef("Error") } },
+});
+
+const jsonResponse = (description, schema, headers) => ({
+  description,
+  ...(headers ? { headers } : {}),
+  content: { "application/json": { schema } },
+});
+
+// { success: true, ...properties }
+const envelope = (properties, required = []) => ({
+  type: "object",
+  properties: { success: { const: true }, ...properties },
+  required: ["success", ...required],
+});
+
+const ETAG_HEADER = {
+  ETag: {
+    description: "Record version, to send back in If-Match.",
+    schema: { type: "string" },
+  },
+};
+
+const sharedComponents = () => ({
+  securitySchemes: {
+    bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+    accessTokenQuery: {
+      type: "apiKey",
+      in: "query",
+      name: "access_token",
+      description: "For GET requests from clients that can't set headers.",
+    },
+  },
+  schemas: {
+    Error: errorSchema,
+    Pagination: {
+      type: "object",
+      properties: {
+        page: { type: "integer" },
+        limit: { type: "integer" },
+        totalPages: { type: "integer" },
+        nextCursor: { type: ["string", "null"] },
+        prevCursor: { type: ["string", "null"] },
+      },
+    },
+    BulkResult: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        error: { type: "string" },
+        mode: { enum: BULK_MODES },
+        summary: {
+          type: "object",
+          properties: {
+            total: { type: "integer" },
+            succeeded: { type: "integer" },
+            failed: { type: "integer" },
+          },
+        },
+        results: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              index: { type: "integer" },
+              status: {
+                enum: [
+                  "created",
+                  "updated",
+                  "trashed",
+                  "deleted",
+                  "failed",
+                  "skipped",
+                ],
+              },
+              data: { type: "object" },
+              error: { type: "string" },
+              details: { type: "array", items: {} },
+            },
+          },
+        },
+      },
+    },
+    ImportReport: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        dryRun: { type: "boolean" },
+        format: { type: "string" },
+        headers: { type: "array", items: { type: "string" } },
+        columns: { type: "array", items: { type: "object" } },
+        ignored: { type: "array", items: { type: "string" } },
+        preview: { type: "array", items: { type: "object" } },
+        errors: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              row: { type: "integer" },
+              errors: { type: "array", items: { type: "string" } },
+            },
+          },
+        },
+        summary: {
+          type: "object",
+          properties: {
+            rows: { type: "integer" },
+            valid: { type: "integer" },
+            invalid: { type: "integer" },
+            imported: { type: "integer" },
+          },
+        },
+      },
+    },
+    AuditEntry: {
+      type: "object",
+      properties: {
+        _id: { type: "string" },
+        entity: { type: "string" },
+        recordId: { type: "string" },
+        action: { enum: AUDIT_ACTIONS },
+        changes: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: { field: { type: "string" }, from: {}, to: {} },
+          },
+        },
+        snapshot: { type: "object" },
+        actor: { type: "string" },
+        requestId: { type: "string" },
+        revertOf: { type: "string" },
+        timestamp: { type: "string", format: "date-time" },
+      },
+    },
+    ChangeEvent: {
+      type: "object",
+      description: "Data of a change event on a change stream.",
+      properties: {
+        id: { type: "string" },
+        type: { enum: ["created", "updated", "deleted"] },
+        action: { enum: AUDIT_ACTIONS },
+        entity: { type: "string" },
+        recordId: { type: "string" },
+        matches: {
+          type: "boolean",
+          description: "False once the record left the stream's filters.",
+        },
+        data: { type: "object" },
+        changes: { type: "array", items: { type: "object" } },
+        actor: { type: "string" },
+        timestamp: { type: "string", format: "date-time" },
+      },
+    },
+    Account: {
+      type: "object",
+      properties: {
+        _id: { type: "string" },
+        email: { type: "string", format: "email" },
+        name: { type: "string" },
+        role: { type: "string" },
+        createdAt: { type: "string", format: "date-time" },
+      },
+    },
+    Session: envelope(
+      {
+        data: schemaRef("Account"),
+        accessToken: { type: "string" },
+        refreshToken: { type: "string" },
+        expiresIn: {
+          type: "integer",
+          description: "Seconds the access token is valid.",
+        },
+      },
+      ["accessToken", "refreshToken"]
+    ),
+  },
+  responses: {
+    BadRequest: errorResponse("Invalid query or validation error"),
+    Unauthorized: errorResponse("Missing, invalid or expired access token"),
+    Forbidden: errorResponse("Not allowed for the account's role"),
+    NotFound: errorResponse("Record not found"),
+    Conflict: errorResponse(
+      "Duplicate unique value, or other records still reference it"
+    ),
+    PreconditionFailed: {
+      description: "If-Match is stale: someone changed the record since",
+      headers: ETAG_HEADER,
+      content: {
+        "application/json": {
+          schema: {
+            type: "object",
+            properties: {
+              success: { const: false },
+              error: { type: "string" },
+              current: {
+                type: "object",
+                description: "The record as it is now.",
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  parameters: {
+    id: {
+      name: "id",
+      in: "path",
+      required: true,
+      description: "_id, or the value of a lookup key.",
+      schema: { type: "string" },
+    },
+    page: {
+      name: "page",
+      in: "query",
+      schema: { type: "integer", minimum: 1, default: 1 },
+    },
+    limit: {
+      name: "limit",
+      in: "query",
+      schema: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_LIMIT,
+        default: 100,
+      },
+    },
+    cursor: {
+      name: "cursor",
+      in: "query",
+      description:
+        "Switches to cursor pagination; empty for the first page, then " +
+        "pagination.nextCursor or prevCursor.",
+      schema: { type: "string" },
+    },
+    count: {
+      name: "count",
+      in: "query",
+      description: "How to count total; cursor mode counts nothing by default.",
+      schema: { enum: COUNT_MODES },
+    },
+    search: {
+      name: "search",
+      in: "query",
+      description: "Text searched in the string fields.",
+      schema: { type: "string" },
+    },
+    fields: {
+      name: "fields",
+      in: "query",
+      description:
+        "Comma-separated fields to return (name,price), or to leave out " +
+        "(-notes).",
+      schema: { type: "string" },
+    },
+    ifMatch: {
+      name: "If-Match",
+      in: "header",
+      description:
+        'Record version ("<_version>"); the request fails with 412 if ' +
+        "the record changed since.",
+      schema: { type: "string" },
+    },
+  },
+});
+
+/* ---------- Entity paths ---------- */
+
+// Parameters that depend on the entity's fields
+const buildEntityParameters = (config) => {
+  const types = getFieldTypes(config.schema);
+  const hidden = config.options?.hiddenFields || [];
+  const filterable = Object.entries(types).filter(
+    ([field]) => !hidden.includes(field)
+  );
+  const references = getReferences(config.schema).map(({ field }) => field);
+
+  return {
+    filter: {
+      name: "filter",
+      in: "query",
+      style: "deepObject",
+      explode: true,
+      description:
+        "filter[field]=value or filter[field][operator]=value, e.g. " +
+        "filter[price][between]=10,50. in, nin and between take " +
+        "comma-separated values.",
+      schema: {
+        type: "object",
+        properties: Object.fromEntries(
+          filterable.map(([field, type]) => [
+            field,
+            {
+              oneOf: [
+                { type: "string" },
+                {
+                  type: "object",
+                  propertyNames: { enum: OPERATORS_BY_TYPE[type] },
+                  additionalProperties: { type: "string" },
+                },
+              ],
+            },
+          ])
+        ),
+        additionalProperties: false,
+      },
+    },
+    sort: {
+      name: "sort",
+      in: "query",
+      description:
+        "Comma-separated fields, - for descending: -createdAt,name. " +
+        `Fields: ${filterable.map(([field]) => field).join(", ")}.`,
+      schema: { type: "string" },
+    },
+    ...(references.length > 0
+      ? {
+          expand: {
+            name: "expand",
+            in: "query",
+            description:
+              "Reference fields to replace with the records they point at: " +
+              `${references.join(", ")}.`,
+            schema: { type: "string" },
+          },
+        }
+      : {}),
+  };
+};
+
+const jsonBody = (schema, description) => ({
+  required: true,
+  ...(description ? { description } : {}),
+  content: { "application/json": { schema } },
+});
+
+/**
+ * The paths of one entity
+ * @param {string} entity - Entity name
+ * @param {object} entityConfig - { route, backend }
+ * @returns {object} - OpenAPI paths
+ */
+export const buildEntityPaths = (entity, { route, backend: config }) => {
+  const name = componentName(entity);
+  const tags = [entity];
+  const record = schemaRef(name);
+  const softDelete = getSoftDelete(config);
+  const params = buildEntityParameters(config);
+  const lookupKeys = getLookupKeys(config);
+  const idParameter = {
+    ...parameterRef("id"),
+    description: `_id, or the value of ${lookupKeys.join(" or ")}.`,
+  };
+
+  const recordResponse = (description, status = 200) => ({
+    [status]: jsonResponse(
+      description,
+      envelope({ data: record, message: { type: "string" } }, ["data"]),
+      ETAG_HEADER
+    ),
+  });
+  const common = {
+    401: responseRef("Unauthorized"),
+    403: responseRef("Forbidden"),
+  };
+  const listParameters = [
+    parameterRef("search"),
+    params.filter,
+    params.sort,
+    parameterRef("fields"),
+  ];
+  const bulkResult = (status, description) => ({
+    [status]: jsonResponse(description, schemaRef("BulkResult")),
+    207: jsonResponse(
+      'Some items failed (mode "continue")',
+      schemaRef("BulkResult")
+    ),
+    400: jsonResponse(
+      'Invalid body, or an item failed (mode "atomic")',
+      schemaRef("BulkResult")
+    ),
+    ...common,
+  });
+  const bulkMode = {
+    mode: {
+      enum: BULK_MODES,
+      default: "atomic",
+      description:
+        "atomic writes nothing if any item fails; continue writes what " +
+        "it can.",
+    },
+  };
+
+  const paths = {
+    [route]: {
+      get: {
+        tags,
+        summary: `List ${entity}`,
+        operationId: `list${name}`,
+        parameters: [
+          parameterRef("page"),
+          parameterRef("limit"),
+          parameterRef("cursor"),
+          parameterRef("count"),
+          ...listParameters,
+          ...(params.expand ? [params.expand] : []),
+        ],
+        responses: {
+          200: jsonResponse(
+            `Page of ${entity}`,
+            envelope(
+              {
+                data: { type: "array", items: record },
+                total: { type: "integer" },
+                estimated: { type: "boolean" },
+                pagination: schemaRef("Pagination"),
+              },
+              ["data"]
+            )
+          ),
+          400: responseRef("BadRequest"),
+          ...common,
+        },
+      },
+      post: {
+        tags,
+        summary: `Create a record of ${entity}`,
+        operationId: `create${name}`,
+        requestBody: jsonBody(schemaRef(`${name}Input`)),
+        responses: {
+          ...recordResponse("Created", 201),
+          400: responseRef("BadRequest"),
+          ...common,
+          409: responseRef("Conflict"),
+        },
+      },
+    },
+
+    [`${route}/export`]: {
+      get: {
+        tags,
+        summary: `Download ${entity} as a file`,
+        operationId: `export${name}`,
+        parameters: [
+          {
+            name: "format",
+            in: "query",
+            schema: { enum: EXPORT_FORMATS, default: "csv" },
+          },
+          ...listParameters,
+        ],
+        responses: {
+          200: {
+            description: "Every matching record",
+            content: {
+              "text/csv": { schema: { type: "string" } },
+              "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet":
+                { schema: { type: "string", format: "binary" } },
+              "application/json": {
+                schema: { type: "array", items: record },
+              },
+              "application/x-ndjson": { schema: { type: "string" } },
+            },
+          },
+          400: responseRef("BadRequest"),
+          ...common,
+        },
+      },
+    },
+
+    [`${route}/changes`]: {
+      get: {
+        tags,
+        summary: `Stream live changes to ${entity}`,
+        description:
+          'Server-Sent Events named "change", for the records the list ' +
+          "would return with the same search and filter. The stream ends " +
+          "when the access token expires.",
+        operationId: `streamChanges${name}`,
+        security: [{ bearerAuth: [] }, { accessTokenQuery: [] }],
+        parameters: listParameters.filter((p) => p !== params.sort),
+        responses: {
+          200: {
+            description: "Event stream; each data line is a ChangeEvent",
+            content: {
+              "text/event-stream": {
+                schema: { type: "string" },
+                "x-event-schema": schemaRef("ChangeEvent"),
+              },
+            },
+          },
+          400: responseRef("BadRequest"),
+          ...common,
+        },
+      },
+    },
+
+    [`${route}/bulk`]: {
+      post: {
+        tags,
+        summary: `Create many records of ${entity}`,
+        operationId: `bulkCreate${name}`,
+        requestBody: jsonBody({
+          type: "object",
+          properties: {
+            records: {
+              type: "array",
+              items: schemaRef(`${name}Input`),
+              maxItems: MAX_BULK_ITEMS,
+            },
+            ...bulkMode,
+          },
+          required: ["records"],
+        }),
+        responses: bulkResult(201, "Every record created"),
+      },
+      patch: {
+        tags,
+        summary: `Update many records of ${entity}`,
+        operationId: `bulkUpdate${name}`,
+        requestBody: jsonBody({
+          oneOf: [
+            {
+              type: "object",
+              properties: {
+                updates: {
+                  type: "array",
+                  maxItems: MAX_BULK_ITEMS,
+                  items: {
+                    type: "object",
+                    properties: {
+                      id: { type: "string" },
+                      changes: schemaRef(`${name}Changes`),
+                    },
+                    required: ["id", "changes"],
+                  },
+                },
+                ...bulkMode,
+              },
+              required: ["updates"],
+            },
+            {
+              type: "object",
+              properties: {
+                filter: { type: "object" },
+                changes: schemaRef(`${name}Changes`),
+                ...bulkMode,
+              },
+              required: ["filter", "changes"],
+            },
+          ],
+        }),
+        responses: bulkResult(200, "Every record updated"),
+      },
+      delete: {
+        tags,
+        summary: `Delete many records of ${entity}`,
+        operationId: `bulkDelete${name}`,
+        requestBody: jsonBody({
+          oneOf: [
+            {
+              type: "object",
+              properties: {
+                ids: {
+                  type: "array",
+                  items: { type: "string" },
+                  maxItems: MAX_BULK_ITEMS,
+                },
+                ...bulkMode,
+              },
+              required: ["ids"],
+            },
+            {
+              type: "object",
+              properties: { filter: { type: "object" }, ...bulkMode },
+              required: ["filter"],
+            },
+          ],
+        }),
+        responses: bulkResult(200, "Every record deleted"),
+      },
+    },
+
+    [`${route}/import`]: {
+      post: {
+        tags,
+        summary: `Import ${entity} from a CSV or XLSX file`,
+        operationId: `import${name}`,
+        parameters: [
+          {
+            name: "mapping",
+            in: "query",
+            description: 'JSON object of column header to field: {"SKU":"id"}',
+            schema: { type: "string" },
+          },
+          { name: "dryRun", in: "query", schema: { type: "boolean" } },
+          { name: "skipInvalid", in: "query", schema: { type: "boolean" } },
+          { name: "batchSize", in: "query", schema: { type: "integer" } },
+          { name: "filename", in: "query", schema: { type: "string" } },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            "text/csv": { schema: { type: "string" } },
+            "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet":
+              { schema: { type: "string", format: "binary" } },
+            "application/octet-stream": {
+              schema: { type: "string", format: "binary" },
+            },
+          },
+        },
+        responses: {
+          200: jsonResponse("Dry run report", schemaRef("ImportReport")),
+          201: jsonResponse("Imported", schemaRef("ImportReport")),
+          207: jsonResponse("Imported in part", schemaRef("ImportReport")),
+          400: jsonResponse("Nothing imported", schemaRef("ImportReport")),
+          ...common,
+        },
+      },
+    },
+
+    [`${route}/{id}`]: {
+      parameters: [idParameter],
+      get: {
+        tags,
+        summary: `Get a record of ${entity}`,
+        operationId: `get${name}`,
+        parameters: [
+          parameterRef("fields"),
+          ...(params.expand ? [params.expand] : []),
+        ],
+        responses: {
+          ...recordResponse("The record"),
+          400: responseRef("BadRequest"),
+          ...common,
+          404: responseRef("NotFound"),
+        },
+      },
+      ...Object.fromEntries(
+        ["put", "patch"].map((method) => [
+          method,
+          {
+            tags,
+            summary: `Update a record of ${entity}`,
+            description: "Changes the fields sent and keeps the rest.",
+            operationId: `${method === "put" ? "replace" : "update"}${name}`,
+            parameters: [parameterRef("ifMatch")],
+            requestBody: jsonBody(schemaRef(`${name}Changes`)),
+            responses: {
+              ...recordResponse("Updated"),
+              400: responseRef("BadRequest"),
+              ...common,
+              404: responseRef("NotFound"),
+              409: responseRef("Conflict"),
+              412: responseRef("PreconditionFailed"),
+            },
+          },
+        ])
+      ),
+      delete: {
+        tags,
+        summary: softDelete
+          ? `Move a record of ${entity} to the trash`
+          : `Delete a record of ${entity}`,
+        operationId: `delete${name}`,
+        parameters: [parameterRef("ifMatch")],
+        responses: {
+          200: jsonResponse(
+            softDelete ? "Moved to the trash" : "Deleted",
+            envelope({
+              data: record,
+              message: { type: "string" },
+              report: {
+                type: "object",
+                description: "Dependent records deleted or updated.",
+              },
+            })
+          ),
+          ...common,
+          404: responseRef("NotFound"),
+          409: responseRef("Conflict"),
+          412: responseRef("PreconditionFailed"),
+        },
+      },
+    },
+
+    [`${route}/{id}/dependents`]: {
+      parameters: [idParameter],
+      get: {
+        tags,
+        summary: "Records a delete would touch",
+        operationId: `getDependents${name}`,
+        responses: {
+          200: jsonResponse(
+            "What deleting the record would do",
+            envelope({ data: { type: "object" } })
+          ),
+          ...common,
+          404: responseRef("NotFound"),
+        },
+      },
+    },
+
+    [`${route}/{id}/history`]: {
+      parameters: [idParameter],
+      get: {
+        tags,
+        summary: "Audit entries of a record, newest first",
+        operationId: `getHistory${name}`,
+        parameters: [parameterRef("page"), parameterRef("limit")],
+        responses: {
+          200: jsonResponse(
+            "Audit entries",
+            envelope({
+              data: { type: "array", items: schemaRef("AuditEntry") },
+              total: { type: "integer" },
+              pagination: schemaRef("Pagination"),
+            })
+          ),
+          ...common,
+          404: responseRef("NotFound"),
+        },
+      },
+    },
+
+    [`${route}/{id}/history/{entryId}/revert`]: {
+      parameters: [
+        idParameter,
+        {
+          name: "entryId",
+          in: "path",
+          required: true,
+          schema: { type: "string" },
+        },
+      ],
+      post: {
+        tags,
+        summary: "Restore the fields of a record as of an audit entry",
+        operationId: `revert${name}`,
+        responses: {
+          ...recordResponse("Reverted"),
+          ...common,
+          404: responseRef("NotFound"),
+          409: responseRef("Conflict"),
+        },
+      },
+    },
+  };
+
+  if (!softDelete) return paths;
+
+  return {
+    ...paths,
+    [`${route}/trash`]: {
+      get: {
+        tags,
+        summary: `Trashed records of ${entity}`,
+        description: `Purged ${softDelete.retentionDays} days after deletion.`,
+        operationId: `listTrash${name}`,
+        parameters: [
+          parameterRef("page"),
+          parameterRef("limit"),
+          ...listParameters,
+        ],
+        responses: {
+          200: jsonResponse(
+            "Page of trashed records",
+            envelope({
+              data: { type: "array", items: record },
+              total: { type: "integer" },
+              retentionDays: { type: "integer" },
+              pagination: schemaRef("Pagination"),
+            })
+          ),
+          400: responseRef("BadRequest"),
+          ...common,
+        },
+      },
+      delete: {
+        tags,
+        summary: "Purge every trashed record that isn't referenced",
+        operationId: `emptyTrash${name}`,
+        responses: {
+          200: jsonResponse(
+            "Trash emptied",
+            envelope({
+              message: { type: "string" },
+              purged: { type: "integer" },
+              kept: { type: "array", items: { type: "object" } },
+            })
+          ),
+          ...common,
+        },
+      },
+    },
+    [`${route}/trash/{id}/restore`]: {
+      parameters: [idParameter],
+      post: {
+        tags,
+        summary: "Put a record back from the trash",
+        operationId: `restore${name}`,
+        responses: {
+          ...recordResponse("Restored"),
+          ...common,
+          404: responseRef("NotFound"),
+          409: responseRef("Conflict"),
+        },
+      },
+    },
+    [`${route}/trash/{id}`]: {
+      parameters: [idParameter],
+      delete: {
+        tags,
+        summary: "Purge a record from the trash",
+        operationId: `purge${name}`,
+        responses: {
+          200: jsonResponse(
+            "Deleted permanently",
+            envelope({
+              data: record,
+              message: { type: "string" },
+              report: { type: "object" },
+            })
+          ),
+          ...common,
+          404: responseRef("NotFound"),
+          409: responseRef("Conflict"),
+        },
+      },
+    },
+  };
+};
+
+/* ---------- Authentication paths ---------- */
+
+const authPaths = () => {
+  const tags = ["auth"];
+  const credentials = {
+    type: "object",
+    properties: {
+      email: { type: "string", format: "email" },
+      password: { type: "string", minLength: 8 },
+    },
+    required: ["email", "password"],
+  };
+  const session = (description, status = 200) => ({
+    [status]: jsonResponse(description, schemaRef("Session")),
+  });
+
+  return {
+    "/api/auth/register": {
+      post: {
+        tags,
+        summary: "Create an account; the first one is an admin",
+        operationId: "register",
+        security: [],
+        requestBody: jsonBody({
+          ...credentials,
+          properties: {
+            ...credentials.properties,
+            name: { type: "string" },
+          },
+        }),
+        responses: {
+          ...session("Account created and signed in", 201),
+          400: responseRef("BadRequest"),
+          403: responseRef("Forbidden"),
+          409: responseRef("Conflict"),
+        },
+      },
+    },
+    "/api/auth/login": {
+      post: {
+        tags,
+        summary: "Sign in",
+        operationId: "login",
+        security: [],
+        requestBody: jsonBody(credentials),
+        responses: {
+          ...session("Signed in"),
+          401: responseRef("Unauthorized"),
+        },
+      },
+    },
+    "/api/auth/refresh": {
+      post: {
+        tags,
+        summary: "Trade a refresh token for new tokens",
+        operationId: "refresh",
+        security: [],
+        requestBody: jsonBody({
+          type: "object",
+          properties: { refreshToken: { type: "string" } },
+          required: ["refreshToken"],
+        }),
+        responses: {
+          ...session("New tokens; the old refresh token stops working"),
+          401: responseRef("Unauthorized"),
+        },
+      },
+    },
+    "/api/auth/logout": {
+      post: {
+        tags,
+        summary: "End the session, or every session with all",
+        operationId: "logout",
+        security: [],
+        requestBody: jsonBody({
+          type: "object",
+          properties: {
+            refreshToken: { type: "string" },
+            all: { type: "boolean" },
+          },
+          required: ["refreshToken"],
+        }),
+        responses: {
+          200: jsonResponse(
+            "Signed out",
+            envelope({ message: { type: "string" } })
+          ),
+          400: responseRef("BadRequest"),
+        },
+      },
+    },
+    "/api/auth/me": {
+      get: {
+        tags,
+        summary: "The signed-in account",
+        operationId: "getCurrentAccount",
+        responses: {
+          200: jsonResponse(
+            "Account",
+            envelope({ data: schemaRef("Account") }, ["data"])
+          ),
+          401: responseRef("Unauthorized"),
+        },
+      },
+    },
+  };
+};
+
+/**
+ * Builds the OpenAPI document for a schema
+ * @param {object} schema - The current schema ({ record })
+ * @param {object} options - { version } of the schema, for info.version
+ * @returns {object} - OpenAPI 3.1 document
+ */
+export const buildOpenApiSpec = (schema, { version } = {}) => {
+  const entities = Object.entries(schema.record || {});
+  const components = sharedComponents();
+
+  for (const [entity, entityConfig] of entities) {
+    const name = componentName(entity);
+    const { record, input, changes } = buildEntitySchemas(
+      entityConfig.backend
+    );
+    components.schemas[name] = record;
+    components.schemas[`${name}Input`] = input;
+    components.schemas[`${name}Changes`] = changes;
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: "Dynamic Form API",
+      version: String(version ?? 1),
+      description:
+        "Entity routes generated from schemaConfig.json. Every route " +
+        "needs an access token from /api/auth/login, and answers errors " +
+        "as { success: false, error, details }.",
+    },
+    servers: [{ url: "/" }],
+    security: [{ bearerAuth: [] }],
+    tags: [
+      { name: "auth", description: "Accounts and tokens" },
+      ...entities.map(([entity, entityConfig]) => ({
+        name: entity,
+        description: entityConfig.route,
+      })),
+    ],
+    paths: Object.assign(
+      authPaths(),
+      ...entities.map(([entity, entityConfig]) =>
+        buildEntityPaths(entity, entityConfig)
+      )
+    ),
+    components,
+  };
+};
+
+export default {
+  OPENAPI_VERSION,
+  componentName,
+  fieldToJsonSchema,
+  getRequiredFields,
+  buildEntitySchemas,
+  buildEntityPaths,
+  buildOpenApiSpec,
+};
@@ -0,0 +1,189 @@
+import { getFieldTypes } from "./queryBuilder.js";
+
+/**
+ * Keyset (cursor) pagination for list routes.
+ *
+ * A cursor is an opaque base64url token holding the sort key values and
+ * _id of the record it points at, so pages stay stable while records are
+ * inserted or removed:
+ *   ?cursor=                 first page
+ *   ?cursor=<nextCursor>     following page
+ *   ?cursor=<prevCursor>     previous page
+ */
+
+export const COUNT_MODES = ["exact", "estimated", "none"];
+
+// Most records one page returns, for REST lists and GraphQL alike
+export const MAX_LIMIT = 1000;
+
+/**
+ * Reads a limit query parameter, capped at MAX_LIMIT
+ * @param {string} value - As sent, or undefined
+ * @param {number} fallback - When missing or not a positive integer
+ * @returns {number}
+ */
+export const parseLimit = (value, fallback) => {
+  const limit = parseInt(value);
+  return limit > 0 ? Math.min(limit, MAX_LIMIT) : fallback;
+};
+
+export class CursorError extends Error {}
+
+// _id breaks ties so every record has a unique position
+export const withTiebreaker = (sort) =>
+  sort._id ? sort : { ...sort, _id: Object.values(sort).at(-1) ?? 1 };
+
+const sortSignature = (sort) =>
+  Object.entries(sort)
+    .map(([field, dir]) => `${dir < 0 ? "-" : ""}${field}`)
+    .join(",");
+
+export const encodeCursor = (record, sort, direction = "next") =>
+  Buffer.from(
+    JSON.stringify({
+      s: sortSignature(sort),
+      d: direction,
+      v: Object.keys(sort).map((field) => record[field] ?? null),
+    })
+  ).toString("base64url");
+
+/**
+ * Decodes a cursor made for the same sort
+ * @param {object} schema - Backend schema (config.schema)
+ * @param {string} cursor - Token from nextCursor/prevCursor
+ * @param {object} sort - Sort including the _id tiebreaker
+ * @returns {{ direction: string, values: any[] }}
+ */
+export const decodeCursor = (schema, cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new CursorError("cursor: malformed token");
+  }
+
+  const fields = Object.keys(sort);
+  if (
+    !payload ||
+    payload.s !== sortSignature(sort) ||
+    !Array.isArray(payload.v) ||
+    payload.v.length !== fields.length ||
+    !["next", "prev"].includes(payload.d)
+  ) {
+    throw new CursorError("cursor: does not match the requested sort");
+  }
+
+  const types = getFieldTypes(schema);
+  const values = payload.v.map((value, i) =>
+    value !== null && types[fields[i]] === "Date" ? new Date(value) : value
+  );
+
+  return { direction: payload.d, values };
+};
+
+// Records sorting strictly after value on one key; null sorts lowest
+const afterValue = (field, value, dir) => {
+  if (dir > 0) {
+    return value === null
+      ? { [field]: { $ne: null } }
+      : { [field]: { $gt: value } };
+  }
+  return value === null
+    ? null
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Builds the filter selecting records after the cursor position
+ * @param {object} sort - Sort including the _id tiebreaker
+ * @param {any[]} values - Decoded cursor values
+ * @returns {object}
+ */
+export const buildSeekFilter = (sort, values) => {
+  const entries = Object.entries(sort);
+  const branches = [];
+
+  entries.forEach(([field, dir], i) => {
+    const after = afterValue(field, values[i], dir);
+    if (!after) return;
+
+    const equalBefore = entries
+      .slice(0, i)
+      .map(([prevField], j) => ({ [prevField]: values[j] }));
+    branches.push(
+      equalBefore.length > 0 ? { $and: [...equalBefore, after] } : after
+    );
+  });
+
+  return { $or: branches.length > 0 ? branches : [{ _id: null }] };
+};
+
+const reverseSort = (sort) =>
+  Object.fromEntries(Object.entries(sort).map(([f, dir]) => [f, -dir]));
+
+/**
+ * Fetches one page of records from a cursor
+ * @param {object} store - Storage adapter
+ * @param {object} schema - Backend schema (config.schema)
+ * @param {object} options - { filter, sort, limit, cursor }
+ * @returns {Promise<{ data: object[], nextCursor: string|null, prevCursor: string|null }>}
+ */
+export const findPage = async (store, schema, { filter, sort, limit, cursor }) => {
+  const fullSort = withTiebreaker(sort);
+  const position = cursor ? decodeCursor(schema, cursor, fullSort) : null;
+  const backwards = position?.direction === "prev";
+
+  // Walk backwards with the sort reversed, then flip the page
+  const querySort = backwards ? reverseSort(fullSort) : fullSort;
+  const conditions = [filter];
+  if (position) conditions.push(buildSeekFilter(querySort, position.values));
+
+  const records = await store.find(
+    { $and: conditions },
+    { sort: querySort, limit: limit + 1 }
+  );
+
+  const hasMore = records.length > limit;
+  const data = records.slice(0, limit);
+  if (backwards) data.reverse();
+
+  const first = data[0];
+  const last = data.at(-1);
+  const hasNext = backwards ? Boolean(position) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(position);
+
+  return {
+    data,
+    nextCursor:
+      hasNext && last ? encodeCursor(last, fullSort, "next") : null,
+    prevCursor:
+      hasPrev && first ? encodeCursor(first, fullSort, "prev") : null,
+  };
+};
+
+/**
+ * Counts matching records according to ?count=
+ * @param {object} store - Storage adapter
+ * @param {object} filter - List filter
+ * @param {string} mode - "exact", "estimated" or "none"
+ * @returns {Promise<{ total?: number, estimated?: boolean }>}
+ */
+export const countRecords = async (store, filter, mode) => {
+  if (mode === "none") return {};
+  if (mode === "estimated") {
+    return { total: await store.estimatedCount(), estimated: true };
+  }
+  return { total: await store.count(filter) };
+};
+
+export default {
+  COUNT_MODES,
+  MAX_LIMIT,
+  parseLimit,
+  withTiebreaker,
+  encodeCursor,
+  decodeCursor,
+  buildSeekFilter,
+  findPage,
+  countRecords,
+};
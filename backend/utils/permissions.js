@@ -0,0 +1,228 @@
+import {
+  ADMIN_ROLE,
+  ANY_ROLE,
+  allowsRecord,
+  fieldsFor,
+  ruleScope,
+} from "../shared/permissions.js";
+
+/**
+ * Role-based access declared in backend.options.permissions:
+ *
+ *   "permissions": {
+ *     "list":   ["*"],
+ *     "create": ["editor"],
+ *     "update": ["editor", { "role": "user", "own": true }],
+ *     "delete": [{ "role": "editor", "where": { "status": "draft" } }],
+ *     "ownerField": "createdBy",
+ *     "fields": {
+ *       "price": { "readOnly": ["user"] },
+ *       "cost": { "hidden": ["user", "editor"] }
+ *     }
+ *   }
+ *
+ * Actions are list, read, create, update and delete. A rule is a role name
+ * ("*" for any role) or { role, own, where } to limit it to some records:
+ * where is a MongoDB filter in which "$user.id", "$user.email" and
+ * "$user.role" stand for the signed-in account, and own is short for
+ * { [ownerField]: "$user.id" }. ownerField is set to the creator's account
+ * id and can't be changed through the API.
+ *
+ * Entities without permissions, and actions left out, are open to every
+ * signed-in account. The admin role may always do everything.
+ */
+
+export const PERMISSION_ACTIONS = [
+  "list",
+  "read",
+  "create",
+  "update",
+  "delete",
+];
+export { ADMIN_ROLE, ANY_ROLE };
+
+export const ROLE_PATTERN = /^[\w-]+$/;
+
+export const getOwnerField = (config) =>
+  config.options?.permissions?.ownerField || null;
+
+const isRoleList = (value) =>
+  Array.isArray(value) &&
+  value.every(
+    (role) =>
+      typeof role === "string" && (role === ANY_ROLE || ROLE_PATTERN.test(role))
+  );
+
+/**
+ * Checks the permissions option
+ * @param {object} config - Backend configuration (config.backend)
+ * @param {object[]} formFields - Frontend fields, which may go beyond the
+ *   backend schema
+ * @returns {object[]} - { path, message }
+ */
+export const validatePermissions = (config, formFields = []) => {
+  const permissions = config.options?.permissions;
+  const root = ["options", "permissions"];
+  if (permissions === undefined) return [];
+  if (typeof permissions !== "object" || Array.isArray(permissions)) {
+    return [{ path: root, message: '"options.permissions" must be an object' }];
+  }
+
+  const errors = [];
+  const fail = (keys, message) =>
+    errors.push({ path: [...root, ...keys], message });
+  const { ownerField, fields, ...actions } = permissions;
+
+  if (
+    ownerField !== undefined &&
+    (typeof ownerField !== "string" || !/^[A-Za-z_]\w*$/.test(ownerField))
+  ) {
+    fail(
+      ["ownerField"],
+      '"options.permissions.ownerField" must be a field name'
+    );
+  }
+
+  for (const [action, rules] of Object.entries(actions)) {
+    const path = `"options.permissions.${action}"`;
+    if (!PERMISSION_ACTIONS.includes(action)) {
+      fail(
+        [action],
+        `${path}: expected one of ${PERMISSION_ACTIONS.join(", ")}`
+      );
+      continue;
+    }
+    if (!Array.isArray(rules)) {
+      fail([action], `${path} must be an array of rules`);
+      continue;
+    }
+
+    rules.forEach((rule, index) => {
+      const keys = [action, index];
+      if (typeof rule === "string") {
+        if (!isRoleList([rule])) fail(keys, `${path}: invalid role "${rule}"`);
+        return;
+      }
+      if (typeof rule !== "object" || !rule || !isRoleList([rule.role])) {
+        fail(keys, `${path}: each rule needs a "role"`);
+        return;
+      }
+      if (rule.own !== undefined && typeof rule.own !== "boolean") {
+        fail([...keys, "own"], `${path}: "own" must be true or false`);
+      }
+      if (rule.own && !ownerField) {
+        fail(
+          [...keys, "own"],
+          `${path}: "own" needs "options.permissions.ownerField"`
+        );
+      }
+      if (
+        rule.where !== undefined &&
+        (typeof rule.where !== "object" ||
+          rule.where === null ||
+          Array.isArray(rule.where))
+      ) {
+        fail([...keys, "where"], `${path}: "where" must be a filter object`);
+      }
+    });
+  }
+
+  if (fields !== undefined) {
+    if (typeof fields !== "object" || !fields || Array.isArray(fields)) {
+      fail(["fields"], '"options.permissions.fields" must be an object');
+      return errors;
+    }
+    for (const [field, rule] of Object.entries(fields)) {
+      const path = `"options.permissions.fields.${field}"`;
+      if (
+        !Object.hasOwn(config.schema, field) &&
+        !formFields.some(({ name }) => name === field)
+      ) {
+        fail(["fields", field], `${path}: unknown field`);
+      }
+      for (const key of ["hidden", "readOnly"]) {
+        if (rule?.[key] !== undefined && !isRoleList(rule[key])) {
+          fail(
+            ["fields", field, key],
+            `${path}.${key} must be an array of roles`
+          );
+        }
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * What the signed-in account may do with one entity
+ * @param {object} config - Backend configuration (config.backend)
+ * @param {object} user - Signed-in account (req.user)
+ * @returns {object} - {
+ *     config   backend configuration with the role's hidden fields added
+ *              to options.hiddenFields, for projections and responses
+ *     schema   backend schema without any hidden field, for list queries
+ *     can(action)            the role has any rule for the action
+ *     restrict(action, f)    f limited to the records the rules allow
+ *     allows(action, record) the rules allow the action on the record
+ *     lockedFields(data, current)  read-only fields data would change
+ *   }
+ */
+export const resolveAccess = (config, user) => {
+  const permissions = config.options?.permissions || {};
+  const ownerField = permissions.ownerField;
+  const role = user?.role;
+
+  const hidden = fieldsFor(permissions, user, "hidden");
+  const readOnly = [
+    ...new Set([...hidden, ...fieldsFor(permissions, user, "readOnly")]),
+  ];
+  const scope = (action) => ruleScope(permissions, action, user);
+
+  // Form values may arrive as strings, so "5" leaves a stored 5 unchanged
+  const same = (a, b) =>
+    JSON.stringify(a ?? null) === JSON.stringify(b ?? null) ||
+    (typeof a !== "object" && typeof b !== "object" && String(a) === String(b));
+
+  const hiddenFields = [...(config.options?.hiddenFields || []), ...hidden];
+
+  return {
+    role,
+    config: {
+      ...config,
+      options: { ...config.options, hiddenFields },
+    },
+    // Hidden values can't be read through filters, search or sort either
+    schema: Object.fromEntries(
+      Object.entries(config.schema).filter(
+        ([field]) => !hiddenFields.includes(field)
+      )
+    ),
+
+    can: (action) => scope(action) !== false,
+
+    restrict: (action, filter = {}) => {
+      const condition = scope(action);
+      return condition ? { $and: [filter, condition] } : filter;
+    },
+
+    allows: (action, record) => allowsRecord(permissions, action, user, record),
+
+    lockedFields: (data, current = {}) =>
+      readOnly.filter(
+        (field) => field in data && !same(data[field], current[field])
+      ),
+
+    ownerField,
+  };
+};
+
+export default {
+  PERMISSION_ACTIONS,
+  ADMIN_ROLE,
+  ANY_ROLE,
+  ROLE_PATTERN,
+  getOwnerField,
+  validatePermissions,
+  resolveAccess,
+};
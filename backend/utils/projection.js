@@ -0,0 +1,197 @@
+/**
+ * Sparse fieldsets for read routes.
+ *
+ *   ?fields=name,price,address.city   only these (plus _id)
+ *   ?fields=-notes,-_id               everything but these
+ *
+ * backend.options can declare:
+ *   "defaultFields": ["name", "price"]   list projection when no fields=
+ *   "hiddenFields": ["internalNotes"]    never returned by any route
+ */
+
+const BUILT_IN_FIELDS = ["_id", "createdAt", "updatedAt"];
+
+export const getPath = (record, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), record);
+
+const setPath = (target, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let current = target;
+  for (const key of keys) {
+    if (typeof current[key] !== "object" || current[key] === null) {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  current[last] = value;
+};
+
+// Copies only the objects on the way to the path, so the source is untouched
+const removePath = (record, path) => {
+  const [key, ...rest] = path.split(".");
+  if (record == null || typeof record !== "object" || !(key in record)) {
+    return record;
+  }
+
+  const copy = { ...record };
+  if (rest.length === 0) {
+    delete copy[key];
+  } else {
+    copy[key] = removePath(copy[key], rest.join("."));
+  }
+  return copy;
+};
+
+const PATH_PATTERN = /^[A-Za-z_]\w*(\.\w+)*$/;
+
+// "strict": false entities may store fields the schema doesn't declare
+const isKnownPath = (config, path) => {
+  if (!PATH_PATTERN.test(path)) return false;
+
+  const [root] = path.split(".");
+  return (
+    config.options?.strict === false ||
+    BUILT_IN_FIELDS.includes(root) ||
+    Object.hasOwn(config.schema, root)
+  );
+};
+
+/**
+ * Parses a fields= value into { include, exclude }
+ * @param {object} config - Backend configuration (config.backend)
+ * @param {string} fields - Comma-separated paths, "-" prefix excludes
+ * @param {string[]} errors - Collects error messages
+ * @returns {object|null}
+ */
+export const parseFields = (config, fields, errors = []) => {
+  if (fields === undefined || fields === "") return null;
+  if (typeof fields !== "string") {
+    errors.push("fields: must be a comma-separated list of fields");
+    return null;
+  }
+
+  const include = [];
+  const exclude = [];
+
+  for (const part of fields.split(",").map((p) => p.trim()).filter(Boolean)) {
+    const path = part.replace(/^[-+]/, "");
+    if (!isKnownPath(config, path)) {
+      errors.push(`fields: unknown field "${path}"`);
+    } else if (part.startsWith("-")) {
+      exclude.push(path);
+    } else {
+      include.push(path);
+    }
+  }
+
+  // Same rule as MongoDB: only _id may be excluded from an inclusion list
+  if (include.length > 0 && exclude.some((path) => path !== "_id")) {
+    errors.push("fields: cannot mix included and excluded fields");
+  }
+
+  return { include: include.length > 0 ? include : null, exclude };
+};
+
+/**
+ * Builds the projection for a read route
+ * @param {object} config - Backend configuration (config.backend)
+ * @param {string} fields - fields= query value
+ * @param {object} options - { list } to fall back to options.defaultFields
+ * @returns {{ projection: object, errors: string[] }}
+ */
+export const buildProjection = (config, fields, { list = false } = {}) => {
+  const errors = [];
+  const { defaultFields, hiddenFields = [] } = config.options || {};
+
+  let projection = parseFields(config, fields, errors);
+  if (!projection && list && defaultFields?.length > 0) {
+    projection = { include: defaultFields, exclude: [] };
+  }
+
+  projection = projection || { include: null, exclude: [] };
+  return {
+    projection: {
+      include: projection.include,
+      exclude: [...projection.exclude, ...hiddenFields],
+    },
+    errors,
+  };
+};
+
+/**
+ * Returns a copy of a record with the projection applied
+ * @param {object} record
+ * @param {object} projection - From buildProjection
+ * @returns {object}
+ */
+export const applyProjection = (record, { include, exclude }) => {
+  if (!record) return record;
+
+  let result = record;
+  if (include) {
+    result = exclude.includes("_id") ? {} : { _id: record._id };
+    for (const path of include) {
+      const value = getPath(record, path);
+      if (value !== undefined) setPath(result, path, value);
+    }
+  }
+
+  for (const path of exclude) result = removePath(result, path);
+  return result;
+};
+
+/**
+ * Removes backend.options.hiddenFields from a record
+ * @param {object} config - Backend configuration (config.backend)
+ * @param {object} record
+ * @returns {object}
+ */
+export const hideFields = (config, record) =>
+  applyProjection(record, {
+    include: null,
+    exclude: config.options?.hiddenFields || [],
+  });
+
+/**
+ * Checks defaultFields and hiddenFields declarations
+ * @param {object} config - Backend configuration (config.backend)
+ * @returns {object[]} - { path, message }
+ */
+export const validateProjectionOptions = (config) => {
+  const errors = [];
+
+  for (const option of ["defaultFields", "hiddenFields"]) {
+    const paths = config.options?.[option];
+    if (paths === undefined) continue;
+
+    if (!Array.isArray(paths)) {
+      errors.push({
+        path: ["options", option],
+        message: `"options.${option}" must be an array`,
+      });
+      continue;
+    }
+    paths.forEach((path, index) => {
+      if (typeof path !== "string" || !isKnownPath(config, path)) {
+        errors.push({
+          path: ["options", option, index],
+          message: `"options.${option}" has unknown field "${path}"`,
+        });
+      }
+    });
+  }
+
+  return errors;
+};
+
+export default {
+  getPath,
+  parseFields,
+  buildProjection,
+  applyProjection,
+  hideFields,
+  validateProjectionOptions,
+};
@@ -0,0 +1,256 @@
+/**
+ * Builds storage queries from list route parameters, validated and typed
+ * against the entity's backend schema.
+ *
+ *   ?filter[stock][lt]=10&filter[categoryId]=3&sort=price,-createdAt
+ *   ?filter[status][in]=new,paid&filter[name][contains]=desk
+ *   ?filter[price][between]=10,50&filter[validTill][exists]=true
+ */
+
+// Fields every record has besides the ones in backend.schema
+const BUILT_IN_FIELDS = {
+  _id: "ObjectId",
+  createdAt: "Date",
+  updatedAt: "Date",
+};
+
+export const OPERATORS_BY_TYPE = {
+  String: ["eq", "ne", "in", "nin", "contains", "startsWith", "exists"],
+  Number: ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin", "between", "exists"],
+  Date: ["eq", "ne", "gt", "gte", "lt", "lte", "between", "exists"],
+  Boolean: ["eq", "ne", "exists"],
+  ObjectId: ["eq", "ne", "in", "nin", "exists"],
+};
+
+export const OPERATORS = [
+  "eq",
+  "ne",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+  "in",
+  "nin",
+  "contains",
+  "startsWith",
+  "exists",
+  "between",
+];
+
+const FILTER_KEY = /^filter\[([^\]]+)\](?:\[([^\]]+)\])?$/;
+
+export const escapeRegex = (value) =>
+  value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Returns the filterable type of every field, keyed by field name
+ * @param {object} schema - Backend schema (config.schema)
+ * @returns {object} - { field: "String" | "Number" | ... }
+ */
+export const getFieldTypes = (schema) => {
+  const types = { ...BUILT_IN_FIELDS };
+
+  for (const [field, fieldConfig] of Object.entries(schema)) {
+    // Array shorthand filters on its element type
+    const config = Array.isArray(fieldConfig) ? fieldConfig[0] : fieldConfig;
+    const type = config?.type || "String";
+    if (OPERATORS_BY_TYPE[type]) types[field] = type;
+  }
+
+  return types;
+};
+
+const castValue = (value, type) => {
+  // JSON bodies (bulk filters) may carry numbers and booleans
+  const raw =
+    typeof value === "number" || typeof value === "boolean"
+      ? String(value)
+      : value;
+  if (typeof raw !== "string") {
+    throw new Error("must be a plain value");
+  }
+
+  switch (type) {
+    case "Number": {
+      const num = Number(raw);
+      if (raw.trim() === "" || isNaN(num)) throw new Error("must be a number");
+      return num;
+    }
+    case "Boolean":
+      if (raw === "true") return true;
+      if (raw === "false") return false;
+      throw new Error("must be true or false");
+    case "Date": {
+      const date = new Date(raw);
+      if (isNaN(date.getTime())) throw new Error("must be a date");
+      return date;
+    }
+    default:
+      return raw;
+  }
+};
+
+const toList = (raw) =>
+  (Array.isArray(raw) ? raw : String(raw).split(",")).map((v) => String(v));
+
+const buildCondition = (op, raw, type) => {
+  switch (op) {
+    case "eq":
+      return castValue(raw, type);
+    case "ne":
+    case "gt":
+    case "gte":
+    case "lt":
+    case "lte":
+      return { [`$${op}`]: castValue(raw, type) };
+    case "in":
+    case "nin":
+      return { [`$${op}`]: toList(raw).map((v) => castValue(v, type)) };
+    case "between": {
+      const bounds = toList(raw);
+      if (bounds.length !== 2) throw new Error("needs two values: min,max");
+      return {
+        $gte: castValue(bounds[0], type),
+        $lte: castValue(bounds[1], type),
+      };
+    }
+    case "contains":
+      return { $regex: escapeRegex(castValue(raw, type)), $options: "i" };
+    case "startsWith":
+      return { $regex: `^${escapeRegex(castValue(raw, type))}`, $options: "i" };
+    case "exists":
+      return { $exists: castValue(raw, "Boolean") };
+    default:
+      throw new Error(`unknown operator "${op}"`);
+  }
+};
+
+// Accepts both flat "filter[a][op]" keys and an already nested filter object
+const collectFilters = (query) => {
+  const entries = [];
+
+  for (const [key, value] of Object.entries(query)) {
+    const match = FILTER_KEY.exec(key);
+    if (match) entries.push([match[1], match[2] || "eq", value]);
+  }
+
+  if (query.filter && typeof query.filter === "object") {
+    for (const [field, value] of Object.entries(query.filter)) {
+      if (value && typeof value === "object" && !Array.isArray(value)) {
+        for (const [op, raw] of Object.entries(value)) {
+          entries.push([field, op, raw]);
+        }
+      } else {
+        entries.push([field, "eq", value]);
+      }
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Builds the filter for the free-text "search" parameter
+ * @param {object} schema - Backend schema (config.schema)
+ * @param {string} search - Search term
+ * @returns {object|null} - $or over String fields, or null
+ */
+export const buildSearchFilter = (schema, search) => {
+  if (typeof search !== "string" || !search.trim()) return null;
+
+  const stringFields = Object.keys(schema).filter(
+    (key) => schema[key].type === "String"
+  );
+  if (stringFields.length === 0) return null;
+
+  return {
+    $or: stringFields.map((field) => ({
+      [field]: { $regex: escapeRegex(search.trim()), $options: "i" },
+    })),
+  };
+};
+
+/**
+ * Parses "sort=price,-createdAt" into { price: 1, createdAt: -1 }
+ * @param {object} schema - Backend schema (config.schema)
+ * @param {string} sort - Sort parameter
+ * @param {string[]} errors - Collects error messages
+ * @returns {object|null}
+ */
+export const parseSort = (schema, sort, errors = []) => {
+  if (sort === undefined || sort === "") return null;
+  if (typeof sort !== "string") {
+    errors.push("sort: must be a comma-separated list of fields");
+    return null;
+  }
+
+  const types = getFieldTypes(schema);
+  const result = {};
+
+  for (const part of sort.split(",").map((p) => p.trim()).filter(Boolean)) {
+    const field = part.replace(/^[-+]/, "");
+    if (!types[field]) {
+      errors.push(`sort: unknown field "${field}"`);
+      continue;
+    }
+    result[field] = part.startsWith("-") ? -1 : 1;
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+};
+
+/**
+ * Builds filter and sort for a list request
+ * @param {object} schema - Backend schema (config.schema)
+ * @param {object} query - req.query
+ * @returns {{ filter: object, sort: object, errors: string[] }}
+ */
+export const buildListQuery = (schema, query = {}) => {
+  const types = getFieldTypes(schema);
+  const errors = [];
+  const conditions = [];
+
+  for (const [field, op, raw] of collectFilters(query)) {
+    const type = types[field];
+
+    if (!type) {
+      errors.push(`filter: unknown field "${field}"`);
+      continue;
+    }
+    if (!OPERATORS.includes(op)) {
+      errors.push(`filter[${field}]: unknown operator "${op}"`);
+      continue;
+    }
+    if (!OPERATORS_BY_TYPE[type].includes(op)) {
+      errors.push(`filter[${field}]: "${op}" is not supported on ${type}`);
+      continue;
+    }
+
+    try {
+      conditions.push({ [field]: buildCondition(op, raw, type) });
+    } catch (error) {
+      errors.push(`filter[${field}][${op}]: ${error.message}`);
+    }
+  }
+
+  const search = buildSearchFilter(schema, query.search);
+  if (search) conditions.push(search);
+
+  const sort = parseSort(schema, query.sort, errors) || { createdAt: -1 };
+
+  return {
+    filter: conditions.length > 0 ? { $and: conditions } : {},
+    sort,
+    errors,
+  };
+};
+
+export default {
+  OPERATORS,
+  OPERATORS_BY_TYPE,
+  escapeRegex,
+  getFieldTypes,
+  buildSearchFilter,
+  parseSort,
+  buildListQuery,
+};
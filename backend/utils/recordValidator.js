@@ -0,0 +1,142 @@
+/**
+ * Casts and validates records against a backend schema the same way
+ * Mongoose does, for storage paths that don't go through a model
+ */
+
+const castValue = (value, fieldConfig) => {
+  if (value === null || value === undefined) return value;
+
+  switch (fieldConfig.type) {
+    case "Number": {
+      if (typeof value === "number") return value;
+      if (typeof value === "string" && value.trim() === "") return null;
+      const num = Number(value);
+      if (isNaN(num)) throw new Error("Number");
+      return num;
+    }
+    case "Boolean":
+      if (typeof value === "boolean") return value;
+      if (["true", "1", "yes", 1].includes(value)) return true;
+      if (["false", "0", "no", 0].includes(value)) return false;
+      throw new Error("Boolean");
+    case "Date": {
+      const date = value instanceof Date ? value : new Date(value);
+      if (isNaN(date.getTime())) throw new Error("Date");
+      return date;
+    }
+    case "ObjectId": {
+      const id = String(value);
+      if (!/^[0-9a-fA-F]{24}$/.test(id)) throw new Error("ObjectId");
+      return id;
+    }
+    case "Array":
+    case "Object":
+    case "Mixed":
+      return value;
+    default: {
+      if (typeof value === "object") throw new Error("String");
+      let str = String(value);
+      if (fieldConfig.trim) str = str.trim();
+      if (fieldConfig.lowercase) str = str.toLowerCase();
+      if (fieldConfig.uppercase) str = str.toUpperCase();
+      return str;
+    }
+  }
+};
+
+const resolveDefault = (value) => {
+  if (value === "Date.now") return new Date();
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return value;
+};
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+const validateField = (key, value, fieldConfig, errors) => {
+  if (fieldConfig.required && isEmpty(value)) {
+    errors.push(`Path \`${key}\` is required.`);
+    return;
+  }
+  if (value === undefined || value === null) return;
+
+  if (fieldConfig.enum && !fieldConfig.enum.includes(value)) {
+    errors.push(
+      `\`${value}\` is not a valid enum value for path \`${key}\`.`
+    );
+  }
+
+  const comparable = value instanceof Date ? value.getTime() : value;
+  const bound = (limit) =>
+    fieldConfig.type === "Date" ? new Date(limit).getTime() : limit;
+
+  if (fieldConfig.min !== undefined && comparable < bound(fieldConfig.min)) {
+    errors.push(
+      `Path \`${key}\` (${value}) is less than minimum allowed value (${fieldConfig.min}).`
+    );
+  }
+  if (fieldConfig.max !== undefined && comparable > bound(fieldConfig.max)) {
+    errors.push(
+      `Path \`${key}\` (${value}) is more than maximum allowed value (${fieldConfig.max}).`
+    );
+  }
+};
+
+/**
+ * Casts, applies defaults and validates a record
+ * @param {object} schema - Backend schema (config.schema)
+ * @param {object} data - Incoming record
+ * @param {object} options - { applyDefaults } - defaults only apply on create
+ * @returns {{ data: object, errors: string[] }}
+ */
+export const validateRecord = (schema, data, { applyDefaults = true } = {}) => {
+  const result = { ...data };
+  const errors = [];
+
+  for (const [key, val] of Object.entries(schema)) {
+    // Array shorthand: "field": [{ "type": "Number" }]
+    const isArrayField = Array.isArray(val);
+    const fieldConfig = isArrayField ? val[0] || {} : val;
+
+    if (result[key] === undefined && applyDefaults) {
+      if (fieldConfig.default !== undefined && !isArrayField) {
+        result[key] = resolveDefault(fieldConfig.default);
+      } else if (isArrayField) {
+        result[key] = [];
+      }
+    }
+
+    try {
+      if (isArrayField && result[key] !== undefined && result[key] !== null) {
+        const items = Array.isArray(result[key]) ? result[key] : [result[key]];
+        result[key] = items.map((item) => castValue(item, fieldConfig));
+      } else {
+        result[key] = castValue(result[key], fieldConfig);
+      }
+    } catch (castError) {
+      errors.push(
+        `Cast to ${castError.message} failed for value "${result[key]}" at path "${key}"`
+      );
+      continue;
+    }
+
+    if (result[key] === undefined) delete result[key];
+
+    if (isArrayField) {
+      // Like Mongoose, constraints on the shorthand apply to each element
+      (result[key] || []).forEach((item, idx) =>
+        validateField(`${key}.${idx}`, item, fieldConfig, errors)
+      );
+    } else {
+      validateField(key, result[key], fieldConfig, errors);
+    }
+  }
+
+  return { data: result, errors };
+};
+
+export default { validateRecord };
@@ -0,0 +1,194 @@
+import mongoose from "mongoose";
+import { hideFields } from "./projection.js";
+import { liveFilter } from "./softDelete.js";
+
+/**
+ * Reference fields between entities.
+ *
+ * A field points at another entity with "ref", matched on "refKey"
+ * ("_id" by default, or any field such as "id"):
+ *   "categoryId": { "type": "Number", "ref": "categories", "refKey": "id" }
+ *   "productIds": [{ "type": "Number", "ref": "products", "refKey": "id" }]
+ *
+ * Creates and updates check the referenced records exist, and read routes
+ * inline them with ?expand=categoryId,productIds.
+ */
+
+/**
+ * Lists the reference fields of a schema
+ * @param {object} schema - Backend schema (config.schema)
+ * @returns {object[]} - [{ field, entity, key, type, onDelete, many }]
+ */
+export const getReferences = (schema) =>
+  Object.entries(schema)
+    .map(([field, fieldConfig]) => {
+      const many = Array.isArray(fieldConfig);
+      const config = many ? fieldConfig[0] : fieldConfig;
+      if (!config?.ref) return null;
+      return {
+        field,
+        entity: config.ref,
+        key: config.refKey || "_id",
+        type: config.type,
+        onDelete: config.onDelete,
+        many,
+      };
+    })
+    .filter(Boolean);
+
+/**
+ * Checks ref declarations against the other entities
+ * @param {object} schema - Backend schema (config.schema)
+ * @param {object} entities - schema.record
+ * @returns {object[]} - { path, message }
+ */
+export const validateReferences = (schema, entities) => {
+  const errors = [];
+
+  for (const { field, entity, key } of getReferences(schema)) {
+    const target = entities[entity]?.backend?.schema;
+    if (!target) {
+      errors.push({
+        path: ["schema", field],
+        message: `Field "${field}" references unknown entity "${entity}"`,
+      });
+    } else if (key !== "_id" && !target[key]) {
+      errors.push({
+        path: ["schema", field],
+        message: `Field "${field}" references unknown key "${entity}.${key}"`,
+      });
+    }
+  }
+
+  return errors;
+};
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : [value]).filter(
+    (item) => item !== undefined && item !== null && item !== ""
+  );
+
+// Incoming values are cast later by validation; cast them here so the
+// lookup matches what will be stored
+const castValues = (values, type) =>
+  type === "Number"
+    ? values.map((value) => (isNaN(Number(value)) ? value : Number(value)))
+    : values;
+
+// Mongo would throw a CastError on malformed ObjectIds, so drop them up front
+const usableValues = (values, key) =>
+  key === "_id"
+    ? values.filter((value) => mongoose.isValidObjectId(value))
+    : values;
+
+// Trashed records don't count as targets
+const fetchByKey = async ({ store, config }, key, values) => {
+  const candidates = usableValues(values, key);
+  if (candidates.length === 0) return new Map();
+
+  const records = await store.find(
+    liveFilter(config, { [key]: { $in: candidates } })
+  );
+  return new Map(records.map((record) => [String(record[key]), record]));
+};
+
+/**
+ * Returns an error for every reference in data that has no target record
+ * @param {object} schema - Backend schema (config.schema)
+ * @param {object} data - Record being written, only present fields checked
+ * @param {function} resolve - entity name -> { store, config }
+ * @returns {Promise<string[]>}
+ */
+export const checkReferences = async (schema, data, resolve) => {
+  const errors = [];
+
+  for (const { field, entity, key, type } of getReferences(schema)) {
+    if (data[field] === undefined) continue;
+
+    const values = castValues(toList(data[field]), type);
+    const target = resolve(entity);
+    if (values.length === 0 || !target) continue;
+
+    const found = await fetchByKey(target, key, values);
+    for (const value of values) {
+      if (!found.has(String(value))) {
+        errors.push(`${field}: no ${entity} record with ${key} ${value}`);
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Parses expand= into reference descriptors
+ * @param {object} schema - Backend schema (config.schema)
+ * @param {string} expand - Comma-separated reference fields
+ * @param {string[]} errors - Collects error messages
+ * @returns {object[]}
+ */
+export const parseExpand = (schema, expand, errors = []) => {
+  if (expand === undefined || expand === "") return [];
+  if (typeof expand !== "string") {
+    errors.push("expand: must be a comma-separated list of fields");
+    return [];
+  }
+
+  const references = getReferences(schema);
+  const result = [];
+
+  for (const field of expand.split(",").map((f) => f.trim()).filter(Boolean)) {
+    const reference = references.find((ref) => ref.field === field);
+    if (reference) {
+      result.push(reference);
+    } else {
+      errors.push(`expand: "${field}" is not a reference field`);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Replaces reference values with the records they point at. Missing
+ * targets become null (single) or are left out (many).
+ * @param {object[]} records - Records to expand, already projected
+ * @param {object[]} references - From parseExpand
+ * @param {function} resolve - entity name -> { store, config }
+ * @returns {Promise<object[]>}
+ */
+export const expandRecords = async (records, references, resolve) => {
+  let result = records;
+
+  for (const { field, entity, key, many } of references) {
+    const target = resolve(entity);
+    if (!target) continue;
+
+    const values = result.flatMap((record) => toList(record[field]));
+    const found = await fetchByKey(target, key, values);
+    const lookup = (value) => {
+      const record = found.get(String(value));
+      return record ? hideFields(target.config, record) : null;
+    };
+
+    result = result.map((record) => {
+      if (record[field] === undefined || record[field] === null) return record;
+      return {
+        ...record,
+        [field]: many
+          ? toList(record[field]).map(lookup).filter(Boolean)
+          : lookup(record[field]),
+      };
+    });
+  }
+
+  return result;
+};
+
+export default {
+  getReferences,
+  validateReferences,
+  checkReferences,
+  parseExpand,
+  expandRecords,
+};
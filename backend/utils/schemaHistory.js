@@ -0,0 +1,158 @@
+import fs from "fs";
+
+/**
+ * Versioned history of applied schemas, persisted as a JSON file
+ */
+
+let historyPath = null;
+let versions = [];
+
+/**
+ * Loads history from disk. Falls back to an empty in-memory history.
+ * @param {string} filePath - Path of the history file
+ */
+export const initHistory = (filePath) => {
+  historyPath = filePath;
+  versions = [];
+
+  try {
+    if (fs.existsSync(filePath)) {
+      versions = JSON.parse(fs.readFileSync(filePath, "utf8")).versions || [];
+      console.log(`✅ Schema history loaded (${versions.length} versions)`);
+    }
+  } catch (err) {
+    console.warn("⚠️ Schema history load failed:", err.message);
+  }
+};
+
+const saveHistory = () => {
+  if (!historyPath) return false;
+
+  try {
+    fs.writeFileSync(historyPath, JSON.stringify({ versions }, null, 2));
+    return true;
+  } catch (err) {
+    console.warn("⚠️ Schema history save failed:", err.message);
+    return false;
+  }
+};
+
+const diffFields = (before = {}, after = {}) => {
+  const added = Object.keys(after).filter((f) => !(f in before));
+  const removed = Object.keys(before).filter((f) => !(f in after));
+  const changed = Object.keys(after)
+    .filter(
+      (f) =>
+        f in before && JSON.stringify(before[f]) !== JSON.stringify(after[f])
+    )
+    .map((f) => ({ field: f, from: before[f], to: after[f] }));
+
+  return { added, removed, changed };
+};
+
+/**
+ * Compares two schemas entity by entity
+ * @param {object} from - Older schema
+ * @param {object} to - Newer schema
+ * @returns {object} - Added, removed and changed entities with field details
+ */
+export const diffSchemas = (from = {}, to = {}) => {
+  const before = from.record || {};
+  const after = to.record || {};
+
+  const changed = [];
+  for (const entity of Object.keys(after)) {
+    if (!before[entity]) continue;
+    if (JSON.stringify(before[entity]) === JSON.stringify(after[entity])) {
+      continue;
+    }
+
+    const fields = diffFields(
+      before[entity].backend?.schema,
+      after[entity].backend?.schema
+    );
+
+    changed.push({
+      entity,
+      route:
+        before[entity].route !== after[entity].route
+          ? { from: before[entity].route, to: after[entity].route }
+          : undefined,
+      fields,
+      frontendChanged:
+        JSON.stringify(before[entity].frontend) !==
+        JSON.stringify(after[entity].frontend),
+    });
+  }
+
+  return {
+    added: Object.keys(after).filter((e) => !before[e]),
+    removed: Object.keys(before).filter((e) => !after[e]),
+    changed,
+  };
+};
+
+/**
+ * Builds a one-line summary such as "+tasks, -categories, ~products"
+ * @param {object} diff - Result of diffSchemas
+ * @returns {string}
+ */
+export const summarizeDiff = (diff) => {
+  const parts = [
+    ...diff.added.map((e) => `+${e}`),
+    ...diff.removed.map((e) => `-${e}`),
+    ...diff.changed.map((c) => `~${c.entity}`),
+  ];
+  return parts.length > 0 ? parts.join(", ") : "No changes";
+};
+
+/**
+ * Stores a schema as the next version
+ * @param {object} schema - Applied schema
+ * @param {object} meta - { author, summary }
+ * @returns {object} - The stored version entry
+ */
+export const recordVersion = (schema, { author, summary } = {}) => {
+  const previous = versions[versions.length - 1];
+  const diff = diffSchemas(previous?.schema, schema);
+
+  const entry = {
+    version: (previous?.version || 0) + 1,
+    author: author || "anonymous",
+    timestamp: new Date().toISOString(),
+    summary: summary || summarizeDiff(diff),
+    schema,
+  };
+
+  versions.push(entry);
+  saveHistory();
+
+  return entry;
+};
+
+/**
+ * Lists versions newest first, without the schema bodies
+ * @returns {object[]}
+ */
+export const listVersions = () =>
+  versions
+    .map(({ schema, ...meta }) => ({
+      ...meta,
+      entities: Object.keys(schema.record || {}),
+    }))
+    .reverse();
+
+export const getVersion = (version) =>
+  versions.find((v) => v.version === parseInt(version)) || null;
+
+export const getLatestVersion = () => versions[versions.length - 1] || null;
+
+export default {
+  initHistory,
+  diffSchemas,
+  summarizeDiff,
+  recordVersion,
+  listVersions,
+  getVersion,
+  getLatestVersion,
+};
@@ -1,52 +1,37 @@
+import { validateSchema as validateShared } from "../shared/schemaValidator.js";
+import { validateGenerators } from "./idGenerators.js";
+import { validateTransforms } from "./transforms.js";
+import { validateProjectionOptions } from "./projection.js";
+import { validateReferences } from "./references.js";
+import { validateDeletePolicies } from "./integrity.js";
+import { validateSoftDeleteOptions } from "./softDelete.js";
+import { validatePermissions } from "./permissions.js";
+
 /**
- * Utility functions for schema generation and validation
+ * Schema validation for POST /api/schema/update and
+ * POST /api/schema/validate: the rules in shared/schemaValidator.js,
+ * which the schema editor runs too, plus the checks of the storage
+ * options that need the backend's own modules.
  */
 
-export const validateSchema = (schema) => {
-  const errors = [];
-  const warnings = [];
-
-  if (!schema || typeof schema !== "object") {
-    errors.push("Schema must be an object");
-    return { valid: false, errors, warnings };
-  }
-
-  if (!schema.record || typeof schema.record !== "object") {
-    errors.push('Schema must contain a "record" object');
-    return { valid: false, errors, warnings };
-  }
-
-  if (Object.keys(schema.record).length === 0) {
-    warnings.push("Schema has no entities defined");
-  }
-
-  for (const [entityName, config] of Object.entries(schema.record)) {
-    if (!config.route) {
-      errors.push(`Missing "route" for entity: ${entityName}`);
-    } else if (!config.route.startsWith("/")) {
-      errors.push(`Route must start with "/" for entity: ${entityName}`);
-    }
+// Errors about one backend configuration, with paths from backend down
+const checkStorageOptions = (backend, { entities, formFields }) => [
+  ...validateGenerators(backend.schema),
+  ...validateTransforms(backend.schema),
+  ...validateProjectionOptions(backend),
+  ...validateReferences(backend.schema, entities),
+  ...validateDeletePolicies(backend),
+  ...validateSoftDeleteOptions(backend),
+  ...validatePermissions(backend, formFields),
+];
 
-    if (!config.backend || typeof config.backend !== "object") {
-      errors.push(`Missing "backend" configuration for entity: ${entityName}`);
-    } else {
-      if (!config.backend.schema || typeof config.backend.schema !== "object") {
-        errors.push(`Missing "backend.schema" for entity: ${entityName}`);
-      }
-    }
-
-    if (!config.frontend || typeof config.frontend !== "object") {
-      warnings.push(
-        `Missing "frontend" configuration for entity: ${entityName}`
-      );
-    }
-  }
-
-  return {
-    valid: errors.length === 0,
-    errors,
-    warnings,
-  };
-};
+/**
+ * Validates a schema ({ record: { entity: { route, backend, frontend } } })
+ * @param {object} schema
+ * @returns {object} - { valid, issues, errors, warnings }; see
+ *   shared/schemaValidator.js
+ */
+export const validateSchema = (schema) =>
+  validateShared(schema, { checkBackend: checkStorageOptions });
 
 export default { validateSchema };
@@ -0,0 +1,105 @@
+/**
+ * Soft delete for entities that opt in through backend.options:
+ *   "softDelete": true
+ *   "softDelete": { "retentionDays": 7 }
+ *
+ * DELETE /:id then sets deletedAt instead of removing the record. Trashed
+ * records drop out of every normal read and are purged for good after
+ * retentionDays (default 30; 0 keeps them until purged by hand).
+ */
+
+export const DEFAULT_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the soft delete settings of an entity
+ * @param {object} config - Backend configuration (config.backend)
+ * @returns {{ retentionDays: number }|null} - null when disabled
+ */
+export const getSoftDelete = (config) => {
+  const option = config.options?.softDelete;
+  if (!option) return null;
+  return {
+    retentionDays: option.retentionDays ?? DEFAULT_RETENTION_DAYS,
+  };
+};
+
+/**
+ * Checks the softDelete option
+ * @param {object} config - Backend configuration (config.backend)
+ * @returns {object[]} - { path, message }
+ */
+export const validateSoftDeleteOptions = (config) => {
+  const option = config.options?.softDelete;
+  if (option === undefined || typeof option === "boolean") return [];
+
+  if (typeof option !== "object" || option === null || Array.isArray(option)) {
+    return [
+      {
+        path: ["options", "softDelete"],
+        message: '"options.softDelete" must be true, false or an object',
+      },
+    ];
+  }
+
+  const { retentionDays } = option;
+  if (
+    retentionDays !== undefined &&
+    (typeof retentionDays !== "number" || retentionDays < 0)
+  ) {
+    return [
+      {
+        path: ["options", "softDelete", "retentionDays"],
+        message:
+          '"options.softDelete.retentionDays" must be a number of days >= 0',
+      },
+    ];
+  }
+  return [];
+};
+
+export const isTrashed = (record) =>
+  record?.deletedAt !== undefined && record?.deletedAt !== null;
+
+/**
+ * Narrows a filter to records that are not in the trash
+ * @param {object} config - Backend configuration (config.backend)
+ * @param {object} filter
+ * @returns {object}
+ */
+export const liveFilter = (config, filter = {}) =>
+  getSoftDelete(config) ? { $and: [filter, { deletedAt: null }] } : filter;
+
+/**
+ * Narrows a filter to trashed records
+ * @param {object} filter
+ * @returns {object}
+ */
+export const trashFilter = (filter = {}) => ({
+  $and: [filter, { deletedAt: { $ne: null } }],
+});
+
+/**
+ * Filter for trashed records past their retention period
+ * @param {object} config - Backend configuration (config.backend)
+ * @param {Date} now
+ * @returns {object|null} - null when nothing expires
+ */
+export const expiredFilter = (config, now = new Date()) => {
+  const softDelete = getSoftDelete(config);
+  if (!softDelete?.retentionDays) return null;
+
+  const cutoff = new Date(now.getTime() - softDelete.retentionDays * DAY_MS);
+  return trashFilter({ deletedAt: { $lt: cutoff } });
+};
+
+export default {
+  DEFAULT_RETENTION_DAYS,
+  getSoftDelete,
+  validateSoftDeleteOptions,
+  isTrashed,
+  liveFilter,
+  trashFilter,
+  expiredFilter,
+};
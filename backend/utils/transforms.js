@@ -0,0 +1,241 @@
+/**
+ * Declarative input transforms for backend.schema fields.
+ *
+ * A field declares a pipeline that runs on create, PUT and PATCH before
+ * validation. Steps are a name, a name with an argument after a colon, or
+ * an object with options:
+ *   "transform": "trim"
+ *   "transform": ["split:,", "trim", "compact", "toInt"]
+ *   "transform": [{ "name": "toDate", "formats": ["DD/MM/YYYY"] }]
+ *
+ * Scalar steps applied to an array run on each element.
+ */
+
+class TransformError extends Error {}
+
+const fail = (message) => {
+  throw new TransformError(message);
+};
+
+const DATE_FORMATS = {
+  "YYYY-MM-DD": /^(?<y>\d{4})-(?<m>\d{1,2})-(?<d>\d{1,2})$/,
+  "DD/MM/YYYY": /^(?<d>\d{1,2})\/(?<m>\d{1,2})\/(?<y>\d{4})$/,
+  "MM/DD/YYYY": /^(?<m>\d{1,2})\/(?<d>\d{1,2})\/(?<y>\d{4})$/,
+  "DD-MM-YYYY": /^(?<d>\d{1,2})-(?<m>\d{1,2})-(?<y>\d{4})$/,
+  "DD.MM.YYYY": /^(?<d>\d{1,2})\.(?<m>\d{1,2})\.(?<y>\d{4})$/,
+  "YYYY/MM/DD": /^(?<y>\d{4})\/(?<m>\d{1,2})\/(?<d>\d{1,2})$/,
+};
+
+const parseWithFormat = (value, format) => {
+  if (format === "unix") return new Date(Number(value) * 1000);
+  if (format === "unixMs") return new Date(Number(value));
+  if (format === "ISO") return new Date(value);
+
+  const match = DATE_FORMATS[format]?.exec(value);
+  if (!match) return null;
+
+  const { y, m, d } = match.groups;
+  const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  // Reject rollovers such as 31/02/2024
+  return date.getUTCMonth() === Number(m) - 1 ? date : null;
+};
+
+const toDate = (value, options) => {
+  if (value instanceof Date) return value;
+
+  const str = String(value).trim();
+  const formats =
+    options.formats || (options.arg ? [options.arg] : ["ISO", "unixMs"]);
+
+  for (const format of formats) {
+    if (format === "ISO" && !/^\d{4}-\d{2}-\d{2}/.test(str)) continue;
+    if (format.startsWith("unix") && !/^\d+$/.test(str)) continue;
+
+    const date = parseWithFormat(str, format);
+    if (date && !isNaN(date.getTime())) return date;
+  }
+
+  return fail(`"${str}" is not a date in format ${formats.join(" or ")}`);
+};
+
+const TRUE_VALUES = ["true", "yes", "y", "1", "on"];
+const FALSE_VALUES = ["false", "no", "n", "0", "off", ""];
+
+const toBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+
+  const str = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(str)) return true;
+  if (FALSE_VALUES.includes(str)) return false;
+  return fail(`"${value}" is not a boolean`);
+};
+
+const toNumber = (value) => {
+  if (typeof value === "number") return value;
+
+  const str = String(value).trim();
+  const num = Number(str);
+  if (str === "" || isNaN(num)) fail(`"${value}" is not a number`);
+  return num;
+};
+
+const toInt = (value) => {
+  const num = toNumber(value);
+  if (!Number.isInteger(num)) fail(`"${value}" is not an integer`);
+  return num;
+};
+
+// Normalises to +<country><number>; "00" prefixes become "+"
+const phone = (value, options) => {
+  let str = String(value).trim().replace(/[\s\-().]/g, "");
+  if (str.startsWith("00")) str = `+${str.slice(2)}`;
+
+  if (!str.startsWith("+")) {
+    const countryCode = options.defaultCountryCode || options.arg;
+    if (!countryCode) fail(`"${value}" has no country code`);
+    str = `+${countryCode}${str.replace(/^0+/, "")}`;
+  }
+
+  if (!/^\+\d{7,15}$/.test(str)) {
+    fail(`"${value}" is not a valid phone number`);
+  }
+  return str;
+};
+
+/**
+ * Built-in transforms. "array" ones receive the whole value, the rest run
+ * per element when the value is an array.
+ */
+export const TRANSFORMS = {
+  trim: { run: (v) => (typeof v === "string" ? v.trim() : v) },
+  lowercase: { run: (v) => (typeof v === "string" ? v.toLowerCase() : v) },
+  uppercase: { run: (v) => (typeof v === "string" ? v.toUpperCase() : v) },
+  collapseWhitespace: {
+    run: (v) => (typeof v === "string" ? v.replace(/\s+/g, " ").trim() : v),
+  },
+  nullIfEmpty: {
+    run: (v) => (typeof v === "string" && v.trim() === "" ? null : v),
+  },
+  toString: { run: (v) => (v === null ? v : String(v)) },
+  toNumber: { run: toNumber },
+  toInt: { run: toInt },
+  toFloat: { run: toNumber },
+  toBoolean: { run: toBoolean },
+  toDate: { run: toDate },
+  phone: { run: phone },
+  round: {
+    run: (v, options) => {
+      const factor = 10 ** Number(options.decimals ?? options.arg ?? 0);
+      return Math.round(toNumber(v) * factor) / factor;
+    },
+  },
+  split: {
+    array: true,
+    run: (v, options) => {
+      if (Array.isArray(v)) return v;
+      return String(v).split(options.separator ?? options.arg ?? ",");
+    },
+  },
+  join: {
+    array: true,
+    run: (v, options) =>
+      Array.isArray(v) ? v.join(options.separator ?? options.arg ?? ",") : v,
+  },
+  compact: {
+    array: true,
+    run: (v) =>
+      Array.isArray(v)
+        ? v.filter(
+            (item) =>
+              item !== null &&
+              item !== undefined &&
+              !(typeof item === "string" && item.trim() === "")
+          )
+        : v,
+  },
+  unique: {
+    array: true,
+    run: (v) => (Array.isArray(v) ? [...new Set(v)] : v),
+  },
+};
+
+const getTransform = (name) =>
+  Object.hasOwn(TRANSFORMS, name) ? TRANSFORMS[name] : null;
+
+const parseStep = (step) => {
+  if (typeof step === "string") {
+    const idx = step.indexOf(":");
+    return idx === -1
+      ? { name: step }
+      : { name: step.slice(0, idx), arg: step.slice(idx + 1) };
+  }
+  return step || {};
+};
+
+const getSteps = (fieldConfig) => {
+  // Array shorthand keeps its options on the element definition
+  const config = Array.isArray(fieldConfig) ? fieldConfig[0] : fieldConfig;
+  const { transform } = config || {};
+  if (!transform) return [];
+  return (Array.isArray(transform) ? transform : [transform]).map(parseStep);
+};
+
+/**
+ * Checks transform declarations and returns error messages
+ * @param {object} schema - Backend schema (config.schema)
+ * @returns {object[]} - { path, message }
+ */
+export const validateTransforms = (schema) => {
+  const errors = [];
+
+  for (const [field, fieldConfig] of Object.entries(schema)) {
+    for (const step of getSteps(fieldConfig)) {
+      if (!getTransform(step.name)) {
+        errors.push({
+          path: ["schema", field],
+          message: `Unknown transform "${step.name}" on field "${field}"`,
+        });
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Runs every field's transform pipeline on the fields present in data
+ * @param {object} schema - Backend schema (config.schema)
+ * @param {object} data - Incoming record
+ * @returns {{ data: object, errors: string[] }}
+ */
+export const applyTransforms = (schema, data) => {
+  const result = { ...data };
+  const errors = [];
+
+  for (const [field, fieldConfig] of Object.entries(schema)) {
+    if (result[field] === undefined) continue;
+
+    for (const step of getSteps(fieldConfig)) {
+      const transform = getTransform(step.name);
+      const value = result[field];
+
+      try {
+        if (!transform) fail(`unknown transform "${step.name}"`);
+        if (value === null && step.name !== "nullIfEmpty") continue;
+
+        result[field] =
+          Array.isArray(value) && !transform.array
+            ? value.map((item) => transform.run(item, step))
+            : transform.run(value, step);
+      } catch (error) {
+        if (!(error instanceof TransformError)) throw error;
+        errors.push(`${field}: ${step.name} failed - ${error.message}`);
+        break;
+      }
+    }
+  }
+
+  return { data: result, errors };
+};
+
+export default { TRANSFORMS, validateTransforms, applyTransforms };
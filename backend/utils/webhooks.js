@@ -0,0 +1,439 @@
+import { createHmac, randomBytes, randomUUID } from "crypto";
+import { EVENT_FOR_ACTION, presentEntry } from "./audit.js";
+
+/**
+ * Outgoing webhooks for record lifecycle events.
+ *
+ * Subscriptions name the events they want as "<entity>.<event>", with "*"
+ * for any entity or event ("orders.created", "products.*", "*.deleted"):
+ *   created  a record was created
+ *   updated  a record changed, was reverted or came back from the trash
+ *   deleted  a record was trashed or deleted
+ * With fields set, a subscription only hears updated events that change
+ * one of those fields.
+ *
+ * Events come from the audit log, so every route that writes (single,
+ * bulk, import, revert, trash, cascades) sends them. Each delivery POSTs
+ *   { id, event, entity, action, recordId, data, changes, actor,
+ *     requestId, timestamp }
+ * signed with the subscription's secret:
+ *   X-Webhook-Timestamp: unix seconds
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ * Non-2xx answers, timeouts and network errors are retried with
+ * exponential backoff; after the last attempt the delivery has failed.
+ *
+ * Environment: WEBHOOK_MAX_ATTEMPTS (default 6), WEBHOOK_RETRY_BASE_MS
+ * (default 30000, doubled for each retry), WEBHOOK_TIMEOUT_MS (default
+ * 10000).
+ */
+
+export const WEBHOOK_EVENTS = ["created", "updated", "deleted"];
+export const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+// Backend configurations of the internal webhook stores
+export const WEBHOOK_CONFIG = {
+  schema: {
+    url: { type: "String", required: true },
+    events: { type: "Array" },
+    fields: { type: "Array" },
+    secret: { type: "String", required: true },
+    active: { type: "Boolean" },
+    description: { type: "String" },
+  },
+};
+
+export const DELIVERY_CONFIG = {
+  schema: {
+    webhookId: { type: "String", required: true },
+    event: { type: "String", required: true },
+    entity: { type: "String" },
+    recordId: { type: "String" },
+    payload: { type: "Object" },
+    status: { type: "String", required: true },
+    attempts: { type: "Array" },
+    nextAttemptAt: { type: "Date" },
+    deliveredAt: { type: "Date" },
+  },
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Response bodies are kept in the log up to this length
+const MAX_RESPONSE_LENGTH = 500;
+
+const EVENT_PATTERN = /^(\*|[\w-]+)\.(\*|created|updated|deleted)$/;
+
+/**
+ * Checks a subscription body
+ * @param {object} body - { url, events, fields, secret, active, description }
+ * @param {string[]} entities - Entity names of the current schema
+ * @param {object} options - { partial } for updates, where all are optional
+ * @returns {string[]}
+ */
+export const validateWebhook = (body, entities, { partial = false } = {}) => {
+  const { url, events, fields, secret, active, description } = body || {};
+  const errors = [];
+
+  if (!partial || url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {
+      // Reported below
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      errors.push("url: expected an http or https URL");
+    }
+  }
+
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      errors.push("events: expected a non-empty array");
+    } else {
+      for (const event of events) {
+        const match = typeof event === "string" && event.match(EVENT_PATTERN);
+        if (!match) {
+          errors.push(
+            `events: "${event}" should look like <entity>.<${WEBHOOK_EVENTS.join("|")}>`
+          );
+        } else if (match[1] !== "*" && !entities.includes(match[1])) {
+          errors.push(`events: unknown entity "${match[1]}"`);
+        }
+      }
+    }
+  }
+
+  if (
+    fields !== undefined &&
+    (!Array.isArray(fields) || !fields.every((f) => typeof f === "string"))
+  ) {
+    errors.push("fields: expected an array of field names");
+  }
+  if (
+    secret !== undefined &&
+    (typeof secret !== "string" || secret.length < 16)
+  ) {
+    errors.push("secret: expected at least 16 characters");
+  }
+  if (active !== undefined && typeof active !== "boolean") {
+    errors.push("active: expected true or false");
+  }
+  if (description !== undefined && typeof description !== "string") {
+    errors.push("description: expected a string");
+  }
+
+  return errors;
+};
+
+export const generateSecret = () => `whsec_${randomBytes(24).toString("hex")}`;
+
+/**
+ * Shapes a subscription for responses. The secret is only shown when it
+ * is set, otherwise its last characters hint at which one is in use.
+ * @param {object} webhook
+ * @param {object} options - { withSecret }
+ * @returns {object}
+ */
+export const presentWebhook = (webhook, { withSecret = false } = {}) => {
+  const { secret, ...rest } = webhook;
+  return withSecret
+    ? { ...rest, secret }
+    : { ...rest, secretHint: `…${String(secret).slice(-4)}` };
+};
+
+/**
+ * Signature header value for a payload
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - The exact JSON sent
+ * @returns {string}
+ */
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+/**
+ * Whether a subscription hears an event
+ * @param {object} webhook
+ * @param {string} event - "<entity>.<event>"
+ * @param {object[]} changes - [{ field }] of the audit entry
+ * @returns {boolean}
+ */
+export const matchesWebhook = (webhook, event, changes = []) => {
+  if (webhook.active === false) return false;
+
+  const [entity, name] = event.split(".");
+  const listens = (webhook.events || []).some((pattern) => {
+    const [patternEntity, patternName] = pattern.split(".");
+    return (
+      (patternEntity === "*" || patternEntity === entity) &&
+      (patternName === "*" || patternName === name)
+    );
+  });
+  if (!listens) return false;
+
+  if (name !== "updated" || !webhook.fields?.length) return true;
+  return changes.some(({ field }) => webhook.fields.includes(field));
+};
+
+// Wait before the attempt after the given number of failed ones
+export const retryDelay = (failedAttempts) =>
+  RETRY_BASE_MS * 2 ** (failedAttempts - 1);
+
+/**
+ * Builds the delivery log filter
+ * @param {object} query - { webhookId, event, entity, recordId, status,
+ *   since, until }
+ * @param {string[]} errors - Collects error messages
+ * @returns {object}
+ */
+export const buildDeliveryFilter = (query, errors = []) => {
+  const conditions = [];
+
+  for (const key of ["webhookId", "event", "entity", "recordId"]) {
+    if (typeof query[key] === "string" && query[key] !== "") {
+      conditions.push({ [key]: query[key] });
+    }
+  }
+
+  if (query.status !== undefined) {
+    const statuses = String(query.status).split(",");
+    if (statuses.some((s) => !DELIVERY_STATUSES.includes(s))) {
+      errors.push(`status: expected one of ${DELIVERY_STATUSES.join(", ")}`);
+    }
+    conditions.push({ status: { $in: statuses } });
+  }
+
+  for (const [key, op] of [
+    ["since", "$gte"],
+    ["until", "$lte"],
+  ]) {
+    if (query[key] === undefined) continue;
+    const date = new Date(query[key]);
+    if (isNaN(date.getTime())) {
+      errors.push(`${key}: expected a date`);
+    } else {
+      conditions.push({ createdAt: { [op]: date } });
+    }
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+/**
+ * Queues events for matching subscriptions and delivers them, retrying
+ * failures. Pending retries are timers, so resume() picks them up again
+ * after a restart.
+ * @param {object} options - {
+ *     webhooks    storage adapter of the subscriptions
+ *     deliveries  storage adapter of the delivery log
+ *     getConfig   entity name -> backend configuration, for hiddenFields
+ *   }
+ * @returns {object} - { notify, deliver, redeliver, ping, resume }
+ */
+export const createWebhookDispatcher = ({
+  webhooks,
+  deliveries,
+  getConfig,
+}) => {
+  const inFlight = new Set();
+
+  const post = async (webhook, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const at = new Date();
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "DynamicForm-Webhooks",
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Delivery": String(delivery._id),
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": signPayload(webhook.secret, timestamp, body),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      const text = await response.text().catch(() => "");
+
+      return {
+        at,
+        statusCode: response.status,
+        durationMs: Date.now() - at.getTime(),
+        response: text.slice(0, MAX_RESPONSE_LENGTH),
+      };
+    } catch (error) {
+      return {
+        at,
+        statusCode: null,
+        durationMs: Date.now() - at.getTime(),
+        error:
+          error.name === "TimeoutError"
+            ? `No answer within ${TIMEOUT_MS} ms`
+            : error.cause?.message || error.message,
+      };
+    }
+  };
+
+  const schedule = (delivery) => {
+    const delay = Math.max(0, new Date(delivery.nextAttemptAt) - Date.now());
+    setTimeout(() => deliver(String(delivery._id)), delay).unref();
+  };
+
+  /**
+   * Makes one attempt at a pending delivery
+   * @param {string} id - Delivery _id
+   * @returns {Promise<object|null>} - The delivery after the attempt
+   */
+  const deliver = async (id) => {
+    if (inFlight.has(id)) return null;
+    inFlight.add(id);
+
+    try {
+      const delivery = await deliveries.get(id, []);
+      if (delivery?.status !== "pending") return delivery;
+
+      const webhook = await webhooks.get(delivery.webhookId, []);
+      const attempt = webhook
+        ? await post(webhook, delivery)
+        : { at: new Date(), statusCode: null, error: "Webhook was removed" };
+      const attempts = [...(delivery.attempts || []), attempt];
+      const ok = attempt.statusCode >= 200 && attempt.statusCode < 300;
+
+      let changes;
+      if (ok) {
+        changes = { status: "succeeded", deliveredAt: attempt.at };
+      } else if (!webhook || attempts.length >= MAX_ATTEMPTS) {
+        changes = { status: "failed" };
+      } else {
+        changes = {
+          nextAttemptAt: new Date(Date.now() + retryDelay(attempts.length)),
+        };
+      }
+
+      const updated = await deliveries.update(
+        id,
+        { attempts, nextAttemptAt: null, ...changes },
+        []
+      );
+      if (updated.status === "pending") {
+        schedule(updated);
+      } else if (updated.status === "failed") {
+        console.warn(
+          `⚠️ Webhook delivery ${id} (${delivery.event}) failed after ${attempts.length} attempts`
+        );
+      }
+      return updated;
+    } catch (error) {
+      console.error(`❌ Error delivering webhook ${id}:`, error);
+      return null;
+    } finally {
+      inFlight.delete(id);
+    }
+  };
+
+  const queue = async (webhook, event, payload, record = {}) => {
+    const delivery = await deliveries.create({
+      webhookId: String(webhook._id),
+      event,
+      entity: record.entity,
+      recordId: record.recordId,
+      payload,
+      status: "pending",
+      attempts: [],
+      nextAttemptAt: new Date(),
+    });
+    return deliver(String(delivery._id));
+  };
+
+  /**
+   * Sends an audit entry to the subscriptions that hear it; never throws
+   * @param {object} entry - Audit entry
+   */
+  const notify = async (entry) => {
+    const name = EVENT_FOR_ACTION[entry.action];
+    if (!name) return;
+    const event = `${entry.entity}.${name}`;
+
+    try {
+      const subscribers = (await webhooks.find({ active: true })).filter(
+        (webhook) => matchesWebhook(webhook, event, entry.changes)
+      );
+      if (subscribers.length === 0) return;
+
+      // Same fields as the audit endpoints show
+      const { snapshot, changes } = presentEntry(
+        entry,
+        getConfig(entry.entity)
+      );
+      const payload = {
+        id: randomUUID(),
+        event,
+        entity: entry.entity,
+        action: entry.action,
+        recordId: entry.recordId,
+        data: snapshot ?? null,
+        changes,
+        actor: entry.actor,
+        requestId: entry.requestId,
+        timestamp: entry.timestamp,
+      };
+
+      await Promise.all(
+        subscribers.map((webhook) => queue(webhook, event, payload, entry))
+      );
+    } catch (error) {
+      console.error(`❌ Failed to queue webhooks for ${event}:`, error);
+    }
+  };
+
+  // Another attempt at a delivery, even one that has failed for good
+  const redeliver = async (id) => {
+    const delivery = await deliveries.update(
+      id,
+      { status: "pending", nextAttemptAt: new Date() },
+      []
+    );
+    return delivery && deliver(id);
+  };
+
+  // Sends a "ping" event so a receiver can be checked before real events
+  const ping = (webhook) =>
+    queue(webhook, "ping", {
+      id: randomUUID(),
+      event: "ping",
+      webhookId: String(webhook._id),
+      timestamp: new Date(),
+    });
+
+  // Re-arms the retries of pending deliveries, after a restart
+  const resume = async () => {
+    const pending = await deliveries.find({ status: "pending" });
+    pending.forEach(schedule);
+    return pending.length;
+  };
+
+  return { notify, deliver, redeliver, ping, resume };
+};
+
+export default {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  WEBHOOK_CONFIG,
+  DELIVERY_CONFIG,
+  validateWebhook,
+  generateSecret,
+  presentWebhook,
+  signPayload,
+  matchesWebhook,
+  retryDelay,
+  buildDeliveryFilter,
+  createWebhookDispatcher,
+};
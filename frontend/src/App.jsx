@@ -1,8 +1,28 @@
-import React from "react";
+import React, { useState, useEffect } from "react";
 import DynamicFormSystem from "./components/DynamicFormSystem";
-import { Toaster } from "react-hot-toast";
+import LoginScreen from "./components/LoginScreen";
+import { Toaster, toast } from "react-hot-toast";
+import { apiService, getSession, onSessionEnd } from "./services/api";
 
 function App() {
+  const [user, setUser] = useState(() => getSession()?.user || null);
+
+  // The API client ends the session when a token can't be refreshed
+  useEffect(() => {
+    if (!user) return undefined;
+    return onSessionEnd(() => {
+      toast.error("Your session ended, please sign in again", {
+        id: "session-end",
+      });
+      setUser(null);
+    });
+  }, [user]);
+
+  const handleLogout = async () => {
+    await apiService.logout();
+    setUser(null);
+  };
+
   return (
     <div className="App">
       <Toaster
@@ -16,7 +36,11 @@ function App() {
           duration: 4000,
         }}
       />
-      <DynamicFormSystem />
+      {user ? (
+        <DynamicFormSystem user={user} onLogout={handleLogout} />
+      ) : (
+        <LoginScreen onAuthenticated={setUser} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,198 @@
+import React, { useState } from "react";
+import { X, Save, AlertTriangle } from "lucide-react";
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+// Empty inputs and missing fields count as the same value
+const normalize = (value) =>
+  value === undefined || value === null || value === ""
+    ? null
+    : JSON.stringify(value);
+
+const differs = (a, b) => normalize(a) !== normalize(b);
+
+// Shown when an update hits 412: someone saved the record after the form
+// loaded it. Lists the form fields where the user's values and the latest
+// ones disagree and saves whichever side is picked for each.
+const ConflictDialog = ({
+  config,
+  base,
+  mine,
+  theirs,
+  onResolve,
+  onCancel,
+}) => {
+  const fields = (config?.frontend?.fields || []).filter((field) =>
+    differs(mine[field.name], theirs[field.name])
+  );
+
+  // Fields the user edited keep their value, the rest take the latest
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(
+      fields.map((field) => [
+        field.name,
+        differs(mine[field.name], base?.[field.name]) ? "mine" : "theirs",
+      ])
+    )
+  );
+
+  const chooseAll = (side) =>
+    setChoices(Object.fromEntries(fields.map((field) => [field.name, side])));
+
+  const handleSave = () => {
+    const values = { ...theirs };
+    for (const field of fields) {
+      if (choices[field.name] === "mine") {
+        values[field.name] = mine[field.name];
+      }
+    }
+    onResolve(values);
+  };
+
+  const optionClass = (selected) =>
+    `w-full text-left px-3 py-2 rounded-lg border-2 transition break-all ${
+      selected
+        ? "border-indigo-500 bg-indigo-50 text-gray-900"
+        : "border-transparent text-gray-500 hover:bg-gray-50"
+    }`;
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/50 backdrop-blur-md px-4">
+      <div className="w-full max-w-3xl max-h-[90vh] overflow-y-auto rounded-3xl bg-white shadow-[0_20px_60px_rgba(0,0,0,0.25)] animate-scaleIn">
+        {/* Header */}
+        <div className="flex items-start justify-between px-8 py-6 border-b bg-gradient-to-r from-amber-50 to-orange-50 rounded-t-3xl">
+          <div className="flex gap-3">
+            <AlertTriangle className="text-amber-500 mt-1" size={24} />
+            <div>
+              <h3 className="text-2xl font-semibold text-gray-900 tracking-tight">
+                This record was changed
+              </h3>
+              <p className="text-sm text-gray-600 mt-1">
+                Someone saved it while you were editing. Pick which value to
+                keep for each field.
+              </p>
+            </div>
+          </div>
+
+          <button
+            onClick={onCancel}
+            className="rounded-xl p-2 text-gray-500 hover:bg-white hover:text-gray-800 transition"
+          >
+            <X size={22} />
+          </button>
+        </div>
+
+        <div className="px-8 py-8 space-y-6">
+          {fields.length === 0 ? (
+            <p className="text-sm text-gray-600">
+              Your values match the latest version, so saving keeps both.
+            </p>
+          ) : (
+            <>
+              <div className="flex justify-end gap-2 text-sm">
+                <button
+                  type="button"
+                  onClick={() => chooseAll("mine")}
+                  className="px-3 py-1 rounded-lg text-indigo-700 hover:bg-indigo-50"
+                >
+                  Keep all mine
+                </button>
+                <button
+                  type="button"
+                  onClick={() => chooseAll("theirs")}
+                  className="px-3 py-1 rounded-lg text-indigo-700 hover:bg-indigo-50"
+                >
+                  Take all latest
+                </button>
+              </div>
+
+              <div className="overflow-x-auto border border-gray-200 rounded-xl">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left font-semibold text-gray-700">
+                        Field
+                      </th>
+                      <th className="px-4 py-3 text-left font-semibold text-gray-700">
+                        Your value
+                      </th>
+                      <th className="px-4 py-3 text-left font-semibold text-gray-700">
+                        Latest value
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {fields.map((field) => (
+                      <tr key={field.name} className="border-t align-top">
+                        <td className="px-4 py-3 font-medium text-gray-700">
+                          {field.label || field.name}
+                        </td>
+                        <td className="px-4 py-2">
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setChoices((prev) => ({
+                                ...prev,
+                                [field.name]: "mine",
+                              }))
+                            }
+                            className={optionClass(
+                              choices[field.name] === "mine"
+                            )}
+                          >
+                            {formatValue(mine[field.name])}
+                          </button>
+                        </td>
+                        <td className="px-4 py-2">
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setChoices((prev) => ({
+                                ...prev,
+                                [field.name]: "theirs",
+                              }))
+                            }
+                            className={optionClass(
+                              choices[field.name] === "theirs"
+                            )}
+                          >
+                            {formatValue(theirs[field.name])}
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {/* Actions */}
+          <div className="flex flex-col-reverse sm:flex-row justify-end gap-4 pt-6 border-t">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-xl font-semibold hover:bg-gray-50 transition"
+            >
+              Back to form
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              className="flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-xl font-semibold hover:shadow-lg transition"
+            >
+              <Save size={18} />
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
@@ -1,4 +1,4 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
 import {
   Edit2,
   Trash2,
@@ -11,9 +11,94 @@ import {
   Calendar,
   Hash,
 } from "lucide-react";
+import { apiService } from "../services/api";
+import { can, getHiddenFields } from "../utils/permissions";
 
-const DataTable = ({ config = {}, data = [], onEdit, onDelete }) => {
-  const columns = config?.frontend?.columns || [];
+const HIGHLIGHT_MS = 3000;
+const NO_ROWS = [];
+
+const HIGHLIGHT_CLASSES = {
+  created: "bg-green-100",
+  updated: "bg-amber-100",
+};
+
+// Applies a change event to the rows: replaces the record's row, drops it
+// once it no longer matches, and puts records new to the view on top
+const mergeChange = (rows, event, { addNew, limit }) => {
+  const index = rows.findIndex((row) => String(row._id) === event.recordId);
+
+  if (!event.matches) {
+    return index === -1 ? rows : rows.filter((_, i) => i !== index);
+  }
+  if (index !== -1) {
+    return rows.map((row, i) => (i === index ? event.data : row));
+  }
+  return addNew ? [event.data, ...rows].slice(0, limit) : rows;
+};
+
+/**
+ * Records of an entity as a table. With live, changes other people make
+ * are merged in as they happen and the rows they touch light up briefly.
+ * live: { entity, search, addNew (records new to the list go on top, for
+ * the first page), limit (rows to keep) }
+ */
+const DataTable = ({
+  config = {},
+  data = NO_ROWS,
+  user,
+  live,
+  onEdit,
+  onDelete,
+  onView,
+}) => {
+  // The server leaves hidden fields out, so their columns would be empty
+  const hiddenFields = getHiddenFields(config, user);
+  const columns = (config?.frontend?.columns || []).filter(
+    (col) => !hiddenFields.includes(col.accessor)
+  );
+
+  // Fetched rows with live changes merged in, until the next fetch
+  const [rows, setRows] = useState(data);
+  const [fetched, setFetched] = useState(data);
+  if (fetched !== data) {
+    setFetched(data);
+    setRows(data);
+  }
+
+  // _id -> event type of rows changed in the last few seconds
+  const [highlighted, setHighlighted] = useState({});
+
+  const { entity, search, addNew = false, limit } = live || {};
+
+  useEffect(() => {
+    if (!entity) return;
+    const timers = new Set();
+
+    const unsubscribe = apiService.subscribeToChanges(
+      entity,
+      { search },
+      (event) => {
+        setRows((prev) => mergeChange(prev, event, { addNew, limit }));
+        if (!event.matches) return;
+
+        setHighlighted((prev) => ({ ...prev, [event.recordId]: event.type }));
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          setHighlighted((prev) => {
+            const next = { ...prev };
+            delete next[event.recordId];
+            return next;
+          });
+        }, HIGHLIGHT_MS);
+        timers.add(timer);
+      }
+    );
+
+    return () => {
+      unsubscribe();
+      timers.forEach(clearTimeout);
+    };
+  }, [entity, search, addNew, limit]);
 
   // =========================
   // Format Cell Value
@@ -101,7 +186,7 @@ const DataTable = ({ config = {}, data = [], onEdit, onDelete }) => {
 
           {/* ================= BODY ================= */}
           <tbody className="divide-y divide-gray-100">
-            {data.length === 0 ? (
+            {rows.length === 0 ? (
               <tr>
                 <td
                   colSpan={columns.length + 1}
@@ -117,11 +202,12 @@ const DataTable = ({ config = {}, data = [], onEdit, onDelete }) => {
                 </td>
               </tr>
             ) : (
-              data.map((item, rowIndex) => (
+              rows.map((item, rowIndex) => (
                 <tr
-                  key={item.id || rowIndex}
-                  className={`hover:bg-blue-50/50 ${
-                    rowIndex % 2 === 0 ? "bg-white" : "bg-gray-50/50"
+                  key={item._id || item.id || rowIndex}
+                  className={`hover:bg-blue-50/50 transition-colors duration-700 ${
+                    HIGHLIGHT_CLASSES[highlighted[item._id]] ||
+                    (rowIndex % 2 === 0 ? "bg-white" : "bg-gray-50/50")
                   }`}
                 >
                   {columns.map((col, colIndex) => (
@@ -136,28 +222,37 @@ const DataTable = ({ config = {}, data = [], onEdit, onDelete }) => {
                   {/* ================= ACTIONS ================= */}
                   <td className="px-6 py-4">
                     <div className="flex justify-end gap-2">
-                      <button
-                        onClick={() => onEdit(item)}
-                        className="p-2 rounded hover:bg-blue-100 text-blue-600"
-                        title="Edit"
-                      >
-                        <Edit2 size={16} />
-                      </button>
-
-                      <button
-                        onClick={() => onDelete(item.id)}
-                        className="p-2 rounded hover:bg-red-100 text-red-600"
-                        title="Delete"
-                      >
-                        <Trash2 size={16} />
-                      </button>
+                      {can(config, user, "update", item) && (
+                        <button
+                          onClick={() => onEdit(item)}
+                          className="p-2 rounded hover:bg-blue-100 text-blue-600"
+                          title="Edit"
+                        >
+                          <Edit2 size={16} />
+                        </button>
+                      )}
+
+                      {can(config, user, "delete", item) && (
+                        <button
+                          onClick={() =>
+                            onDelete(item._id ?? item.id, item._version)
+                          }
+                          className="p-2 rounded hover:bg-red-100 text-red-600"
+                          title="Delete"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      )}
 
                       <div className="relative group">
                         <button className="p-2 rounded hover:bg-gray-100">
                           <MoreVertical size={16} />
                         </button>
                         <div className="absolute right-0 mt-1 w-32 bg-white border rounded-lg shadow-lg hidden group-hover:block">
-                          <button className="w-full px-3 py-2 text-sm flex items-center gap-2 hover:bg-gray-50">
+                          <button
+                            onClick={() => onView?.(item)}
+                            className="w-full px-3 py-2 text-sm flex items-center gap-2 hover:bg-gray-50"
+                          >
                             <Eye size={14} />
                             View
                           </button>
@@ -184,9 +279,9 @@ const DataTable = ({ config = {}, data = [], onEdit, onDelete }) => {
       </div>
 
       {/* ================= FOOTER ================= */}
-      {data.length > 0 && (
+      {rows.length > 0 && (
         <div className="px-6 py-3 bg-gray-50 border-t border-gray-200 text-sm text-gray-600">
-          Showing <span className="font-semibold">{data.length}</span> records
+          Showing <span className="font-semibold">{rows.length}</span> records
         </div>
       )}
     </div>
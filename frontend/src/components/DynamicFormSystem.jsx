@@ -13,6 +13,9 @@ import {
   ExternalLink,
   Server,
   Database as DbIcon,
+  Upload,
+  Trash2,
+  LogOut,
 } from "lucide-react";
 import { toast } from "react-hot-toast";
 import { apiService } from "../services/api";
@@ -20,6 +23,11 @@ import { DEFAULT_SCHEMA } from "../constants/schema";
 import SchemaManager from "./SchemaManager";
 import DataTable from "./DataTable";
 import EntityForm from "./EntityForm";
+import ImportWizard from "./ImportWizard";
+import TrashView from "./TrashView";
+import RecordDetail from "./RecordDetail";
+import ConflictDialog from "./ConflictDialog";
+import { can, isAdmin, getReadOnlyFields } from "../utils/permissions";
 
 // Safe JSON parse utility
 const safeJsonParse = (jsonString, fallback) => {
@@ -34,7 +42,54 @@ const safeJsonParse = (jsonString, fallback) => {
   }
 };
 
-const DynamicFormSystem = () => {
+// "orders: ORD-1, ORD-2 and 3 more"
+const listRecords = (records) => {
+  const byEntity = {};
+  for (const record of records) {
+    (byEntity[record.entity] ||= []).push(record.label);
+  }
+  return Object.entries(byEntity).map(([entity, labels]) => {
+    const shown = labels.slice(0, 5).join(", ");
+    const more = labels.length > 5 ? ` and ${labels.length - 5} more` : "";
+    return `${labels.length} ${entity}: ${shown}${more}`;
+  });
+};
+
+// Confirmation text naming what else a delete will touch. Trashed records
+// take their dependents along only once they are deleted for good.
+const describeDeleteImpact = (
+  entity,
+  dependents = {},
+  { trash = false } = {}
+) => {
+  const { deleted = [], updated = [], softDeleted = [] } = dependents;
+  const record = entity.slice(0, -1);
+  const lines = [
+    trash
+      ? `Move this ${record} to the trash? It can be restored from there.`
+      : `Are you sure you want to delete this ${record}?`,
+  ];
+  const effects = [
+    ...listRecords(deleted.filter((r) => r.entity !== entity)).map(
+      (line) => `- delete ${line}`
+    ),
+    ...listRecords(updated).map((line) => `- clear the link on ${line}`),
+    ...listRecords(softDeleted).map((line) => `- mark as deleted ${line}`),
+  ];
+
+  if (effects.length > 0) {
+    lines.push(
+      "",
+      trash
+        ? "Deleting it from the trash for good will also:"
+        : "This will also:",
+      ...effects
+    );
+  }
+  return lines.join("\n");
+};
+
+const DynamicFormSystem = ({ user, onLogout }) => {
   const [schema, setSchema] = useState(() => {
     const stored = localStorage.getItem("dynamicSchema");
     return safeJsonParse(stored, DEFAULT_SCHEMA);
@@ -43,9 +98,15 @@ const DynamicFormSystem = () => {
   const [selectedEntity, setSelectedEntity] = useState("");
   const [data, setData] = useState([]);
   const [isFormOpen, setIsFormOpen] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isTrashOpen, setIsTrashOpen] = useState(false);
+  const [viewingItem, setViewingItem] = useState(null);
+  const [exportFormat, setExportFormat] = useState("csv");
+  const [isExporting, setIsExporting] = useState(false);
   const [isSchemaEditorOpen, setIsSchemaEditorOpen] = useState(false);
   const [editingItem, setEditingItem] = useState(null);
   const [formData, setFormData] = useState({});
+  const [conflict, setConflict] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
   const [currentPage, setCurrentPage] = useState(1);
   const [isLoading, setIsLoading] = useState(false);
@@ -157,10 +218,21 @@ const DynamicFormSystem = () => {
       const dataToSend = { ...formData };
       const config = getCurrentConfig();
 
-      // Validate required fields
+      // The server refuses changes to read-only fields
+      for (const field of getReadOnlyFields(config, user)) {
+        delete dataToSend[field];
+      }
+
+      // Validate required fields (the backend fills generated ones)
       if (config?.backend?.schema) {
         const requiredFields = Object.entries(config.backend.schema)
-          .filter(([_, fieldConfig]) => fieldConfig.required)
+          .filter(
+            ([fieldName, fieldConfig]) =>
+              fieldConfig.required &&
+              !fieldConfig.generate &&
+              !fieldConfig.slugFrom &&
+              !(fieldName === "id" && fieldConfig.type === "Number")
+          )
           .map(([fieldName]) => fieldName);
 
         const missingFields = requiredFields.filter(
@@ -180,7 +252,8 @@ const DynamicFormSystem = () => {
         response = await apiService.updateEntity(
           selectedEntity,
           editingItem._id || editingItem.id,
-          dataToSend
+          dataToSend,
+          editingItem._version
         );
         if (response.success) {
           toast.success("✅ Record updated successfully!");
@@ -199,6 +272,16 @@ const DynamicFormSystem = () => {
     } catch (error) {
       console.error("Error saving data:", error);
 
+      // Someone saved the record since the form loaded it
+      if (error.status === 412 && error.data?.current) {
+        setConflict({
+          base: editingItem,
+          mine: formData,
+          theirs: error.data.current,
+        });
+        return;
+      }
+
       // Handle different error formats
       if (error.data?.details) {
         // Check if details is an array
@@ -222,32 +305,141 @@ const DynamicFormSystem = () => {
   const resetForm = () => {
     setFormData({});
     setEditingItem(null);
+    setConflict(null);
     setIsFormOpen(false);
   };
 
-  const handleEdit = (item) => {
-    setEditingItem(item);
-    setFormData(item);
+  // Saves the values picked in the conflict dialog over the latest version
+  const resolveConflict = async (values) => {
+    const latest = conflict.theirs;
+    setConflict(null);
+    setEditingItem(latest);
+    setFormData(values);
+
+    setIsRefreshing(true);
+    try {
+      await apiService.updateEntity(
+        selectedEntity,
+        latest._id,
+        values,
+        latest._version
+      );
+      toast.success("✅ Record updated successfully!");
+      resetForm();
+      fetchData();
+    } catch (error) {
+      console.error("Error saving data:", error);
+      if (error.status === 412 && error.data?.current) {
+        setConflict({ base: latest, mine: values, theirs: error.data.current });
+      } else {
+        toast.error(
+          error.data?.error || error.message || "Failed to save data"
+        );
+      }
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  const handleEdit = async (item) => {
+    // List rows may be projected, so load the full record for the form
+    let record = item;
+    try {
+      const response = await apiService.getEntity(selectedEntity, item._id);
+      if (response.success) record = response.data;
+    } catch (error) {
+      console.error("Error loading record:", error);
+    }
+
+    setEditingItem(record);
+    setFormData(record);
     setIsFormOpen(true);
   };
 
-  const handleDelete = async (id) => {
-    if (
-      !confirm(
-        `Are you sure you want to delete this ${selectedEntity.slice(0, -1)}?`
-      )
-    )
-      return;
+  // Soft deleted records come back with the toast's Undo action
+  const showTrashedToast = (record) => {
+    toast(
+      (t) => (
+        <span className="flex items-center gap-3">
+          🗑️ Moved to trash
+          <button
+            onClick={async () => {
+              toast.dismiss(t.id);
+              try {
+                await apiService.restoreEntity(selectedEntity, record._id);
+                toast.success("✅ Record restored");
+                fetchData();
+              } catch (error) {
+                toast.error(error.message || "Failed to restore record");
+              }
+            }}
+            className="px-3 py-1 rounded-lg bg-blue-600 text-white text-sm font-semibold hover:bg-blue-700"
+          >
+            Undo
+          </button>
+        </span>
+      ),
+      { duration: 8000 }
+    );
+  };
 
+  const handleDelete = async (id, version) => {
+    const trash = Boolean(getCurrentConfig()?.backend?.options?.softDelete);
+    let message = describeDeleteImpact(selectedEntity, {}, { trash });
+
+    // Name dependent records up front; skip if the backend can't tell us
     try {
-      const response = await apiService.deleteEntity(selectedEntity, id);
+      const response = await apiService.getEntityDependents(
+        selectedEntity,
+        id
+      );
       if (response.success) {
-        toast.success("✅ Record deleted successfully!");
+        const { blocking } = response.data;
+        if (blocking.length > 0) {
+          const blockers = listRecords(blocking.flatMap((b) => b.records));
+          toast.error(`Cannot delete, still used by ${blockers.join("; ")}`);
+          return;
+        }
+        message = describeDeleteImpact(selectedEntity, response.data, {
+          trash,
+        });
+      }
+    } catch (error) {
+      console.error("Error checking dependents:", error);
+    }
+
+    if (!confirm(message)) return;
+
+    try {
+      const response = await apiService.deleteEntity(
+        selectedEntity,
+        id,
+        version
+      );
+      if (response.success) {
+        if (response.trashed) {
+          showTrashedToast(response.data);
+        } else {
+          toast.success("✅ Record deleted successfully!");
+        }
         fetchData(); // Refresh data after delete
       }
     } catch (error) {
       console.error("Error deleting data:", error);
-      toast.error(error.message || "Failed to delete record");
+      if (error.status === 412) {
+        toast.error("This record was changed by someone else, check it first");
+        fetchData();
+        return;
+      }
+      const details = error.data?.details;
+      const blockers = Array.isArray(details)
+        ? listRecords(details.flatMap((b) => b.records || []))
+        : [];
+      toast.error(
+        blockers.length > 0
+          ? `${error.message}: ${blockers.join("; ")}`
+          : error.message || "Failed to delete record"
+      );
     }
   };
 
@@ -272,6 +464,31 @@ const DynamicFormSystem = () => {
     }
   };
 
+  // Downloads the current filtered view in the chosen format
+  const exportData = async () => {
+    setIsExporting(true);
+    try {
+      const blob = await apiService.exportEntities(
+        selectedEntity,
+        exportFormat,
+        { search: searchTerm || undefined }
+      );
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${selectedEntity}-${new Date()
+        .toISOString()
+        .slice(0, 10)}.${exportFormat}`;
+      a.click();
+      URL.revokeObjectURL(url);
+      toast.success(`✅ ${selectedEntity} exported as ${exportFormat}`);
+    } catch (error) {
+      toast.error(error.message || "Failed to export data");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   const syncFromBackend = async () => {
     setIsRefreshing(true);
     try {
@@ -379,12 +596,23 @@ const DynamicFormSystem = () => {
                 Export
               </button>
 
+              {isAdmin(user) && (
+                <button
+                  onClick={openSchemaEditor}
+                  className="flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-purple-500 to-pink-600 text-white rounded-xl font-medium hover:shadow-lg transition-all"
+                >
+                  <Settings size={18} />
+                  Edit Schema
+                </button>
+              )}
+
               <button
-                onClick={openSchemaEditor}
-                className="flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-purple-500 to-pink-600 text-white rounded-xl font-medium hover:shadow-lg transition-all"
+                onClick={onLogout}
+                title={user?.email}
+                className="flex items-center gap-2 px-5 py-2.5 border-2 border-gray-200 text-gray-700 rounded-xl font-medium hover:bg-gray-50 transition-all"
               >
-                <Settings size={18} />
-                Edit Schema
+                <LogOut size={18} />
+                Sign out
               </button>
             </div>
           </div>
@@ -404,11 +632,21 @@ const DynamicFormSystem = () => {
             </label>
 
             {selectedEntity && config && (
-              <div className="text-sm text-gray-600">
+              <div className="flex items-center gap-2 text-sm text-gray-600">
                 <span className="inline-flex items-center gap-1 bg-blue-50 text-blue-700 px-3 py-1 rounded-full">
                   <Server size={14} />
                   {config.route}
                 </span>
+                <a
+                  href={apiService.getDocsUrl(selectedEntity)}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-indigo-700 hover:bg-indigo-50 transition"
+                  title="OpenAPI documentation of this entity's routes"
+                >
+                  <ExternalLink size={14} />
+                  API docs
+                </a>
               </div>
             )}
           </div>
@@ -504,14 +742,66 @@ const DynamicFormSystem = () => {
                     />
                   </div>
 
-                  <button
-                    onClick={() => setIsFormOpen(true)}
-                    disabled={isLoading}
-                    className="flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-blue-600 to-indigo-700 text-white rounded-xl font-semibold hover:shadow-lg hover:scale-[1.02] transition-all disabled:opacity-50"
-                  >
-                    <Plus size={18} />
-                    Add New
-                  </button>
+                  {can(config, user, "list") && (
+                    <div className="flex items-center bg-white border-2 border-gray-200 rounded-xl overflow-hidden">
+                      <select
+                        value={exportFormat}
+                        onChange={(e) => setExportFormat(e.target.value)}
+                        className="pl-3 py-2.5 bg-transparent text-sm text-gray-700 focus:outline-none"
+                      >
+                        <option value="csv">CSV</option>
+                        <option value="xlsx">Excel</option>
+                        <option value="json">JSON</option>
+                        <option value="ndjson">NDJSON</option>
+                      </select>
+                      <button
+                        onClick={exportData}
+                        disabled={isLoading || isExporting}
+                        className="flex items-center gap-2 px-4 py-2.5 border-l-2 border-gray-200 text-gray-700 font-semibold hover:bg-gray-50 transition-all disabled:opacity-50"
+                      >
+                        {isExporting ? (
+                          <Loader2 className="animate-spin" size={18} />
+                        ) : (
+                          <Download size={18} />
+                        )}
+                        Export data
+                      </button>
+                    </div>
+                  )}
+
+                  {config?.backend?.options?.softDelete &&
+                    can(config, user, "delete") && (
+                      <button
+                        onClick={() => setIsTrashOpen(true)}
+                        disabled={isLoading}
+                        className="flex items-center gap-2 px-5 py-2.5 bg-white border-2 border-gray-200 text-gray-700 rounded-xl font-semibold hover:bg-gray-50 transition-all disabled:opacity-50"
+                      >
+                        <Trash2 size={18} />
+                        Trash
+                      </button>
+                    )}
+
+                  {can(config, user, "create") && (
+                    <>
+                      <button
+                        onClick={() => setIsImportOpen(true)}
+                        disabled={isLoading}
+                        className="flex items-center gap-2 px-5 py-2.5 bg-white border-2 border-gray-200 text-gray-700 rounded-xl font-semibold hover:bg-gray-50 transition-all disabled:opacity-50"
+                      >
+                        <Upload size={18} />
+                        Import
+                      </button>
+
+                      <button
+                        onClick={() => setIsFormOpen(true)}
+                        disabled={isLoading}
+                        className="flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-blue-600 to-indigo-700 text-white rounded-xl font-semibold hover:shadow-lg hover:scale-[1.02] transition-all disabled:opacity-50"
+                      >
+                        <Plus size={18} />
+                        Add New
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
             </div>
@@ -534,8 +824,16 @@ const DynamicFormSystem = () => {
                   <DataTable
                     config={config}
                     data={data}
+                    user={user}
+                    live={{
+                      entity: selectedEntity,
+                      search: searchTerm,
+                      addNew: currentPage === 1,
+                      limit: itemsPerPage,
+                    }}
                     onEdit={handleEdit}
                     onDelete={handleDelete}
+                    onView={setViewingItem}
                   />
 
                   {/* Pagination */}
@@ -633,12 +931,14 @@ const DynamicFormSystem = () => {
                 {selectedEntity}".
               </p>
               <div className="flex gap-3 justify-center">
-                <button
-                  onClick={openSchemaEditor}
-                  className="px-6 py-3 bg-gradient-to-r from-blue-500 to-blue-600 text-white rounded-xl font-medium hover:shadow-lg transition-all"
-                >
-                  Edit Schema
-                </button>
+                {isAdmin(user) && (
+                  <button
+                    onClick={openSchemaEditor}
+                    className="px-6 py-3 bg-gradient-to-r from-blue-500 to-blue-600 text-white rounded-xl font-medium hover:shadow-lg transition-all"
+                  >
+                    Edit Schema
+                  </button>
+                )}
                 <button
                   onClick={() => setSelectedEntity("")}
                   className="px-6 py-3 bg-gray-100 text-gray-700 rounded-xl font-medium hover:bg-gray-200 transition-colors"
@@ -658,6 +958,7 @@ const DynamicFormSystem = () => {
           formData={formData}
           editingItem={editingItem}
           selectedEntity={selectedEntity}
+          user={user}
           onFormSubmit={handleFormSubmit}
           onInputChange={setFormData}
           onClose={resetForm}
@@ -665,6 +966,50 @@ const DynamicFormSystem = () => {
         />
       )}
 
+      {/* Edit conflict */}
+      {conflict && config && (
+        <ConflictDialog
+          config={config}
+          base={conflict.base}
+          mine={conflict.mine}
+          theirs={conflict.theirs}
+          onResolve={resolveConflict}
+          onCancel={() => setConflict(null)}
+        />
+      )}
+
+      {/* Import Wizard */}
+      {isImportOpen && config && (
+        <ImportWizard
+          config={config}
+          selectedEntity={selectedEntity}
+          onClose={() => setIsImportOpen(false)}
+          onImported={fetchData}
+        />
+      )}
+
+      {/* Record details and history */}
+      {viewingItem && config && (
+        <RecordDetail
+          config={config}
+          selectedEntity={selectedEntity}
+          item={viewingItem}
+          user={user}
+          onClose={() => setViewingItem(null)}
+          onReverted={fetchData}
+        />
+      )}
+
+      {/* Trash */}
+      {isTrashOpen && config && (
+        <TrashView
+          config={config}
+          selectedEntity={selectedEntity}
+          onClose={() => setIsTrashOpen(false)}
+          onRestored={fetchData}
+        />
+      )}
+
       {/* Schema Editor Modal */}
       {isSchemaEditorOpen && (
         <SchemaManager
@@ -1,16 +1,24 @@
 import React from "react";
-import { Save, X } from "lucide-react";
+import { Save, X, Lock } from "lucide-react";
 import FormField from "./FormField";
+import { getHiddenFields, getReadOnlyFields } from "../utils/permissions";
 
 const EntityForm = ({
   config,
   formData,
   editingItem,
   selectedEntity,
+  user,
   onFormSubmit,
   onInputChange,
   onClose,
 }) => {
+  const hiddenFields = getHiddenFields(config, user);
+  const readOnlyFields = getReadOnlyFields(config, user);
+  const fields = config.frontend.fields.filter(
+    (field) => !hiddenFields.includes(field.name)
+  );
+
   const handleInputChange = (fieldName, value) => {
     onInputChange((prev) => ({
       ...prev,
@@ -43,14 +51,25 @@ const EntityForm = ({
         {/* Form */}
         <form onSubmit={onFormSubmit} className="px-8 py-8 space-y-6">
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
-            {config.frontend.fields.map((field) => (
-              <div key={field.name} className="space-y-1">
+            {fields.map((field) => (
+              // A disabled fieldset disables every control of the field
+              <fieldset
+                key={field.name}
+                disabled={readOnlyFields.includes(field.name)}
+                className="space-y-1"
+              >
                 <FormField
                   field={field}
                   value={formData[field.name] || ""}
                   onChange={handleInputChange}
                 />
-              </div>
+                {readOnlyFields.includes(field.name) && (
+                  <p className="text-xs text-gray-500 flex items-center gap-1">
+                    <Lock className="w-3 h-3" />
+                    {field.label || field.name} is read-only for your role
+                  </p>
+                )}
+              </fieldset>
             ))}
           </div>
 
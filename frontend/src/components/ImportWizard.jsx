@@ -0,0 +1,319 @@
+import React, { useState } from "react";
+import {
+  Upload,
+  X,
+  Loader2,
+  CheckCircle,
+  AlertCircle,
+  FileSpreadsheet,
+} from "lucide-react";
+import { toast } from "react-hot-toast";
+import { apiService } from "../services/api";
+
+// Steps: pick a file, map columns and check, then import
+const ImportWizard = ({ config, selectedEntity, onClose, onImported }) => {
+  const [step, setStep] = useState("upload");
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [analysis, setAnalysis] = useState(null);
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const fieldNames = [
+    ...new Set([
+      ...Object.keys(config?.backend?.schema || {}),
+      ...(config?.frontend?.fields || []).map((field) => field.name),
+    ]),
+  ];
+
+  // Dry runs answer 200 even with bad rows; 400 means the file or mapping
+  const analyze = async (selectedFile, columnMapping) => {
+    setIsWorking(true);
+    try {
+      const response = await apiService.importEntities(
+        selectedEntity,
+        selectedFile,
+        { mapping: columnMapping, dryRun: true }
+      );
+      setAnalysis(response);
+
+      if (!columnMapping) {
+        const initial = Object.fromEntries(
+          response.headers.map((header) => [header, null])
+        );
+        for (const { header, field } of response.columns) {
+          initial[header] = field;
+        }
+        setMapping(initial);
+      }
+      setStep("mapping");
+    } catch (error) {
+      const details = error.data?.details;
+      toast.error(
+        Array.isArray(details) ? details.join(", ") : error.message
+      );
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files?.[0];
+    if (!selected) return;
+    setFile(selected);
+    analyze(selected, null);
+  };
+
+  const handleImport = async () => {
+    setIsWorking(true);
+    try {
+      const response = await apiService.importEntities(selectedEntity, file, {
+        mapping,
+        skipInvalid,
+      });
+      setAnalysis(response);
+      setStep("done");
+      toast.success(`✅ Imported ${response.summary.imported} records`);
+      onImported();
+    } catch (error) {
+      if (error.data?.summary) setAnalysis(error.data);
+      toast.error(error.message || "Import failed");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const mappedFields = Object.values(mapping).filter(Boolean);
+  const summary = analysis?.summary;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-md px-4">
+      <div className="w-full max-w-4xl max-h-[90vh] overflow-y-auto rounded-3xl bg-white shadow-[0_20px_60px_rgba(0,0,0,0.25)] animate-scaleIn">
+        {/* Header */}
+        <div className="flex items-start justify-between px-8 py-6 border-b bg-gradient-to-r from-indigo-50 to-purple-50 rounded-t-3xl">
+          <div>
+            <h3 className="text-2xl font-semibold text-gray-900 tracking-tight">
+              Import {selectedEntity}
+            </h3>
+            <p className="text-sm text-gray-600 mt-1">
+              {step === "upload" && "Choose a CSV or Excel file"}
+              {step === "mapping" &&
+                `${file?.name} - match columns to fields and check the rows`}
+              {step === "done" && "Import finished"}
+            </p>
+          </div>
+
+          <button
+            onClick={onClose}
+            className="rounded-xl p-2 text-gray-500 hover:bg-white hover:text-gray-800 transition"
+          >
+            <X size={22} />
+          </button>
+        </div>
+
+        <div className="px-8 py-8 space-y-6">
+          {step === "upload" && (
+            <label className="flex flex-col items-center justify-center gap-3 p-12 border-2 border-dashed border-gray-300 rounded-2xl cursor-pointer hover:border-indigo-400 hover:bg-indigo-50/40 transition">
+              {isWorking ? (
+                <Loader2 className="animate-spin text-indigo-600" size={36} />
+              ) : (
+                <FileSpreadsheet className="text-indigo-600" size={36} />
+              )}
+              <span className="font-medium text-gray-700">
+                {isWorking ? "Reading file..." : "Click to choose a .csv or .xlsx file"}
+              </span>
+              <input
+                type="file"
+                accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                onChange={handleFileChange}
+                disabled={isWorking}
+                className="hidden"
+              />
+            </label>
+          )}
+
+          {step !== "upload" && summary && (
+            <div className="grid grid-cols-3 gap-4 text-center">
+              <div className="p-4 bg-gray-50 rounded-xl">
+                <div className="text-2xl font-bold text-gray-900">
+                  {summary.rows}
+                </div>
+                <div className="text-sm text-gray-600">Rows</div>
+              </div>
+              <div className="p-4 bg-green-50 rounded-xl">
+                <div className="text-2xl font-bold text-green-700">
+                  {step === "done" ? summary.imported : summary.valid}
+                </div>
+                <div className="text-sm text-gray-600">
+                  {step === "done" ? "Imported" : "Valid"}
+                </div>
+              </div>
+              <div className="p-4 bg-red-50 rounded-xl">
+                <div className="text-2xl font-bold text-red-700">
+                  {summary.invalid}
+                </div>
+                <div className="text-sm text-gray-600">Invalid</div>
+              </div>
+            </div>
+          )}
+
+          {step === "mapping" && analysis && (
+            <>
+              {/* Column mapping */}
+              <div>
+                <h4 className="font-semibold text-gray-900 mb-3">Columns</h4>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  {analysis.headers.map((header) => (
+                    <div
+                      key={header}
+                      className="flex items-center justify-between gap-3 p-3 bg-gray-50 rounded-xl"
+                    >
+                      <span className="font-medium text-gray-700 truncate">
+                        {header}
+                      </span>
+                      <select
+                        value={mapping[header] || ""}
+                        onChange={(e) =>
+                          setMapping((prev) => ({
+                            ...prev,
+                            [header]: e.target.value || null,
+                          }))
+                        }
+                        className="px-3 py-1.5 border border-gray-300 rounded-lg bg-white text-sm"
+                      >
+                        <option value="">Skip column</option>
+                        {fieldNames.map((name) => (
+                          <option key={name} value={name}>
+                            {name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Preview */}
+              <div>
+                <h4 className="font-semibold text-gray-900 mb-3">
+                  Preview (first rows as they will be saved)
+                </h4>
+                <div className="overflow-x-auto border border-gray-200 rounded-xl">
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left">Row</th>
+                        {mappedFields.map((field) => (
+                          <th key={field} className="px-3 py-2 text-left">
+                            {field}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {analysis.preview.map(({ row, data, valid }) => (
+                        <tr
+                          key={row}
+                          className={valid ? "border-t" : "border-t bg-red-50"}
+                        >
+                          <td className="px-3 py-2 text-gray-500">{row}</td>
+                          {mappedFields.map((field) => (
+                            <td key={field} className="px-3 py-2">
+                              {Array.isArray(data[field])
+                                ? data[field].join(", ")
+                                : String(data[field] ?? "")}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+
+              {/* Row errors */}
+              {analysis.errors.length > 0 && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-xl space-y-1 max-h-48 overflow-y-auto">
+                  {analysis.errors.slice(0, 50).map(({ row, errors }) => (
+                    <div key={row} className="flex gap-2 text-sm text-red-800">
+                      <AlertCircle size={16} className="shrink-0 mt-0.5" />
+                      <span>
+                        Row {row}: {errors.join("; ")}
+                      </span>
+                    </div>
+                  ))}
+                  {analysis.errors.length > 50 && (
+                    <div className="text-sm text-red-700">
+                      ...and {analysis.errors.length - 50} more rows
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {analysis.errors.length > 0 && (
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={skipInvalid}
+                    onChange={(e) => setSkipInvalid(e.target.checked)}
+                  />
+                  Skip invalid rows and import the rest
+                </label>
+              )}
+            </>
+          )}
+
+          {step === "done" && (
+            <div className="flex items-center gap-3 p-4 bg-green-50 border border-green-200 rounded-xl text-green-800">
+              <CheckCircle size={20} />
+              {summary?.imported} {selectedEntity} imported
+            </div>
+          )}
+
+          {/* Actions */}
+          <div className="flex flex-col-reverse sm:flex-row justify-end gap-4 pt-6 border-t">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-xl font-semibold hover:bg-gray-50 transition"
+            >
+              {step === "done" ? "Close" : "Cancel"}
+            </button>
+
+            {step === "mapping" && (
+              <>
+                <button
+                  type="button"
+                  onClick={() => analyze(file, mapping)}
+                  disabled={isWorking}
+                  className="px-6 py-3 border-2 border-indigo-300 text-indigo-700 rounded-xl font-semibold hover:bg-indigo-50 transition disabled:opacity-50"
+                >
+                  Check again
+                </button>
+                <button
+                  type="button"
+                  onClick={handleImport}
+                  disabled={
+                    isWorking ||
+                    summary?.valid === 0 ||
+                    (analysis.errors.length > 0 && !skipInvalid)
+                  }
+                  className="flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-blue-600 to-indigo-700 text-white rounded-xl font-semibold hover:shadow-lg transition disabled:opacity-50"
+                >
+                  {isWorking ? (
+                    <Loader2 className="animate-spin" size={18} />
+                  ) : (
+                    <Upload size={18} />
+                  )}
+                  Import {summary?.valid} rows
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,161 @@
+import React, { useState } from "react";
+import { Database as DbIcon, Loader2, LogIn, UserPlus } from "lucide-react";
+import { toast } from "react-hot-toast";
+import { apiService } from "../services/api";
+
+// Sign in or create an account; the backend's setup token makes the first
+// admin
+const LoginScreen = ({ onAuthenticated }) => {
+  const [mode, setMode] = useState("login");
+  const [form, setForm] = useState({
+    name: "",
+    email: "",
+    password: "",
+    setupToken: "",
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isRegister = mode === "register";
+
+  const handleChange = (e) =>
+    setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = isRegister
+        ? await apiService.register(form)
+        : await apiService.login({
+            email: form.email,
+            password: form.password,
+          });
+      const user = response.data;
+      toast.success(`👋 Welcome, ${user.name || user.email}`);
+      onAuthenticated(user);
+    } catch (error) {
+      const details = error.data?.details;
+      toast.error(
+        Array.isArray(details)
+          ? details.join("; ")
+          : error.message || "Failed to sign in"
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass =
+    "w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-blue-500 focus:outline-none transition";
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 via-white to-blue-50 px-4">
+      <div className="w-full max-w-md rounded-3xl bg-white shadow-[0_20px_60px_rgba(0,0,0,0.15)] animate-scaleIn">
+        {/* Header */}
+        <div className="px-8 py-6 border-b bg-gradient-to-r from-blue-50 to-indigo-50 rounded-t-3xl">
+          <div className="flex items-center gap-3">
+            <DbIcon className="text-blue-500" size={32} />
+            <div>
+              <h1 className="text-2xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+                Dynamic Form System
+              </h1>
+              <p className="text-sm text-gray-600 mt-1">
+                {isRegister ? "Create your account" : "Sign in to continue"}
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmit} className="px-8 py-8 space-y-5">
+          {isRegister && (
+            <label className="block space-y-1">
+              <span className="text-sm font-medium text-gray-700">Name</span>
+              <input
+                name="name"
+                value={form.name}
+                onChange={handleChange}
+                autoComplete="name"
+                className={inputClass}
+              />
+            </label>
+          )}
+
+          <label className="block space-y-1">
+            <span className="text-sm font-medium text-gray-700">Email</span>
+            <input
+              name="email"
+              type="email"
+              required
+              value={form.email}
+              onChange={handleChange}
+              autoComplete="email"
+              className={inputClass}
+            />
+          </label>
+
+          <label className="block space-y-1">
+            <span className="text-sm font-medium text-gray-700">Password</span>
+            <input
+              name="password"
+              type="password"
+              required
+              minLength={isRegister ? 8 : undefined}
+              value={form.password}
+              onChange={handleChange}
+              autoComplete={isRegister ? "new-password" : "current-password"}
+              className={inputClass}
+            />
+          </label>
+
+          {isRegister && (
+            <label className="block space-y-1">
+              <span className="text-sm font-medium text-gray-700">
+                Setup token{" "}
+                <span className="font-normal text-gray-500">
+                  (first admin only, from the server log)
+                </span>
+              </span>
+              <input
+                name="setupToken"
+                type="password"
+                value={form.setupToken}
+                onChange={handleChange}
+                autoComplete="off"
+                className={inputClass}
+              />
+            </label>
+          )}
+
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-xl font-semibold hover:shadow-lg transition disabled:opacity-50"
+          >
+            {isSubmitting ? (
+              <Loader2 className="animate-spin" size={18} />
+            ) : isRegister ? (
+              <UserPlus size={18} />
+            ) : (
+              <LogIn size={18} />
+            )}
+            {isRegister ? "Create account" : "Sign in"}
+          </button>
+
+          <p className="text-sm text-center text-gray-600">
+            {isRegister ? "Already have an account?" : "No account yet?"}{" "}
+            <button
+              type="button"
+              onClick={() => setMode(isRegister ? "login" : "register")}
+              className="font-semibold text-indigo-600 hover:underline"
+            >
+              {isRegister ? "Sign in" : "Create one"}
+            </button>
+          </p>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LoginScreen;
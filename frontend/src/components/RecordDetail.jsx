@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  X,
+  Loader2,
+  History,
+  RotateCcw,
+  PlusCircle,
+  Edit2,
+  Trash2,
+  User,
+} from "lucide-react";
+import { toast } from "react-hot-toast";
+import { apiService } from "../services/api";
+import { can } from "../utils/permissions";
+
+const HIDDEN_DETAIL_FIELDS = ["_id", "__v", "_version"];
+
+const ACTION_STYLES = {
+  create: { icon: PlusCircle, className: "bg-green-100 text-green-700" },
+  update: { icon: Edit2, className: "bg-blue-100 text-blue-700" },
+  revert: { icon: RotateCcw, className: "bg-purple-100 text-purple-700" },
+  trash: { icon: Trash2, className: "bg-orange-100 text-orange-700" },
+  restore: { icon: RotateCcw, className: "bg-teal-100 text-teal-700" },
+  delete: { icon: Trash2, className: "bg-red-100 text-red-700" },
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+// A record's fields next to its change history, with revert
+const RecordDetail = ({
+  config,
+  selectedEntity,
+  item,
+  user,
+  onClose,
+  onReverted,
+}) => {
+  const [record, setRecord] = useState(item);
+  const [history, setHistory] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revertingId, setRevertingId] = useState(null);
+
+  const labels = Object.fromEntries(
+    (config?.frontend?.fields || []).map((field) => [field.name, field.label])
+  );
+
+  const load = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [recordResponse, historyResponse] = await Promise.all([
+        apiService.getEntity(selectedEntity, item._id),
+        apiService.getEntityHistory(selectedEntity, item._id),
+      ]);
+      setRecord(recordResponse.data);
+      setHistory(historyResponse.data || []);
+    } catch (error) {
+      toast.error(error.message || "Failed to load record history");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [selectedEntity, item._id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleRevert = async (entry) => {
+    const when = new Date(entry.timestamp).toLocaleString();
+    if (!confirm(`Revert this record to how it was on ${when}?`)) return;
+
+    setRevertingId(entry._id);
+    try {
+      await apiService.revertEntity(selectedEntity, item._id, entry._id);
+      toast.success("✅ Record reverted");
+      await load();
+      onReverted();
+    } catch (error) {
+      const details = error.data?.details;
+      toast.error(
+        Array.isArray(details)
+          ? `${error.message}: ${details.join("; ")}`
+          : error.message || "Failed to revert record"
+      );
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  const fields = Object.entries(record || {}).filter(
+    ([key]) => !HIDDEN_DETAIL_FIELDS.includes(key)
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-md px-4">
+      <div className="w-full max-w-5xl max-h-[90vh] overflow-y-auto rounded-3xl bg-white shadow-[0_20px_60px_rgba(0,0,0,0.25)] animate-scaleIn">
+        {/* Header */}
+        <div className="flex items-start justify-between px-8 py-6 border-b bg-gradient-to-r from-blue-50 to-indigo-50 rounded-t-3xl">
+          <div>
+            <h3 className="text-2xl font-semibold text-gray-900 tracking-tight">
+              {selectedEntity.slice(0, -1)} details
+            </h3>
+            <p className="text-sm text-gray-600 mt-1 font-mono">{item._id}</p>
+          </div>
+
+          <button
+            onClick={onClose}
+            className="rounded-xl p-2 text-gray-500 hover:bg-white hover:text-gray-800 transition"
+          >
+            <X size={22} />
+          </button>
+        </div>
+
+        {isLoading && !history.length ? (
+          <div className="flex justify-center py-16">
+            <Loader2 className="animate-spin text-blue-500" size={36} />
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 px-8 py-8">
+            {/* Fields */}
+            <dl className="space-y-3">
+              {fields.map(([key, value]) => (
+                <div
+                  key={key}
+                  className="flex justify-between gap-4 p-3 bg-gray-50 rounded-xl"
+                >
+                  <dt className="text-sm font-medium text-gray-600">
+                    {labels[key] || key}
+                  </dt>
+                  <dd className="text-sm text-gray-900 text-right break-all">
+                    {formatValue(value)}
+                  </dd>
+                </div>
+              ))}
+            </dl>
+
+            {/* Timeline */}
+            <div>
+              <h4 className="flex items-center gap-2 font-semibold text-gray-900 mb-4">
+                <History size={18} />
+                History
+              </h4>
+
+              {history.length === 0 ? (
+                <p className="text-sm text-gray-500">No changes recorded yet</p>
+              ) : (
+                <ol className="relative border-l-2 border-gray-200 ml-3 space-y-6">
+                  {history.map((entry, index) => {
+                    const style =
+                      ACTION_STYLES[entry.action] || ACTION_STYLES.update;
+                    const Icon = style.icon;
+                    // The newest entry is the current state
+                    const canRevert =
+                      index > 0 &&
+                      entry.action !== "delete" &&
+                      entry.snapshot &&
+                      can(config, user, "update", item);
+
+                    return (
+                      <li key={entry._id} className="ml-6">
+                        <span
+                          className={`absolute -left-[13px] flex items-center justify-center w-6 h-6 rounded-full ${style.className}`}
+                        >
+                          <Icon size={12} />
+                        </span>
+
+                        <div className="flex items-center justify-between gap-2">
+                          <div className="text-sm">
+                            <span className="font-semibold capitalize">
+                              {entry.action}
+                            </span>
+                            <span className="text-gray-500">
+                              {" "}
+                              · {new Date(entry.timestamp).toLocaleString()}
+                            </span>
+                          </div>
+
+                          {canRevert && (
+                            <button
+                              onClick={() => handleRevert(entry)}
+                              disabled={revertingId !== null}
+                              className="flex items-center gap-1 px-2 py-1 text-xs font-semibold text-purple-700 rounded-lg hover:bg-purple-50 disabled:opacity-50"
+                            >
+                              {revertingId === entry._id ? (
+                                <Loader2 className="animate-spin" size={12} />
+                              ) : (
+                                <RotateCcw size={12} />
+                              )}
+                              Revert to this
+                            </button>
+                          )}
+                        </div>
+
+                        {entry.actor && (
+                          <div className="flex items-center gap-1 text-xs text-gray-500 mt-1">
+                            <User size={12} />
+                            {entry.actor}
+                          </div>
+                        )}
+
+                        {entry.changes.length > 0 && (
+                          <ul className="mt-2 space-y-1 text-xs">
+                            {entry.changes.map((change) => (
+                              <li key={change.field} className="text-gray-700">
+                                <span className="font-medium">
+                                  {labels[change.field] || change.field}
+                                </span>
+                                :{" "}
+                                {change.from !== null && (
+                                  <>
+                                    <span className="text-red-600 line-through">
+                                      {formatValue(change.from)}
+                                    </span>{" "}
+                                    →{" "}
+                                  </>
+                                )}
+                                <span className="text-green-700">
+                                  {formatValue(change.to)}
+                                </span>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ol>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecordDetail;
@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { History, RotateCcw, GitCompare, Loader2, User } from "lucide-react";
+import { toast } from "react-hot-toast";
+import { apiService } from "../services/api";
+
+const SchemaHistoryPanel = ({ onRollback }) => {
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [diff, setDiff] = useState(null);
+
+  const fetchVersions = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await apiService.getSchemaVersions();
+      setVersions(response.data || []);
+    } catch (error) {
+      toast.error(error.message || "Failed to load schema history");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  // Keep at most two versions selected for comparison
+  const toggleSelected = (version) => {
+    setDiff(null);
+    setSelected((prev) =>
+      prev.includes(version)
+        ? prev.filter((v) => v !== version)
+        : [...prev, version].slice(-2)
+    );
+  };
+
+  const compareVersions = async () => {
+    const [from, to] = [...selected].sort((a, b) => a - b);
+    try {
+      const response = await apiService.diffSchemaVersions(from, to);
+      setDiff(response);
+    } catch (error) {
+      toast.error(error.message || "Failed to compare versions");
+    }
+  };
+
+  const handleRollback = async (version) => {
+    if (!confirm(`Roll back the schema to version ${version}?`)) return;
+
+    try {
+      const response = await apiService.rollbackSchema(version);
+      if (response.success) {
+        toast.success(`✅ Rolled back to version ${version}`);
+        onRollback(response.schema);
+        fetchVersions();
+      }
+    } catch (error) {
+      toast.error(error.message || "Rollback failed");
+    }
+  };
+
+  return (
+    <div className="border-2 border-gray-200 rounded-lg overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-3 bg-gray-50 border-b">
+        <h4 className="font-semibold text-gray-800 flex items-center gap-2">
+          <History size={16} />
+          Schema History
+        </h4>
+        <button
+          onClick={compareVersions}
+          disabled={selected.length !== 2}
+          className="flex items-center gap-1 text-sm px-3 py-1 rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <GitCompare size={14} />
+          Compare
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="p-6 flex justify-center">
+          <Loader2 className="animate-spin text-indigo-500" size={24} />
+        </div>
+      ) : versions.length === 0 ? (
+        <p className="p-4 text-sm text-gray-500">No versions recorded yet</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 max-h-64 overflow-y-auto">
+          {versions.map((v, idx) => (
+            <li
+              key={v.version}
+              className="flex items-center justify-between gap-3 px-4 py-2 text-sm"
+            >
+              <label className="flex items-center gap-3 cursor-pointer flex-1 min-w-0">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(v.version)}
+                  onChange={() => toggleSelected(v.version)}
+                />
+                <span className="font-mono font-semibold text-indigo-700">
+                  v{v.version}
+                </span>
+                <span className="truncate text-gray-700" title={v.summary}>
+                  {v.summary}
+                </span>
+              </label>
+              <span className="flex items-center gap-1 text-xs text-gray-500">
+                <User size={12} />
+                {v.author}
+              </span>
+              <span className="text-xs text-gray-400">
+                {new Date(v.timestamp).toLocaleString()}
+              </span>
+              {idx === 0 ? (
+                <span className="text-xs px-2 py-1 rounded bg-green-100 text-green-700">
+                  Current
+                </span>
+              ) : (
+                <button
+                  onClick={() => handleRollback(v.version)}
+                  className="flex items-center gap-1 text-xs px-2 py-1 rounded bg-orange-100 text-orange-700 hover:bg-orange-200"
+                >
+                  <RotateCcw size={12} />
+                  Rollback
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {diff && (
+        <div className="px-4 py-3 bg-indigo-50 border-t text-xs font-mono space-y-1">
+          <div className="font-semibold text-indigo-900">
+            v{diff.from} → v{diff.to}
+          </div>
+          {diff.data.added.map((e) => (
+            <div key={`+${e}`} className="text-green-700">
+              + {e}
+            </div>
+          ))}
+          {diff.data.removed.map((e) => (
+            <div key={`-${e}`} className="text-red-700">
+              - {e}
+            </div>
+          ))}
+          {diff.data.changed.map((c) => (
+            <div key={`~${c.entity}`} className="text-amber-700">
+              ~ {c.entity}
+              {c.route && ` (route ${c.route.from} → ${c.route.to})`}
+              {c.fields.added.length > 0 &&
+                ` +fields: ${c.fields.added.join(", ")}`}
+              {c.fields.removed.length > 0 &&
+                ` -fields: ${c.fields.removed.join(", ")}`}
+              {c.fields.changed.length > 0 &&
+                ` ~fields: ${c.fields.changed.map((f) => f.field).join(", ")}`}
+              {c.frontendChanged && " (frontend)"}
+            </div>
+          ))}
+          {diff.data.added.length +
+            diff.data.removed.length +
+            diff.data.changed.length ===
+            0 && <div className="text-gray-600">No differences</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SchemaHistoryPanel;
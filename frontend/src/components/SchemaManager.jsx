@@ -7,10 +7,14 @@ import {
   RefreshCw,
   Database,
   AlertCircle,
+  AlertTriangle,
   CheckCircle,
+  History,
 } from "lucide-react";
 import { toast } from "react-hot-toast";
 import { apiService } from "../services/api";
+import { validateSchema } from "../shared/schemaValidator.js";
+import SchemaHistoryPanel from "./SchemaHistoryPanel";
 
 const SchemaManager = ({
   schema,
@@ -24,6 +28,10 @@ const SchemaManager = ({
   const [jsonError, setJsonError] = useState("");
   const [isUpdating, setIsUpdating] = useState(false);
   const [backendAvailable, setBackendAvailable] = useState(true);
+  const [changeNote, setChangeNote] = useState("");
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  // { severity, path, message } from the schema validator
+  const [issues, setIssues] = useState(null);
 
   const handleSchemaUpdate = async () => {
     setIsUpdating(true);
@@ -32,35 +40,39 @@ const SchemaManager = ({
     try {
       const parsed = JSON.parse(jsonInput);
 
-      if (!parsed.record || typeof parsed.record !== "object") {
-        throw new Error(
-          'Invalid schema format. Must contain a "record" object.'
-        );
-      }
-
-      // Validate each entity
-      for (const [entityName, config] of Object.entries(parsed.record)) {
-        if (!config.route) {
-          throw new Error(`Missing route for entity: ${entityName}`);
-        }
-        if (!config.backend || !config.backend.schema) {
-          throw new Error(`Missing backend schema for entity: ${entityName}`);
-        }
-        if (!config.frontend || !config.frontend.fields) {
-          throw new Error(`Missing frontend fields for entity: ${entityName}`);
-        }
+      // Same rules the backend applies, so an invalid schema is stopped
+      // here even when the backend can't be reached
+      const result = validateSchema(parsed);
+      setIssues(result.issues);
+      if (!result.valid) {
+        throw new Error(`Schema has ${result.errors.length} errors`);
       }
 
-      // Update backend schema
+      // Update backend schema; it also checks the storage options
       try {
-        const response = await apiService.updateSchema(parsed);
+        const response = await apiService.updateSchema(parsed, {
+          message: changeNote || undefined,
+        });
 
         if (response.success) {
           toast.success("✅ Backend schema updated successfully!");
+          if (response.warnings?.length > 0) {
+            toast(`⚠️ Applied with ${response.warnings.length} warnings`);
+          }
           setBackendAvailable(true);
         }
       } catch (backendError) {
         console.error("Backend update failed:", backendError);
+
+        // Backend is reachable but rejected the schema - don't apply it
+        if (backendError.status === 400) {
+          setIssues(backendError.data?.issues || null);
+          const details = Array.isArray(backendError.details)
+            ? backendError.details.join("; ")
+            : backendError.message;
+          throw new Error(`Backend rejected schema: ${details}`);
+        }
+
         setBackendAvailable(false);
 
         // ✅ ONLY FIX — no UI change
@@ -90,6 +102,13 @@ const SchemaManager = ({
     }
   };
 
+  const handleRollback = (rolledBack) => {
+    setJsonInput(JSON.stringify(rolledBack, null, 2));
+    setJsonError("");
+    setIssues(null);
+    onUpdate(rolledBack);
+  };
+
   const handleFileUpload = (e) => {
     const file = e.target.files[0];
     if (file) {
@@ -99,6 +118,7 @@ const SchemaManager = ({
           const parsed = JSON.parse(event.target.result);
           setJsonInput(JSON.stringify(parsed, null, 2));
           setJsonError("");
+          setIssues(null);
           toast.success("📁 File loaded successfully! Review and click Apply.");
         } catch (error) {
           setJsonError(`❌ Error reading file: ${error.message}`);
@@ -133,31 +153,25 @@ const SchemaManager = ({
     }
   };
 
+  // Runs the schema validator without applying anything; the backend
+  // also checks storage options when the schema is applied
   const validateJSON = () => {
     try {
       const parsed = JSON.parse(jsonInput);
+      const result = validateSchema(parsed);
+      setIssues(result.issues);
+      setJsonError("");
 
-      if (!parsed.record) {
-        throw new Error('Missing "record" object');
-      }
-
-      let entityCount = 0;
-      for (const [entityName, config] of Object.entries(parsed.record)) {
-        entityCount++;
-
-        if (!config.route) {
-          throw new Error(`${entityName}: Missing "route"`);
-        }
-        if (!config.backend || !config.backend.schema) {
-          throw new Error(`${entityName}: Missing "backend.schema"`);
-        }
-        if (!config.frontend) {
-          throw new Error(`${entityName}: Missing "frontend" config`);
-        }
+      const entityCount = Object.keys(parsed.record || {}).length;
+      if (!result.valid) {
+        toast.error(`Validation failed: ${result.errors.length} errors`);
+      } else if (result.warnings.length > 0) {
+        toast(
+          `⚠️ Valid schema with ${entityCount} entities, ${result.warnings.length} warnings`
+        );
+      } else {
+        toast.success(`✅ Valid schema with ${entityCount} entities!`);
       }
-
-      toast.success(`✅ Valid schema with ${entityCount} entities!`);
-      setJsonError("");
     } catch (error) {
       toast.error(`Validation failed: ${error.message}`);
       setJsonError(`❌ Validation Error: ${error.message}`);
@@ -224,7 +238,7 @@ const SchemaManager = ({
           </div>
 
           {/* Action Buttons */}
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
             <label className="flex items-center justify-center gap-2 px-4 py-2.5 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 transition-colors cursor-pointer text-sm font-medium">
               <Upload size={16} />
               Upload JSON
@@ -259,8 +273,19 @@ const SchemaManager = ({
               <RefreshCw size={16} />
               Reset
             </button>
+
+            <button
+              onClick={() => setIsHistoryOpen((open) => !open)}
+              className="flex items-center justify-center gap-2 px-4 py-2.5 bg-indigo-100 text-indigo-700 rounded-lg hover:bg-indigo-200 transition-colors text-sm font-medium"
+            >
+              <History size={16} />
+              History
+            </button>
           </div>
 
+          {/* Version History */}
+          {isHistoryOpen && <SchemaHistoryPanel onRollback={handleRollback} />}
+
           {/* JSON Editor */}
           <div>
             <div className="flex justify-between items-center mb-2">
@@ -278,6 +303,7 @@ const SchemaManager = ({
               onChange={(e) => {
                 setJsonInput(e.target.value);
                 setJsonError("");
+                setIssues(null);
               }}
               className="w-full h-96 px-4 py-3 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 transition-all font-mono text-sm resize-none"
               placeholder="Paste your JSON schema here..."
@@ -285,6 +311,15 @@ const SchemaManager = ({
             />
           </div>
 
+          {/* Change Note */}
+          <input
+            type="text"
+            value={changeNote}
+            onChange={(e) => setChangeNote(e.target.value)}
+            className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 transition-all text-sm"
+            placeholder="Describe this change (optional, saved in history)"
+          />
+
           {/* Error Display */}
           {jsonError && (
             <div className="p-4 bg-red-50 border-2 border-red-200 rounded-lg">
@@ -296,6 +331,44 @@ const SchemaManager = ({
             </div>
           )}
 
+          {/* Validation Issues */}
+          {issues?.length > 0 && (
+            <div className="border-2 border-gray-200 rounded-lg divide-y max-h-64 overflow-y-auto">
+              {issues.map((issue, index) => (
+                <div
+                  key={`${issue.path}-${index}`}
+                  className="flex items-start gap-2 px-4 py-2 text-sm"
+                >
+                  {issue.severity === "error" ? (
+                    <AlertCircle
+                      size={16}
+                      className="text-red-600 mt-0.5 flex-shrink-0"
+                    />
+                  ) : (
+                    <AlertTriangle
+                      size={16}
+                      className="text-amber-500 mt-0.5 flex-shrink-0"
+                    />
+                  )}
+                  <div className="min-w-0">
+                    <code className="text-xs text-gray-500 break-all">
+                      {issue.path}
+                    </code>
+                    <p
+                      className={
+                        issue.severity === "error"
+                          ? "text-red-700"
+                          : "text-amber-800"
+                      }
+                    >
+                      {issue.message}
+                    </p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Help Section */}
           <div className="grid md:grid-cols-2 gap-4">
             <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
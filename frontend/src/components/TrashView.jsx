@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { X, Loader2, RotateCcw, Trash2, Inbox } from "lucide-react";
+import { toast } from "react-hot-toast";
+import { apiService } from "../services/api";
+
+const TRASH_PAGE_SIZE = 100;
+
+// Plain text for a cell; nested values are summarized
+const cellText = (value) => {
+  if (value === null || value === undefined || value === "") return "-";
+  if (Array.isArray(value)) {
+    return value.every((item) => typeof item !== "object")
+      ? value.join(", ")
+      : `${value.length} items`;
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+// Trashed records of one entity, with restore and permanent delete
+const TrashView = ({ config, selectedEntity, onClose, onRestored }) => {
+  const [records, setRecords] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const columns = (config?.frontend?.columns || [])
+    .filter((column) => column.type !== "subStringTable")
+    .slice(0, 4);
+
+  const fetchTrash = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await apiService.getTrash(selectedEntity, {
+        limit: TRASH_PAGE_SIZE,
+      });
+      setRecords(response.data || []);
+      setTotal(response.total || 0);
+      setRetentionDays(response.retentionDays);
+    } catch (error) {
+      toast.error(error.message || "Failed to load trash");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [selectedEntity]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handleRestore = async (record) => {
+    setBusyId(record._id);
+    try {
+      await apiService.restoreEntity(selectedEntity, record._id);
+      toast.success("✅ Record restored");
+      fetchTrash();
+      onRestored();
+    } catch (error) {
+      const details = error.data?.details;
+      toast.error(
+        Array.isArray(details)
+          ? `${error.message}: ${details.join("; ")}`
+          : error.message || "Failed to restore record"
+      );
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (record) => {
+    if (!confirm("Delete this record permanently? This cannot be undone.")) {
+      return;
+    }
+
+    setBusyId(record._id);
+    try {
+      await apiService.purgeEntity(selectedEntity, record._id);
+      toast.success("✅ Record deleted permanently");
+      fetchTrash();
+    } catch (error) {
+      toast.error(error.message || "Failed to delete record");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!confirm(`Permanently delete all ${total} records in the trash?`)) {
+      return;
+    }
+
+    setBusyId("all");
+    try {
+      const response = await apiService.emptyTrash(selectedEntity);
+      if (response.kept.length > 0) {
+        toast.error(
+          `${response.kept.length} records kept: other records still reference them`
+        );
+      } else {
+        toast.success(`✅ ${response.purged} records deleted permanently`);
+      }
+      fetchTrash();
+    } catch (error) {
+      toast.error(error.message || "Failed to empty trash");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-md px-4">
+      <div className="w-full max-w-4xl max-h-[90vh] overflow-y-auto rounded-3xl bg-white shadow-[0_20px_60px_rgba(0,0,0,0.25)] animate-scaleIn">
+        {/* Header */}
+        <div className="flex items-start justify-between px-8 py-6 border-b bg-gradient-to-r from-gray-50 to-red-50 rounded-t-3xl">
+          <div>
+            <h3 className="text-2xl font-semibold text-gray-900 tracking-tight">
+              Trash - {selectedEntity}
+            </h3>
+            <p className="text-sm text-gray-600 mt-1">
+              {retentionDays
+                ? `Records are deleted permanently ${retentionDays} days after they were trashed`
+                : "Records stay here until deleted permanently"}
+            </p>
+          </div>
+
+          <button
+            onClick={onClose}
+            className="rounded-xl p-2 text-gray-500 hover:bg-white hover:text-gray-800 transition"
+          >
+            <X size={22} />
+          </button>
+        </div>
+
+        <div className="px-8 py-8 space-y-6">
+          {isLoading ? (
+            <div className="flex justify-center py-12">
+              <Loader2 className="animate-spin text-blue-500" size={36} />
+            </div>
+          ) : records.length === 0 ? (
+            <div className="flex flex-col items-center gap-3 py-12 text-gray-500">
+              <Inbox size={36} />
+              The trash is empty
+            </div>
+          ) : (
+            <div className="overflow-x-auto border border-gray-200 rounded-xl">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {columns.map((column) => (
+                      <th
+                        key={column.accessor}
+                        className="px-4 py-3 text-left font-semibold text-gray-700"
+                      >
+                        {column.header}
+                      </th>
+                    ))}
+                    <th className="px-4 py-3 text-left font-semibold text-gray-700">
+                      Deleted
+                    </th>
+                    <th className="px-4 py-3" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {records.map((record) => (
+                    <tr key={record._id} className="border-t">
+                      {columns.map((column) => (
+                        <td key={column.accessor} className="px-4 py-3">
+                          {cellText(record[column.accessor])}
+                        </td>
+                      ))}
+                      <td className="px-4 py-3 text-gray-500">
+                        {new Date(record.deletedAt).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="flex justify-end gap-2">
+                          <button
+                            onClick={() => handleRestore(record)}
+                            disabled={busyId !== null}
+                            title="Restore"
+                            className="p-2 rounded-lg text-blue-600 hover:bg-blue-50 disabled:opacity-50"
+                          >
+                            <RotateCcw size={16} />
+                          </button>
+                          <button
+                            onClick={() => handlePurge(record)}
+                            disabled={busyId !== null}
+                            title="Delete permanently"
+                            className="p-2 rounded-lg text-red-600 hover:bg-red-50 disabled:opacity-50"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {total > records.length && (
+            <p className="text-sm text-gray-500">
+              Showing the {records.length} most recently deleted of {total}
+            </p>
+          )}
+
+          {/* Actions */}
+          <div className="flex flex-col-reverse sm:flex-row justify-end gap-4 pt-6 border-t">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-xl font-semibold hover:bg-gray-50 transition"
+            >
+              Close
+            </button>
+            <button
+              type="button"
+              onClick={handleEmpty}
+              disabled={total === 0 || busyId !== null}
+              className="flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-red-500 to-rose-600 text-white rounded-xl font-semibold hover:shadow-lg transition disabled:opacity-50"
+            >
+              {busyId === "all" ? (
+                <Loader2 className="animate-spin" size={18} />
+              ) : (
+                <Trash2 size={18} />
+              )}
+              Empty trash
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrashView;
@@ -14,13 +14,74 @@ const api = axios.create({
   timeout: 30000,
 });
 
-// Request interceptor for debugging
+/* ---------- Auth tokens ---------- */
+
+// { accessToken, refreshToken, user } of the signed-in account
+const SESSION_KEY = "authSession";
+const SESSION_END_EVENT = "auth:session-end";
+
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const saveSession = (response) => {
+  const { accessToken, refreshToken, data: user } = response;
+  localStorage.setItem(
+    SESSION_KEY,
+    JSON.stringify({ accessToken, refreshToken, user })
+  );
+  return response;
+};
+
+// Forgets the tokens and tells the app to show the login screen
+const endSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+  window.dispatchEvent(new Event(SESSION_END_EVENT));
+};
+
+/**
+ * Calls handler when the session ends without a logout (refresh failed)
+ * @param {Function} handler
+ * @returns {Function} - Unsubscribes
+ */
+export const onSessionEnd = (handler) => {
+  window.addEventListener(SESSION_END_EVENT, handler);
+  return () => window.removeEventListener(SESSION_END_EVENT, handler);
+};
+
+// One refresh at a time; requests failing meanwhile wait for it
+let refreshing = null;
+
+const refreshSession = () => {
+  refreshing ??= axios
+    .post(`${API_BASE_URL}/api/auth/refresh`, {
+      refreshToken: getSession()?.refreshToken,
+    })
+    .then((response) => saveSession(response.data).accessToken)
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+};
+
+// Auth calls carry passwords and tokens, so their bodies are never logged
+const isAuthUrl = (url) => Boolean(url?.startsWith("/api/auth/"));
+
+// Request interceptor: attach the access token, log the call
 api.interceptors.request.use(
   (config) => {
-    console.log(
-      `📤 ${config.method?.toUpperCase()} ${config.url}`,
-      config.data
-    );
+    const accessToken = getSession()?.accessToken;
+    if (accessToken && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
+    }
+
+    const call = `📤 ${config.method?.toUpperCase()} ${config.url}`;
+    if (isAuthUrl(config.url)) console.log(call);
+    else console.log(call, config.data);
     return config;
   },
   (error) => {
@@ -32,10 +93,29 @@ api.interceptors.request.use(
 // Response interceptor with better error handling
 api.interceptors.response.use(
   (response) => {
-    console.log(`📥 Response from ${response.config.url}:`, response.data);
+    const { url } = response.config;
+    if (isAuthUrl(url)) console.log(`📥 Response from ${url}`);
+    else console.log(`📥 Response from ${url}:`, response.data);
     return response.data;
   },
-  (error) => {
+  async (error) => {
+    // Expired access token: refresh once and replay the request
+    const original = error.config;
+    const isAuthCall = isAuthUrl(original?.url);
+    if (error.response?.status === 401 && original && !isAuthCall) {
+      if (!original._retried && getSession()?.refreshToken) {
+        original._retried = true;
+        try {
+          const accessToken = await refreshSession();
+          original.headers.Authorization = `Bearer ${accessToken}`;
+          return api(original);
+        } catch (refreshError) {
+          console.error("Session refresh failed:", refreshError);
+        }
+      }
+      endSession();
+    }
+
     console.error("❌ API Error:", {
       url: error.config?.url,
       method: error.config?.method,
@@ -87,14 +167,104 @@ api.interceptors.response.use(
   }
 );
 
+/* ---------- Live changes ---------- */
+
+const CHANGE_REOPEN_DELAY_MS = 5000;
+
+/**
+ * Streams live changes to the records a list with these params shows
+ * (search, filter[...], fields) from GET /api/<entity>/changes.
+ * EventSource can't send headers, so the token goes in the query; when
+ * the server refuses it (expired), the session is refreshed and the
+ * stream reopened.
+ * @param {string} entity
+ * @param {object} params - List parameters
+ * @param {Function} onChange - Called with each change event
+ * @returns {Function} - Closes the stream
+ */
+const subscribeToChanges = (entity, params, onChange) => {
+  let source = null;
+  let reopenTimer = null;
+  let closed = false;
+
+  const query = Object.entries(params || {}).filter(
+    ([, value]) => value !== undefined && value !== null && value !== ""
+  );
+
+  const open = (accessToken) => {
+    if (closed) return;
+    const search = new URLSearchParams([
+      ...query,
+      ["access_token", accessToken || ""],
+    ]);
+    source = new EventSource(
+      `${API_BASE_URL}/api/${entity}/changes?${search}`
+    );
+    source.addEventListener("change", (e) => onChange(JSON.parse(e.data)));
+
+    // Dropped streams reconnect by themselves; refused ones are closed
+    source.onerror = () => {
+      if (source.readyState !== EventSource.CLOSED) return;
+      reopenTimer = setTimeout(
+        () =>
+          refreshSession()
+            .then(open)
+            .catch((error) =>
+              console.error("Change stream closed:", error.message)
+            ),
+        CHANGE_REOPEN_DELAY_MS
+      );
+    };
+  };
+
+  open(getSession()?.accessToken);
+
+  return () => {
+    closed = true;
+    clearTimeout(reopenTimer);
+    source?.close();
+  };
+};
+
+// If-Match header for a record version, none without one
+const ifMatch = (version) => (version ? { "If-Match": `"${version}"` } : {});
+
 export const apiService = {
+  // Authentication; register and login keep the returned tokens
+  register: (account) =>
+    api.post("/api/auth/register", account).then(saveSession),
+  login: (credentials) =>
+    api.post("/api/auth/login", credentials).then(saveSession),
+  logout: async () => {
+    const refreshToken = getSession()?.refreshToken;
+    localStorage.removeItem(SESSION_KEY);
+    if (refreshToken) {
+      await api
+        .post("/api/auth/logout", { refreshToken })
+        .catch((error) => console.error("Logout failed:", error));
+    }
+  },
+  getCurrentUser: () => api.get("/api/auth/me"),
+
   // Schema management
   getSchema: () => api.get("/api/schema"),
-  updateSchema: (schema) => api.post("/api/schema/update", schema),
+  updateSchema: (schema, meta = {}) =>
+    api.post("/api/schema/update", schema, { params: meta }),
+
+  // Schema history
+  getSchemaVersions: () => api.get("/api/schema/versions"),
+  getSchemaVersion: (version) => api.get(`/api/schema/versions/${version}`),
+  diffSchemaVersions: (from, to) =>
+    api.get("/api/schema/diff", { params: { from, to } }),
+  rollbackSchema: (version) => api.post(`/api/schema/rollback/${version}`),
 
   // Health check
   checkHealth: () => api.get("/health"),
 
+  // Swagger UI of the generated OpenAPI document, at an entity's routes
+  getDocsUrl: (entity) =>
+    `${API_BASE_URL}/api/docs${entity ? `#/${entity}` : ""}`,
+
   // Entity operations
   getEntities: (entity, params = {}) => {
     console.log(`Fetching ${entity} with params:`, params);
@@ -116,14 +286,84 @@ export const apiService = {
     return api.post(`/api/${entity}`, data);
   },
 
-  updateEntity: (entity, id, data) => {
+  // With a version (the record's _version) the backend answers 412 and
+  // the latest copy if someone changed the record since it was read
+  updateEntity: (entity, id, data, version) => {
     console.log(`Updating ${entity} ${id}:`, data);
-    return api.put(`/api/${entity}/${id}`, data);
+    return api.put(`/api/${entity}/${id}`, data, {
+      headers: ifMatch(version),
+    });
   },
 
-  deleteEntity: (entity, id) => {
+  // Bulk operations; mode is "atomic" (default) or "continue"
+  bulkCreateEntities: (entity, records, mode) =>
+    api.post(`/api/${entity}/bulk`, { records, mode }),
+
+  bulkUpdateEntities: (entity, body) => api.patch(`/api/${entity}/bulk`, body),
+
+  bulkDeleteEntities: (entity, body) =>
+    api.delete(`/api/${entity}/bulk`, { data: body }),
+
+  // Uploads a CSV/XLSX file as the raw body
+  importEntities: (entity, file, { mapping, dryRun, skipInvalid } = {}) =>
+    api.post(`/api/${entity}/import`, file, {
+      params: {
+        filename: file.name,
+        mapping: mapping ? JSON.stringify(mapping) : undefined,
+        dryRun: dryRun || undefined,
+        skipInvalid: skipInvalid || undefined,
+      },
+      headers: { "Content-Type": file.type || "application/octet-stream" },
+      timeout: 120000,
+    }),
+
+  // Streams every record matching params (search, filter, sort, fields)
+  // as a file; format is "csv", "xlsx", "json" or "ndjson"
+  exportEntities: (entity, format, params = {}) =>
+    api.get(`/api/${entity}/export`, {
+      params: { ...params, format },
+      responseType: "blob",
+      timeout: 0,
+    }),
+
+  getEntityDependents: (entity, id) => {
+    console.log(`Checking dependents of ${entity} ${id}`);
+    return api.get(`/api/${entity}/${id}/dependents`);
+  },
+
+  // Audit trail
+  getEntityHistory: (entity, id, params = {}) =>
+    api.get(`/api/${entity}/${id}/history`, { params }),
+
+  revertEntity: (entity, id, entryId) => {
+    console.log(`Reverting ${entity} ${id} to history entry ${entryId}`);
+    return api.post(`/api/${entity}/${id}/history/${entryId}/revert`);
+  },
+
+  getAuditLog: (params = {}) => api.get("/api/audit", { params }),
+
+  // Trash, for entities with backend.options.softDelete
+  getTrash: (entity, params = {}) =>
+    api.get(`/api/${entity}/trash`, { params }),
+
+  restoreEntity: (entity, id) => {
+    console.log(`Restoring ${entity} ${id}`);
+    return api.post(`/api/${entity}/trash/${id}/restore`);
+  },
+
+  purgeEntity: (entity, id) => {
+    console.log(`Purging ${entity} ${id}`);
+    return api.delete(`/api/${entity}/trash/${id}`);
+  },
+
+  emptyTrash: (entity) => api.delete(`/api/${entity}/trash`),
+
+  // Live changes over Server-Sent Events; returns a function that stops
+  subscribeToChanges,
+
+  deleteEntity: (entity, id, version) => {
     console.log(`Deleting ${entity} ${id}`);
-    return api.delete(`/api/${entity}/${id}`);
+    return api.delete(`/api/${entity}/${id}`, { headers: ifMatch(version) });
   },
 };
 
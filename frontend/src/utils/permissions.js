@@ -0,0 +1,40 @@
+// Reads backend.options.permissions with the server's own rule matcher,
+// so the UI only offers what the signed-in role may do. The server has the
+// last word: conditions this side can't evaluate count as allowed.
+import {
+  ADMIN_ROLE,
+  allowsRecord,
+  fieldsFor,
+  ruleScope,
+} from "../shared/permissions.js";
+
+const getPermissions = (config) => config?.backend?.options?.permissions || {};
+
+// Admins skip every rule, and alone may change the schema
+export const isAdmin = (user) => user?.role === ADMIN_ROLE;
+
+/**
+ * Whether the user may do an action on an entity, or on one record of it
+ * @param {object} config - Entity configuration
+ * @param {object} user - Signed-in account
+ * @param {string} action - list, read, create, update or delete
+ * @param {object} record - Leave out to ask about the entity as a whole
+ * @returns {boolean}
+ */
+export const can = (config, user, action, record) => {
+  const permissions = getPermissions(config);
+  if (!record) return ruleScope(permissions, action, user) !== false;
+  try {
+    return allowsRecord(permissions, action, user, record);
+  } catch {
+    return true;
+  }
+};
+
+// Fields the server leaves out of responses for the user
+export const getHiddenFields = (config, user) =>
+  fieldsFor(getPermissions(config), user, "hidden");
+
+// Fields the user can see but not change
+export const getReadOnlyFields = (config, user) =>
+  fieldsFor(getPermissions(config), user, "readOnly");
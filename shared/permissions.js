@@ -0,0 +1,102 @@
+/**
+ * Matching of the role rules in backend.options.permissions (see
+ * backend/utils/permissions.js for their format). Pure, so the server,
+ * which enforces the rules, and the frontend, which only offers what they
+ * allow, read them the same way.
+ */
+import { matchesQuery } from "./query.js";
+
+export const ADMIN_ROLE = "admin";
+export const ANY_ROLE = "*";
+
+const USER_PLACEHOLDER = /^\$user\.(id|email|role)$/;
+
+// Replaces "$user.*" placeholders in a filter with the account's values
+export const bindUser = (value, user) => {
+  if (typeof value === "string") {
+    const match = value.match(USER_PLACEHOLDER);
+    if (!match) return value;
+    return match[1] === "id" ? String(user?._id) : user?.[match[1]];
+  }
+  if (Array.isArray(value)) return value.map((item) => bindUser(item, user));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, bindUser(item, user)])
+    );
+  }
+  return value;
+};
+
+export const appliesTo = (role, rule) => {
+  const ruleRole = typeof rule === "string" ? rule : rule?.role;
+  return ruleRole === ANY_ROLE || ruleRole === role;
+};
+
+/**
+ * Records the account's rules let it do an action on
+ * @param {object} permissions - backend.options.permissions
+ * @param {string} action - list, read, create, update or delete
+ * @param {object} user - Signed-in account
+ * @returns {object|null|false} - null: every record, false: none,
+ *   otherwise a filter
+ */
+export const ruleScope = (permissions = {}, action, user) => {
+  const rules = permissions[action];
+  if (user?.role === ADMIN_ROLE || rules === undefined) return null;
+
+  const conditions = [];
+  for (const rule of rules.filter((r) => appliesTo(user?.role, r))) {
+    if (typeof rule === "string" || (!rule.own && !rule.where)) return null;
+    conditions.push(
+      bindUser(
+        {
+          ...(rule.where || {}),
+          ...(rule.own ? { [permissions.ownerField]: "$user.id" } : {}),
+        },
+        user
+      )
+    );
+  }
+  if (conditions.length === 0) return false;
+  return conditions.length === 1 ? conditions[0] : { $or: conditions };
+};
+
+/**
+ * Whether the account's rules allow an action on one record
+ * @param {object} permissions - backend.options.permissions
+ * @param {string} action
+ * @param {object} user
+ * @param {object} record
+ * @returns {boolean}
+ */
+export const allowsRecord = (permissions, action, user, record) => {
+  const scope = ruleScope(permissions, action, user);
+  if (scope === false) return false;
+  return scope === null || matchesQuery(record, scope);
+};
+
+/**
+ * Fields a field rule lists the account's role under
+ * @param {object} permissions - backend.options.permissions
+ * @param {object} user
+ * @param {string} key - hidden or readOnly
+ * @returns {string[]}
+ */
+export const fieldsFor = (permissions = {}, user, key) => {
+  if (user?.role === ADMIN_ROLE) return [];
+  return Object.entries(permissions.fields || {})
+    .filter(([, rule]) =>
+      (rule?.[key] || []).some((role) => appliesTo(user?.role, role))
+    )
+    .map(([field]) => field);
+};
+
+export default {
+  ADMIN_ROLE,
+  ANY_ROLE,
+  bindUser,
+  appliesTo,
+  ruleScope,
+  allowsRecord,
+  fieldsFor,
+};
@@ -0,0 +1,137 @@
+/**
+ * Evaluates Mongo-style filters against plain records. Pure, so the
+ * backend (storage/memoryQuery.js, which adds sorts and pipelines) and the
+ * frontend's permission checks match records the same way.
+ */
+
+export const getPath = (record, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), record);
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof RegExp) &&
+  Object.keys(value).some((key) => key.startsWith("$"));
+
+// Dates compare by time, and a date string compares against a Date
+const toComparable = (value, other) => {
+  if (value instanceof Date) return value.getTime();
+  if (other instanceof Date && typeof value === "string") {
+    return new Date(value).getTime();
+  }
+  return value;
+};
+
+export const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+
+  const left = toComparable(a, b);
+  const right = toComparable(b, a);
+  if (left < right) return -1;
+  if (left > right) return 1;
+  return 0;
+};
+
+export const isEqual = (a, b) => {
+  if (a === b) return true;
+  if (a == null || b == null) return a == b;
+  if (a instanceof Date || b instanceof Date) return compareValues(a, b) === 0;
+  if (typeof a === "object" || typeof b === "object") {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return false;
+};
+
+const testRegex = (value, pattern, options) => {
+  if (typeof value !== "string") return false;
+  const regex =
+    pattern instanceof RegExp ? pattern : new RegExp(pattern, options || "");
+  return regex.test(value);
+};
+
+const applyOperator = (value, op, arg, condition) => {
+  switch (op) {
+    case "$eq":
+      return isEqual(value, arg);
+    case "$ne":
+      return !isEqual(value, arg);
+    case "$gt":
+      return value != null && compareValues(value, arg) > 0;
+    case "$gte":
+      return value != null && compareValues(value, arg) >= 0;
+    case "$lt":
+      return value != null && compareValues(value, arg) < 0;
+    case "$lte":
+      return value != null && compareValues(value, arg) <= 0;
+    case "$in":
+      return arg.some((candidate) =>
+        candidate instanceof RegExp
+          ? testRegex(value, candidate)
+          : isEqual(value, candidate)
+      );
+    case "$nin":
+      return !arg.some((candidate) => isEqual(value, candidate));
+    case "$regex":
+      return testRegex(value, arg, condition.$options);
+    case "$options":
+      return true;
+    case "$not":
+      return !matchesCondition(value, arg);
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+};
+
+// Like MongoDB, a condition on an array field matches if any element does
+const matchesCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) {
+    if (condition instanceof RegExp) {
+      return Array.isArray(value)
+        ? value.some((item) => testRegex(item, condition))
+        : testRegex(value, condition);
+    }
+    if (Array.isArray(value) && !Array.isArray(condition)) {
+      return value.some((item) => isEqual(item, condition));
+    }
+    return isEqual(value, condition);
+  }
+
+  return Object.entries(condition).every(([op, arg]) => {
+    if (op === "$exists") return (value !== undefined) === !!arg;
+    if (op === "$size") return Array.isArray(value) && value.length === arg;
+    if (op === "$ne" || op === "$nin" || op === "$not") {
+      return Array.isArray(value)
+        ? value.every((item) => applyOperator(item, op, arg, condition))
+        : applyOperator(value, op, arg, condition);
+    }
+    if (Array.isArray(value)) {
+      return (
+        applyOperator(value, op, arg, condition) ||
+        value.some((item) => applyOperator(item, op, arg, condition))
+      );
+    }
+    return applyOperator(value, op, arg, condition);
+  });
+};
+
+/**
+ * Tests a record against a Mongo-style query object
+ * @param {object} record
+ * @param {object} query - e.g. { price: { $lt: 10 }, $or: [...] }
+ * @returns {boolean}
+ */
+export const matchesQuery = (record, query = {}) =>
+  Object.entries(query).every(([key, condition]) => {
+    if (key === "$or") return condition.some((q) => matchesQuery(record, q));
+    if (key === "$and") return condition.every((q) => matchesQuery(record, q));
+    if (key === "$nor") return !condition.some((q) => matchesQuery(record, q));
+    return matchesCondition(getPath(record, key), condition);
+  });
+
+export default { getPath, compareValues, isEqual, matchesQuery };
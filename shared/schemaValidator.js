@@ -0,0 +1,536 @@
+/**
+ * Validation of a whole schema, frontend and backend against each other.
+ * Pure, so the backend (utils/schemaValidator.js, which adds the checks
+ * of its storage options) and the frontend schema editor run the same
+ * rules.
+ *
+ * Every problem is an issue { severity, path, message }, where path is a
+ * JSON path into the schema ($.record.orders.frontend.fields[1].type).
+ * Errors reject the schema; warnings point at likely mistakes but the
+ * schema still applies.
+ */
+
+// Paths the API serves itself, so no entity can take them
+const RESERVED_ROUTES = [
+  "/api/auth",
+  "/api/schema",
+  "/api/audit",
+  "/api/webhooks",
+  "/api/changes",
+  "/api/docs",
+  "/api/openapi.json",
+  "/graphql",
+];
+
+// Types storage knows; anything else would be stored as a String
+const BACKEND_TYPES = [
+  "String",
+  "Number",
+  "Boolean",
+  "Date",
+  "ObjectId",
+  "Array",
+  "Object",
+  "Mixed",
+];
+
+// Form field types FormField renders, with the backend types their value
+// fits. Other types render as a text input.
+const FORM_FIELD_TYPES = {
+  text: ["String", "ObjectId"],
+  textarea: ["String"],
+  email: ["String"],
+  password: ["String"],
+  tel: ["String"],
+  url: ["String"],
+  number: ["Number"],
+  range: ["Number"],
+  date: ["Date", "String"],
+  checkbox: ["Boolean"],
+  dropdown: ["String", "Number", "Boolean", "ObjectId"],
+  radio: ["String", "Number", "Boolean", "ObjectId"],
+};
+
+// Fields storage keeps on every record
+const MANAGED_FIELDS = [
+  "_id",
+  "createdAt",
+  "updatedAt",
+  "deletedAt",
+  "_version",
+];
+
+const isReservedRoute = (route) => {
+  const normalized = normalizeRoute(route);
+  return RESERVED_ROUTES.some(
+    (reserved) =>
+      normalized === reserved || normalized.startsWith(`${reserved}/`)
+  );
+};
+
+// Express matches routes case-insensitively and ignores a trailing slash
+const normalizeRoute = (route) => route.replace(/\/+$/, "").toLowerCase();
+
+const isObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Appends keys to a JSON path: $.record.users, fields[2], record["a-b"]
+const joinPath = (path, ...keys) =>
+  keys.reduce((result, key) => {
+    if (typeof key === "number") return `${result}[${key}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) return `${result}.${key}`;
+    return `${result}[${JSON.stringify(key)}]`;
+  }, path);
+
+const createReport = () => {
+  const issues = [];
+  const add = (severity) => (path, message) =>
+    issues.push({ severity, path, message });
+  return { issues, error: add("error"), warning: add("warning") };
+};
+
+/* ---------- Backend fields ---------- */
+
+// A value as the field stores it, or undefined if it can't be stored
+const castFor = (value, type) => {
+  switch (type) {
+    case "Number": {
+      const num = typeof value === "string" ? Number(value) : value;
+      return typeof num === "number" && isFinite(num) && value !== ""
+        ? num
+        : undefined;
+    }
+    case "Boolean":
+      if (typeof value === "boolean") return value;
+      if (value === "true" || value === "false") return value === "true";
+      return undefined;
+    case "Date": {
+      if (typeof value !== "string" && typeof value !== "number") {
+        return undefined;
+      }
+      const time = new Date(value).getTime();
+      return isNaN(time) ? undefined : time;
+    }
+    case "String":
+      return typeof value === "string" ? value : undefined;
+    case "ObjectId":
+      return typeof value === "string" && /^[0-9a-fA-F]{24}$/.test(value)
+        ? value
+        : undefined;
+    default:
+      return value;
+  }
+};
+
+const isLength = (value) => Number.isInteger(value) && value >= 0;
+
+// enum, min/max, minlength/maxlength and default of one field, alone and
+// together: an enum value or default outside the bounds can never be saved
+const checkConstraints = (report, path, fieldConfig, type) => {
+  const { min, max, minlength, maxlength } = fieldConfig;
+  const bounded = type === "Number" || type === "Date";
+
+  const bound = (key, value) => {
+    if (value === undefined) return undefined;
+    if (!bounded) {
+      report.warning(
+        joinPath(path, key),
+        type === "String"
+          ? `"${key}" is ignored on String fields; use "${key}length"`
+          : `"${key}" only applies to Number and Date fields`
+      );
+      return undefined;
+    }
+    const cast = castFor(value, type);
+    if (cast === undefined) {
+      report.error(joinPath(path, key), `"${key}" must be a ${type}`);
+    }
+    return cast;
+  };
+  const low = bound("min", min);
+  const high = bound("max", max);
+  if (low !== undefined && high !== undefined && low > high) {
+    report.error(
+      joinPath(path, "min"),
+      `min (${min}) is greater than max (${max})`
+    );
+  }
+
+  const length = (key, value) => {
+    if (value === undefined) return undefined;
+    if (type !== "String") {
+      report.warning(
+        joinPath(path, key),
+        `"${key}" only applies to String fields`
+      );
+      return undefined;
+    }
+    if (!isLength(value)) {
+      report.error(joinPath(path, key), `"${key}" must be a whole number`);
+      return undefined;
+    }
+    return value;
+  };
+  const shortest = length("minlength", minlength);
+  const longest = length("maxlength", maxlength);
+  if (shortest !== undefined && longest !== undefined && shortest > longest) {
+    report.error(
+      joinPath(path, "minlength"),
+      `minlength (${minlength}) is greater than maxlength (${maxlength})`
+    );
+  }
+
+  // Why a value would be rejected, or null. Enum values aren't cast, so
+  // they must have the field's type already.
+  const rejects = (value, { exact = false } = {}) => {
+    const cast = castFor(value, type);
+    const mismatch =
+      exact &&
+      (type === "Number" || type === "Boolean") &&
+      typeof value !== type.toLowerCase();
+    if (cast === undefined || mismatch) return `is not a ${type}`;
+    if (low !== undefined && cast < low) return `is below min (${min})`;
+    if (high !== undefined && cast > high) return `is above max (${max})`;
+    if (shortest !== undefined && cast.length < shortest) {
+      return `is shorter than minlength (${minlength})`;
+    }
+    if (longest !== undefined && cast.length > longest) {
+      return `is longer than maxlength (${maxlength})`;
+    }
+    return null;
+  };
+
+  const values = fieldConfig.enum;
+  if (values !== undefined) {
+    if (!Array.isArray(values) || values.length === 0) {
+      report.error(joinPath(path, "enum"), "enum must be a non-empty array");
+    } else {
+      values.forEach((value, index) => {
+        const problem = rejects(value, { exact: true });
+        if (problem) {
+          report.error(
+            joinPath(path, "enum", index),
+            `${JSON.stringify(value)} ${problem}`
+          );
+        }
+      });
+    }
+  }
+
+  const defaultValue = fieldConfig.default;
+  if (defaultValue === undefined || defaultValue === "Date.now") return;
+
+  const problem = rejects(defaultValue);
+  if (problem) {
+    report.error(
+      joinPath(path, "default"),
+      `Default ${JSON.stringify(defaultValue)} ${problem}`
+    );
+  } else if (
+    Array.isArray(values) &&
+    !values.some(
+      (value) => castFor(value, type) === castFor(defaultValue, type)
+    )
+  ) {
+    report.error(
+      joinPath(path, "default"),
+      `Default ${JSON.stringify(defaultValue)} is not one of the enum values`
+    );
+  }
+};
+
+const checkBackendField = (report, path, fieldConfig) => {
+  if (Array.isArray(fieldConfig)) {
+    if (fieldConfig.length !== 1 || !isObject(fieldConfig[0])) {
+      report.error(path, "Array fields take one element definition: [{...}]");
+      return;
+    }
+    checkBackendField(report, joinPath(path, 0), fieldConfig[0]);
+    return;
+  }
+  if (!isObject(fieldConfig)) {
+    report.error(path, "Field definition must be an object");
+    return;
+  }
+
+  const type = fieldConfig.type ?? "String";
+  if (!BACKEND_TYPES.includes(type)) {
+    report.error(
+      joinPath(path, "type"),
+      `Unknown type "${type}"; expected one of ${BACKEND_TYPES.join(", ")}`
+    );
+    return;
+  }
+  checkConstraints(report, path, fieldConfig, type);
+};
+
+/* ---------- Frontend ---------- */
+
+// { label, many } of a backend field, or null for untyped fields and
+// unknown types (reported on the backend field)
+const describeBackendType = (fieldConfig) => {
+  const many = Array.isArray(fieldConfig);
+  const type = (many ? fieldConfig[0] : fieldConfig)?.type ?? "String";
+  if (type === "Object" || type === "Mixed") return null;
+  if (!BACKEND_TYPES.includes(type)) return null;
+  return {
+    label: many ? `${type}[]` : type,
+    many: many || type === "Array",
+  };
+};
+
+const checkFormField = (report, path, field, backendSchema) => {
+  const type = field.type ?? "text";
+  if (!FORM_FIELD_TYPES[type]) {
+    report.warning(
+      joinPath(path, "type"),
+      `Unknown form field type "${type}"; it renders as a text input`
+    );
+  }
+
+  const fieldConfig = backendSchema[field.name];
+  if (fieldConfig === undefined) {
+    report.warning(
+      joinPath(path, "name"),
+      `"${field.name}" is not in backend.schema; saved without type checks`
+    );
+    return;
+  }
+
+  const element = Array.isArray(fieldConfig) ? fieldConfig[0] : fieldConfig;
+  const backendType = describeBackendType(fieldConfig);
+  if (backendType && FORM_FIELD_TYPES[type]) {
+    const fits = backendType.many
+      ? Boolean(field.array)
+      : FORM_FIELD_TYPES[type].includes(backendType.label);
+    if (!fits) {
+      // Transforms exist to turn form input into the stored type
+      const converted = Boolean(element?.transform);
+      report[converted ? "warning" : "error"](
+        joinPath(path, "type"),
+        `Form type "${type}" conflicts with backend type ${backendType.label}` +
+          (converted ? "; only its transforms convert the value" : "")
+      );
+    }
+  }
+
+  if (Array.isArray(field.options) && Array.isArray(element?.enum)) {
+    const allowed = element.enum.map(String);
+    field.options.forEach((option, index) => {
+      const value = option?.value ?? option;
+      if (!allowed.includes(String(value))) {
+        report.error(
+          joinPath(path, "options", index),
+          `Option ${JSON.stringify(value)} is not in the backend enum`
+        );
+      }
+    });
+  }
+};
+
+const checkFrontend = (report, path, frontend, backend) => {
+  const backendSchema = isObject(backend?.schema) ? backend.schema : {};
+  const { fields = [], columns = [] } = frontend;
+  const names = new Set();
+
+  if (!Array.isArray(fields)) {
+    report.error(joinPath(path, "fields"), "fields must be an array");
+  } else {
+    fields.forEach((field, index) => {
+      const fieldPath = joinPath(path, "fields", index);
+      if (!isObject(field)) {
+        report.error(fieldPath, "Form field must be an object");
+        return;
+      }
+      if (typeof field.name !== "string" || !field.name) {
+        report.error(joinPath(fieldPath, "name"), "Form field needs a name");
+        return;
+      }
+      if (names.has(field.name)) {
+        report.warning(
+          joinPath(fieldPath, "name"),
+          `"${field.name}" is already a field of this form`
+        );
+      }
+      names.add(field.name);
+      checkFormField(report, fieldPath, field, backendSchema);
+    });
+  }
+
+  if (!Array.isArray(columns)) {
+    report.error(joinPath(path, "columns"), "columns must be an array");
+    return;
+  }
+
+  const known = new Set([
+    ...MANAGED_FIELDS,
+    ...Object.keys(backendSchema),
+    ...names,
+    // Filled in on create even when the schema doesn't list it
+    ...[backend?.options?.permissions?.ownerField].filter(Boolean),
+  ]);
+  columns.forEach((column, index) => {
+    const columnPath = joinPath(path, "columns", index);
+    if (!isObject(column)) {
+      report.error(columnPath, "Column must be an object");
+      return;
+    }
+    const { accessor } = column;
+    if (typeof accessor !== "string" || !accessor) {
+      report.error(
+        joinPath(columnPath, "accessor"),
+        "Column needs an accessor"
+      );
+    } else if (!known.has(accessor.split(".")[0])) {
+      report.warning(
+        joinPath(columnPath, "accessor"),
+        `"${accessor}" is neither a backend nor a form field`
+      );
+    }
+  });
+};
+
+/* ---------- Entities ---------- */
+
+const checkBackend = (report, path, backend, context, checkOptions) => {
+  const schemaPath = joinPath(path, "schema");
+  if (!isObject(backend.schema)) {
+    report.error(schemaPath, 'Missing "backend.schema"');
+    return;
+  }
+
+  for (const [field, fieldConfig] of Object.entries(backend.schema)) {
+    checkBackendField(report, joinPath(schemaPath, field), fieldConfig);
+  }
+
+  const sequence = backend.schema.id?.sequence;
+  if (
+    sequence &&
+    ((sequence.start !== undefined && typeof sequence.start !== "number") ||
+      (sequence.step !== undefined &&
+        (typeof sequence.step !== "number" || sequence.step <= 0)))
+  ) {
+    report.error(
+      joinPath(schemaPath, "id", "sequence"),
+      '"id.sequence" needs a numeric start and a positive step'
+    );
+  }
+
+  const optionErrors = checkOptions?.(backend, context) || [];
+  for (const { path: keys, message } of optionErrors) {
+    report.error(joinPath(path, ...keys), message);
+  }
+
+  const lookupKeys = backend.options?.lookupKeys;
+  const lookupPath = joinPath(path, "options", "lookupKeys");
+  if (lookupKeys !== undefined) {
+    if (!Array.isArray(lookupKeys)) {
+      report.error(lookupPath, '"options.lookupKeys" must be an array');
+    } else {
+      lookupKeys.forEach((key, index) => {
+        if (!backend.schema[key]) {
+          report.error(
+            joinPath(lookupPath, index),
+            `Lookup key "${key}" is not a schema field`
+          );
+        }
+      });
+    }
+  }
+};
+
+/**
+ * Validates a schema ({ record: { entity: { route, backend, frontend } } })
+ * @param {object} schema
+ * @param {object} options
+ * @param {Function} options.checkBackend - (backend, { entities,
+ *   formFields }) -> errors { path, message } about one backend
+ *   configuration, path being the keys from backend down to the option
+ * @returns {object} - {
+ *     valid     no errors
+ *     issues    [{ severity, path, message }]
+ *     errors    "path: message" of the errors
+ *     warnings  "path: message" of the warnings
+ *   }
+ */
+export const validateSchema = (schema, { checkBackend: checkOptions } = {}) => {
+  const report = createReport();
+
+  const result = () => {
+    const messages = (severity) =>
+      report.issues
+        .filter((issue) => issue.severity === severity)
+        .map(({ path, message }) => `${path}: ${message}`);
+    return {
+      valid: messages("error").length === 0,
+      issues: report.issues,
+      errors: messages("error"),
+      warnings: messages("warning"),
+    };
+  };
+
+  if (!isObject(schema)) {
+    report.error("$", "Schema must be an object");
+    return result();
+  }
+  if (!isObject(schema.record)) {
+    report.error("$.record", 'Schema must contain a "record" object');
+    return result();
+  }
+  if (Object.keys(schema.record).length === 0) {
+    report.warning("$.record", "Schema has no entities defined");
+  }
+
+  const routes = new Map();
+
+  for (const [entityName, config] of Object.entries(schema.record)) {
+    const path = joinPath("$.record", entityName);
+    if (!isObject(config)) {
+      report.error(path, "Entity configuration must be an object");
+      continue;
+    }
+
+    const routePath = joinPath(path, "route");
+    const { route } = config;
+    if (!route) {
+      report.error(routePath, 'Missing "route"');
+    } else if (typeof route !== "string" || !route.startsWith("/")) {
+      report.error(routePath, 'Route must start with "/"');
+    } else if (isReservedRoute(route)) {
+      report.error(routePath, `Route "${route}" is reserved`);
+    } else if (routes.has(normalizeRoute(route))) {
+      report.error(
+        routePath,
+        `Route "${route}" is already used by entity "${routes.get(
+          normalizeRoute(route)
+        )}"`
+      );
+    } else {
+      routes.set(normalizeRoute(route), entityName);
+    }
+
+    const backendPath = joinPath(path, "backend");
+    if (!isObject(config.backend)) {
+      report.error(backendPath, 'Missing "backend" configuration');
+    } else {
+      checkBackend(
+        report,
+        backendPath,
+        config.backend,
+        { entities: schema.record, formFields: config.frontend?.fields },
+        checkOptions
+      );
+    }
+
+    const frontendPath = joinPath(path, "frontend");
+    if (!isObject(config.frontend)) {
+      report.warning(frontendPath, 'Missing "frontend" configuration');
+    } else {
+      checkFrontend(report, frontendPath, config.frontend, config.backend);
+    }
+  }
+
+  return result();
+};
+
+export default { validateSchema };